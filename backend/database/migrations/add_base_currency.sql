@@ -0,0 +1,15 @@
+-- Add Base Currency to Users Table
+-- Summaries, category spending and new budgets are reported in this currency
+
+-- Step 1: Add column (ISO 4217 code)
+ALTER TABLE users
+ADD COLUMN base_currency VARCHAR(3) DEFAULT 'USD' NOT NULL;
+
+-- Step 2: Only allow 3-letter uppercase codes
+ALTER TABLE users
+ADD CONSTRAINT chk_users_base_currency CHECK (base_currency ~ '^[A-Z]{3}$');
+
+-- Verify the changes
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'users' AND column_name = 'base_currency';
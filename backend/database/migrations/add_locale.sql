@@ -0,0 +1,15 @@
+-- Add Locale to Users Table
+-- Default category names and notification texts are written in this locale
+
+-- Step 1: Add column (language code, optionally with a region, e.g. 'vi' or 'en-US')
+ALTER TABLE users
+ADD COLUMN locale VARCHAR(10) DEFAULT 'en' NOT NULL;
+
+-- Step 2: Only allow language codes such as 'vi', 'en' or 'en-US'
+ALTER TABLE users
+ADD CONSTRAINT chk_users_locale CHECK (locale ~ '^[a-z]{2,3}(-[A-Z]{2})?$');
+
+-- Verify the changes
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'users' AND column_name = 'locale';
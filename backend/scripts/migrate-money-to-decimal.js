@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { DEFAULT_CURRENCY } = require('../src/utils/currency');
+const { formatAmount } = require('../src/utils/money');
+
+const { Decimal128 } = mongoose.mongo;
+const BATCH_SIZE = 500;
+const NUMERIC_TYPES = ['double', 'int', 'long'];
+
+// Money fields per collection; precision follows each document's currency
+const COLLECTIONS = {
+  transactions: ['amount', 'fee', 'toAmount'],
+  budgets: ['amount', 'spent', 'carriedOver', 'rollover.cap'],
+  accounts: ['openingBalance'],
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const toDecimal = (value, currency) => Decimal128.fromString(formatAmount(value, currency));
+
+/**
+ * Convert floating point money fields of one collection to Decimal128
+ * rounded to the precision of each document's currency.
+ * Only numeric values are touched, so the script can be re-run safely.
+ */
+async function migrateCollection(db, name, fields) {
+  const collection = db.collection(name);
+  const numeric = { $type: NUMERIC_TYPES };
+
+  const filter = { $or: fields.map((field) => ({ [field]: numeric })) };
+  if (name === 'transactions') {
+    filter.$or.push({ 'splits.amount': numeric });
+  }
+
+  const cursor = collection.find(filter);
+  let operations = [];
+  let converted = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await collection.bulkWrite(operations, { ordered: false });
+    converted += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const currency = doc.currency || DEFAULT_CURRENCY;
+    const update = {};
+
+    fields.forEach((field) => {
+      const value = getPath(doc, field);
+      if (typeof value === 'number') {
+        update[field] = toDecimal(value, currency);
+      }
+    });
+
+    if (name === 'transactions' && Array.isArray(doc.splits) && doc.splits.length > 0) {
+      update.splits = doc.splits.map((split) => ({
+        ...split,
+        amount: typeof split.amount === 'number' ? toDecimal(split.amount, currency) : split.amount,
+      }));
+    }
+
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`✓ ${name}: converted ${converted} documents`);
+}
+
+async function migrateMoneyToDecimal() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+
+    for (const [name, fields] of Object.entries(COLLECTIONS)) {
+      await migrateCollection(db, name, fields);
+    }
+
+    console.log('\n✅ Money fields migrated to Decimal128 successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateMoneyToDecimal();
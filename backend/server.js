@@ -2,6 +2,7 @@ require('dotenv').config();
 const app = require('./src/app');
 const { connectMongoDB, connectPostgreSQL } = require('./src/config/database');
 const logger = require('./src/utils/logger');
+const { startJobs, stopJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 3000;
 
@@ -23,6 +24,9 @@ const startServer = async () => {
       logger.info(`Health check: http://localhost:${PORT}/api/health`);
     });
 
+    // Start background jobs (recurring transactions, budget rollover, budget alerts)
+    startJobs();
+
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -34,6 +38,7 @@ const startServer = async () => {
  */
 const gracefulShutdown = (signal) => {
   logger.info(`\n${signal} received. Starting graceful shutdown...`);
+  stopJobs();
   
   if (server) {
     server.close(() => {
@@ -65,6 +65,10 @@ const budgetRoutes = require('./routes/budget.routes');
 const notificationRoutes = require('./routes/notification.routes');
 const settingsRoutes = require('./routes/settings.routes');
 const adminRoutes = require('./routes/admin.routes');
+const accountRoutes = require('./routes/account.routes');
+const meRoutes = require('./routes/me.routes');
+const trashRoutes = require('./routes/trash.routes');
+const ruleRoutes = require('./routes/rule.routes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/transactions', transactionRoutes);
@@ -73,6 +77,10 @@ app.use('/api/budgets', budgetRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/rules', ruleRoutes);
 
 
 // Welcome route
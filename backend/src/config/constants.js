@@ -0,0 +1,15 @@
+/**
+ * Shared domain constants
+ * Used by models and controllers that must agree on the same enum values
+ */
+
+// Payment methods for transactions; accounts use the same values as their type
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'credit_card', 'debit_card', 'e_wallet', 'other'];
+
+// Transaction types; transfers move money between two accounts
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+module.exports = {
+  PAYMENT_METHODS,
+  TRANSACTION_TYPES,
+};
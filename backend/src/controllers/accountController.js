@@ -0,0 +1,305 @@
+/**
+ * Account Controller
+ * Handles CRUD operations for accounts/wallets (cash, bank, credit card, e-wallet, ...)
+ * Balances are computed from the opening balance and linked transactions
+ * Uses MongoDB for account data storage
+ */
+
+const { Account, ExchangeRate } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { PAYMENT_METHODS } = require('../config/constants');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeCurrency } = require('../utils/currency');
+const { getCurrencyDecimals, toMinorUnits, fromMinorUnits, parseAmount, moneyToNumber } = require('../utils/money');
+
+/**
+ * Create a new account
+ * @route POST /api/accounts
+ * @access Private
+ * @param {string} name - Account name (required, unique per user)
+ * @param {string} type - Same values as transaction paymentMethod (optional, default: 'cash')
+ * @param {string} currency - ISO 4217 code (optional, default: user's base currency)
+ * @param {string} openingBalance - Balance before any linked transaction, as a decimal string (optional, default: '0')
+ * @param {string} icon - Icon name (optional)
+ * @param {string} color - Hex color code (optional)
+ * @returns {object} Created account with balance
+ */
+const createAccount = asyncHandler(async (req, res) => {
+  const { name, type, currency, openingBalance, icon, color } = req.body;
+
+  if (!name) {
+    throw new AppError('Name is required', 400);
+  }
+
+  if (type !== undefined && !PAYMENT_METHODS.includes(type)) {
+    throw new AppError(`Type must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  if (currency !== undefined && !isValidCurrency(currency)) {
+    throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+  }
+  const accountCurrency = normalizeCurrency(currency) || req.user.base_currency || DEFAULT_CURRENCY;
+
+  const existingAccount = await Account.findOne({
+    userId: req.user.id,
+    name: name.trim(),
+  });
+
+  if (existingAccount) {
+    throw new AppError('Account with this name already exists', 400);
+  }
+
+  const account = await Account.create({
+    userId: req.user.id,
+    name: name.trim(),
+    type,
+    currency: accountCurrency,
+    openingBalance: openingBalance !== undefined ? parseBalance(openingBalance, accountCurrency) : 0,
+    icon,
+    color,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Account created successfully',
+    data: {
+      account: account.withBalance(),
+    },
+  });
+});
+
+/**
+ * Get all accounts with current balances
+ * @route GET /api/accounts
+ * @access Private
+ * @query {date} asOf - Compute balances at this date (optional, default: now)
+ * @query {boolean} includeInactive - Include archived accounts (optional)
+ * @returns {object} Accounts with balances and the total balance in the user's base currency
+ */
+const getAccounts = asyncHandler(async (req, res) => {
+  const { asOf, includeInactive } = req.query;
+
+  const accounts = await Account.getWithBalances(
+    req.user.id,
+    asOf ? new Date(asOf) : new Date(),
+    { includeInactive: includeInactive === 'true' }
+  );
+
+  // Accounts can hold different currencies: convert each balance before adding them up
+  const baseCurrency = req.user.base_currency || DEFAULT_CURRENCY;
+  const converted = await Promise.all(
+    accounts.map((account) => ExchangeRate.convert(moneyToNumber(account.balance), account.currency, baseCurrency))
+  );
+  const missingRates = [...new Set(
+    accounts.filter((account, index) => converted[index] === null).map((account) => account.currency)
+  )];
+  const totalBalance = converted.reduce((sum, value) => sum + toMinorUnits(value, baseCurrency), 0);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      accounts,
+      totalBalance: fromMinorUnits(totalBalance, baseCurrency),
+      currency: baseCurrency,
+      missingRates,
+    },
+  });
+});
+
+/**
+ * Get single account with balance
+ * @route GET /api/accounts/:id
+ * @access Private
+ * @param {string} id - Account ID
+ * @query {date} asOf - Compute balance at this date (optional, default: now)
+ * @returns {object} Account with balance
+ */
+const getAccountById = asyncHandler(async (req, res) => {
+  const account = await Account.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  const totals = await Account.getTransactionTotals(req.user.id, [account._id], asOf);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      account: account.withBalance(totals.get(account._id.toString())),
+    },
+  });
+});
+
+/**
+ * Get running balance of an account over a date range
+ * @route GET /api/accounts/:id/balance-history
+ * @access Private
+ * @param {string} id - Account ID
+ * @query {date} startDate - Start of range (required)
+ * @query {date} endDate - End of range (required)
+ * @query {string} interval - 'day' or 'month' (optional, default: 'day')
+ * @returns {object} Opening/closing balance and balance after each period with activity
+ */
+const getAccountBalanceHistory = asyncHandler(async (req, res) => {
+  const { startDate, endDate, interval = 'day' } = req.query;
+
+  if (!startDate || !endDate) {
+    throw new AppError('Start date and end date are required', 400);
+  }
+
+  if (interval !== 'day' && interval !== 'month') {
+    throw new AppError('Interval must be either day or month', 400);
+  }
+
+  const account = await Account.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+
+  const history = await account.getBalanceHistory(new Date(startDate), new Date(endDate), interval);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      accountId: account._id,
+      currency: account.currency,
+      interval,
+      ...history,
+    },
+  });
+});
+
+/**
+ * Update account
+ * @route PUT /api/accounts/:id
+ * @access Private
+ * @param {string} id - Account ID
+ * @param {string} name - New name (optional)
+ * @param {string} type - New type (optional)
+ * @param {string} currency - New currency (optional)
+ * @param {string} openingBalance - New opening balance, as a decimal string (optional)
+ * @param {string} icon - New icon (optional)
+ * @param {string} color - New color (optional)
+ * @param {boolean} isActive - Active status, false archives the account (optional)
+ * @returns {object} Updated account
+ */
+const updateAccount = asyncHandler(async (req, res) => {
+  const account = await Account.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+
+  const { name, type, currency, openingBalance, icon, color, isActive } = req.body;
+
+  if (name && name.trim() !== account.name) {
+    const existingAccount = await Account.findOne({
+      userId: req.user.id,
+      name: name.trim(),
+      _id: { $ne: account._id },
+    });
+
+    if (existingAccount) {
+      throw new AppError('Account with this name already exists', 400);
+    }
+    account.name = name.trim();
+  }
+
+  if (type !== undefined) {
+    if (!PAYMENT_METHODS.includes(type)) {
+      throw new AppError(`Type must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+    account.type = type;
+  }
+  if (currency) {
+    if (!isValidCurrency(currency)) {
+      throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+    }
+    account.currency = normalizeCurrency(currency);
+  }
+  if (openingBalance !== undefined || currency) {
+    account.openingBalance = parseBalance(
+      openingBalance !== undefined ? openingBalance : account.openingBalance,
+      account.currency
+    );
+  }
+  if (icon) account.icon = icon;
+  if (color) account.color = color;
+  if (isActive !== undefined) account.isActive = isActive;
+
+  await account.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account updated successfully',
+    data: {
+      account,
+    },
+  });
+});
+
+/**
+ * Delete account
+ * @route DELETE /api/accounts/:id
+ * @access Private
+ * @param {string} id - Account ID
+ * @returns {object} Success message
+ * @description Accounts with transactions cannot be deleted; archive them with isActive: false instead
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const account = await Account.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!account) {
+    throw new AppError('Account not found', 404);
+  }
+
+  const canDelete = await account.canDelete();
+  if (!canDelete) {
+    throw new AppError('Cannot delete account with existing transactions', 400);
+  }
+
+  await account.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account deleted successfully',
+  });
+});
+
+/**
+ * Helper function to parse an opening balance at the currency precision
+ * @param {string|number} value - Decimal string (or number); may be negative (e.g. credit cards)
+ * @param {string} currency - Account currency
+ * @returns {string} Decimal string
+ * @throws {AppError} 400 if invalid
+ */
+function parseBalance(value, currency) {
+  const parsed = parseAmount(value, currency);
+  if (parsed === null) {
+    throw new AppError(`Opening balance must be a decimal amount with at most ${getCurrencyDecimals(currency)} decimal places for ${currency}`, 400);
+  }
+  return parsed;
+}
+
+module.exports = {
+  createAccount,
+  getAccounts,
+  getAccountById,
+  getAccountBalanceHistory,
+  updateAccount,
+  deleteAccount,
+};
@@ -1,10 +1,18 @@
 const { getPgPool } = require('../config/database');
 const { AppError } = require('../middleware/error.middleware');
-const { Transaction, Budget, Notification, Category } = require('../models');
+const { Transaction, Budget, Notification, Category, Account, ExchangeRate, AuditLog, Rule, ImportBatch, CategoryTemplateSet } = require('../models');
+const { removeUserAttachments } = require('./attachmentController');
+const { isValidCurrency, normalizeCurrency } = require('../utils/currency');
+const { escapeRegex } = require('../utils/regex');
+const { getSupportedLocales, getCategoryNames } = require('../locales');
+
+// Users handled per query when pushing a template category
+const TEMPLATE_PUSH_BATCH_SIZE = 500;
 
 /**
  * Admin Controller - Minimal
- * Handles admin-only operations: system stats and user management
+ * Handles admin-only operations: system stats, user management, exchange rates
+ * and the category templates new users start with
  */
 
 /**
@@ -180,8 +188,13 @@ exports.deleteUser = async (req, res, next) => {
             Transaction.deleteMany({ userId: id }),
             Budget.deleteMany({ userId: id }),
             Notification.deleteMany({ userId: id }),
-            Category.deleteMany({ userId: id, isDefault: false })
+            Category.deleteMany({ userId: id, isDefault: false }),
+            Account.deleteMany({ userId: id }),
+            AuditLog.deleteMany({ userId: id }),
+            Rule.deleteMany({ userId: id }),
+            ImportBatch.deleteMany({ userId: id })
         ]);
+        await removeUserAttachments(id);
 
         // 2. Delete user from PostgreSQL
         await pool.query('DELETE FROM users WHERE id = $1', [id]);
@@ -194,3 +207,512 @@ exports.deleteUser = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Upload exchange rates
+ * @route POST /api/admin/exchange-rates
+ * @access Admin
+ * @body {Array} rates - [{ currency, date, rate }] (optional if csv is given)
+ * @body {string} csv - CSV text with currency,date,rate columns; a header row is allowed (optional)
+ * @description Rates are units of currency per 1 unit of the pivot currency (USD by default).
+ *              Uploading a rate for an existing currency and day replaces it.
+ */
+exports.uploadExchangeRates = async (req, res, next) => {
+    try {
+        const { rates, csv } = req.body;
+
+        const rows = Array.isArray(rates) ? rates : (typeof csv === 'string' ? parseRatesCsv(csv) : null);
+        if (!rows || rows.length === 0) {
+            throw new AppError('Provide a non-empty rates array or csv text', 400);
+        }
+
+        const errors = [];
+        const operations = [];
+        rows.forEach((row, index) => {
+            const currency = normalizeCurrency(row.currency);
+            const date = new Date(row.date);
+            const rate = Number(row.rate);
+
+            if (!isValidCurrency(currency)) {
+                errors.push({ row: index + 1, message: 'Currency must be a 3-letter ISO 4217 code' });
+                return;
+            }
+            if (isNaN(date.getTime())) {
+                errors.push({ row: index + 1, message: 'Invalid date' });
+                return;
+            }
+            if (!(rate > 0)) {
+                errors.push({ row: index + 1, message: 'Rate must be a positive number' });
+                return;
+            }
+
+            // One rate per UTC day
+            const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+            operations.push({
+                updateOne: {
+                    filter: { currency, date: day },
+                    update: { $set: { rate, source: 'admin_upload', uploadedBy: req.user.id } },
+                    upsert: true,
+                },
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new AppError(`Invalid exchange rates: ${errors.map((e) => `row ${e.row}: ${e.message}`).join('; ')}`, 400);
+        }
+
+        const result = await ExchangeRate.bulkWrite(operations, { ordered: false });
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Exchange rates uploaded successfully',
+            data: {
+                pivotCurrency: ExchangeRate.PIVOT_CURRENCY,
+                inserted: result.upsertedCount,
+                updated: result.modifiedCount,
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get stored exchange rates
+ * @route GET /api/admin/exchange-rates
+ * @access Admin
+ * @query {string} currency - Filter by currency (optional)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 50)
+ */
+exports.getExchangeRates = async (req, res, next) => {
+    try {
+        const { currency, page = 1, limit = 50 } = req.query;
+
+        const query = {};
+        if (currency) {
+            query.currency = normalizeCurrency(currency);
+        }
+
+        const skip = (page - 1) * limit;
+        const [rates, total] = await Promise.all([
+            ExchangeRate.find(query)
+                .sort({ date: -1, currency: 1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            ExchangeRate.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                pivotCurrency: ExchangeRate.PIVOT_CURRENCY,
+                rates,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete an exchange rate
+ * @route DELETE /api/admin/exchange-rates/:id
+ * @access Admin
+ */
+exports.deleteExchangeRate = async (req, res, next) => {
+    try {
+        const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+        if (!rate) {
+            throw new AppError('Exchange rate not found', 404);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Exchange rate deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get category template sets
+ * @route GET /api/admin/category-templates
+ * @access Admin
+ * @description The active set (if any) comes first; without one, new users get the built-in defaults
+ */
+exports.getCategoryTemplateSets = async (req, res, next) => {
+    try {
+        const templateSets = await CategoryTemplateSet.find().sort({ isActive: -1, activatedAt: -1, name: 1 });
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                templateSets,
+                builtInDefaults: Category.DEFAULTS,
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a category template set
+ * @route GET /api/admin/category-templates/:id
+ * @access Admin
+ */
+exports.getCategoryTemplateSet = async (req, res, next) => {
+    try {
+        const templateSet = await findTemplateSet(req.params.id);
+
+        res.status(200).json({
+            status: 'success',
+            data: {
+                templateSet
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a category template set
+ * @route POST /api/admin/category-templates
+ * @access Admin
+ * @body {string} name - Set name (required)
+ * @body {string} description - (optional)
+ * @body {Array} categories - [{ key, name, type, icon, color, names }]; names maps a locale to a
+ *                            translated name, key defaults to one derived from the name
+ * @body {boolean} fromDefaults - Start from the built-in defaults with their translations instead of categories
+ * @body {boolean} isActive - Seed new users from this set, replacing the active one (default: false)
+ */
+exports.createCategoryTemplateSet = async (req, res, next) => {
+    try {
+        const { name, description, categories, fromDefaults, isActive } = req.body;
+
+        const templateSet = new CategoryTemplateSet({
+            name,
+            description,
+            categories: fromDefaults ? buildDefaultTemplateCategories() : parseTemplateCategories(categories || []),
+            isActive: isActive === true,
+            activatedAt: isActive === true ? new Date() : undefined,
+            createdBy: req.user.id,
+            updatedBy: req.user.id,
+        });
+        await templateSet.save();
+
+        if (templateSet.isActive) {
+            await deactivateOtherTemplateSets(templateSet);
+        }
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Category template set created successfully',
+            data: {
+                templateSet
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a category template set
+ * @route PUT /api/admin/category-templates/:id
+ * @access Admin
+ * @body {string} name - (optional)
+ * @body {string} description - (optional)
+ * @body {Array} categories - Replaces every template category (optional, same format as on create)
+ * @body {boolean} isActive - true to seed new users from this set, false to go back to the built-in defaults (optional)
+ * @description Existing users keep their categories; push a template category to them with
+ *              POST /api/admin/category-templates/:id/categories/:key/push
+ */
+exports.updateCategoryTemplateSet = async (req, res, next) => {
+    try {
+        const { name, description, categories, isActive } = req.body;
+        const templateSet = await findTemplateSet(req.params.id);
+
+        if (name !== undefined) templateSet.name = name;
+        if (description !== undefined) templateSet.description = description;
+        if (categories !== undefined) templateSet.categories = parseTemplateCategories(categories);
+        const activating = isActive === true && !templateSet.isActive;
+        if (isActive !== undefined) templateSet.isActive = isActive === true;
+        if (activating) templateSet.activatedAt = new Date();
+        templateSet.updatedBy = req.user.id;
+        await templateSet.save();
+
+        if (activating) {
+            await deactivateOtherTemplateSets(templateSet);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Category template set updated successfully',
+            data: {
+                templateSet
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a category template set
+ * @route DELETE /api/admin/category-templates/:id
+ * @access Admin
+ * @description Deleting the active set makes new users get the built-in defaults again.
+ *              Categories already created from the set are kept.
+ */
+exports.deleteCategoryTemplateSet = async (req, res, next) => {
+    try {
+        const templateSet = await CategoryTemplateSet.findByIdAndDelete(req.params.id);
+
+        if (!templateSet) {
+            throw new AppError('Category template set not found', 404);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Category template set deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a category to a template set
+ * @route POST /api/admin/category-templates/:id/categories
+ * @access Admin
+ * @body {string} key - Template key (optional, derived from the name)
+ * @body {string} name - Category name (required)
+ * @body {string} type - 'income' or 'expense' (required)
+ * @body {string} icon - (optional)
+ * @body {string} color - Hex color (optional)
+ * @body {object} names - Locale -> translated name (optional)
+ * @body {boolean} pushToUsers - Also create the category for existing users who do not have it (default: false)
+ */
+exports.addTemplateCategory = async (req, res, next) => {
+    try {
+        const { pushToUsers, ...category } = req.body;
+        const templateSet = await findTemplateSet(req.params.id);
+
+        const [templateCategory] = parseTemplateCategories([category]);
+        templateSet.categories.push(templateCategory);
+        templateSet.updatedBy = req.user.id;
+        await templateSet.save();
+
+        const added = templateSet.categories[templateSet.categories.length - 1];
+        const push = pushToUsers === true ? await pushTemplateCategoryToUsers(added) : null;
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Template category added successfully',
+            data: {
+                templateSet,
+                category: added,
+                push
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Push a template category to existing users
+ * @route POST /api/admin/category-templates/:id/categories/:key/push
+ * @access Admin
+ * @description Creates the category, named in each user's locale, for every user who has no category
+ *              from this template (same key, archived or trashed ones included) and no category of the
+ *              same name. It is created as a default category, so users can archive but not delete it.
+ */
+exports.pushTemplateCategory = async (req, res, next) => {
+    try {
+        const templateSet = await findTemplateSet(req.params.id);
+        const templateCategory = templateSet.categories.find((category) => category.key === req.params.key);
+
+        if (!templateCategory) {
+            throw new AppError('Template category not found', 404);
+        }
+
+        const push = await pushTemplateCategoryToUsers(templateCategory);
+
+        res.status(200).json({
+            status: 'success',
+            message: 'Template category pushed to existing users',
+            data: {
+                key: templateCategory.key,
+                ...push
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Parse exchange rate CSV text (currency,date,rate per line)
+ * @param {string} csv - CSV text
+ * @returns {Array} Rows as { currency, date, rate }
+ */
+function parseRatesCsv(csv) {
+    return csv
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !/^currency\s*,/i.test(line))
+        .map((line) => {
+            const [currency, date, rate] = line.split(',').map((value) => value.trim());
+            return { currency, date, rate };
+        });
+}
+
+/**
+ * Find a category template set by ID
+ * @param {string} id - Template set ID
+ * @returns {Promise<Document>} Template set
+ * @throws {AppError} 404 if it does not exist
+ */
+async function findTemplateSet(id) {
+    const templateSet = await CategoryTemplateSet.findById(id);
+    if (!templateSet) {
+        throw new AppError('Category template set not found', 404);
+    }
+    return templateSet;
+}
+
+/**
+ * Deactivate the template sets activated before a newly activated one
+ * @param {Document} templateSet - Template set that became active (saved, with activatedAt)
+ * @description Runs after the save, so a failed save leaves the previous set active; sets activated
+ *              later by a concurrent request are kept, so the latest activation wins
+ */
+async function deactivateOtherTemplateSets(templateSet) {
+    await CategoryTemplateSet.updateMany(
+        { _id: { $ne: templateSet._id }, isActive: true, activatedAt: { $not: { $gt: templateSet.activatedAt } } },
+        { $set: { isActive: false } }
+    );
+}
+
+/**
+ * Normalize template categories from a request body
+ * @param {Array} categories - [{ key, name, type, icon, color, names }]
+ * @returns {Array} Template categories, each with a key (derived from the name when missing)
+ * @throws {AppError} 400 if categories is not an array of objects
+ */
+function parseTemplateCategories(categories) {
+    if (!Array.isArray(categories) || categories.some((category) => !category || typeof category !== 'object')) {
+        throw new AppError('Categories must be an array of { name, type, icon, color, names }', 400);
+    }
+
+    return categories.map(({ key, name, type, icon, color, names }, index) => ({
+        key: key || toTemplateKey(name) || `category_${index + 1}`,
+        name,
+        type,
+        icon,
+        color,
+        names,
+    }));
+}
+
+/**
+ * Derive a template key from a category name ('Food & Dining' -> 'food_dining')
+ * @param {string} name - Category name
+ * @returns {string} Key, empty if the name has no latin letters or digits
+ */
+function toTemplateKey(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 50);
+}
+
+/**
+ * Build template categories from the built-in defaults, translated into every registered locale
+ * @returns {Array} Template categories
+ */
+function buildDefaultTemplateCategories() {
+    const translations = getSupportedLocales().map((locale) => [locale, getCategoryNames(locale)]);
+    return Category.DEFAULTS.map((category) => ({
+        ...category,
+        names: Object.fromEntries(translations.map(([locale, names]) => [locale, names[category.key]])),
+    }));
+}
+
+/**
+ * Create a template category for every user who does not have it yet
+ * @param {object} templateCategory - Template category (key, name, type, icon, color, names)
+ * @returns {Promise<object>} { users, created, skipped }
+ * @description A user has it when one of their categories (archived or trashed included) carries the
+ *              template key, or has the name the category would get in the user's locale
+ */
+async function pushTemplateCategoryToUsers(templateCategory) {
+    const pool = getPgPool();
+    const { rows: users } = await pool.query('SELECT id, locale FROM users ORDER BY created_at');
+
+    let created = 0;
+    for (let i = 0; i < users.length; i += TEMPLATE_PUSH_BATCH_SIZE) {
+        const batch = users.slice(i, i + TEMPLATE_PUSH_BATCH_SIZE).map((user) => ({
+            userId: String(user.id),
+            name: templateCategory.getName(user.locale),
+        }));
+
+        // Only the categories that can match: the template key, or one of the names the batch would get
+        // (anchored patterns on the userId/name index; compared case-insensitively again below)
+        const names = [...new Set(batch.map((user) => user.name))];
+        const existing = await Category.find({
+            userId: { $in: batch.map((user) => user.userId) },
+            $or: [
+                { defaultKey: templateCategory.key },
+                { name: { $in: names.map((name) => new RegExp(`^${escapeRegex(name)}$`, 'i')) } },
+            ],
+        })
+            .select('userId name defaultKey')
+            .setOptions({ withDeleted: true })
+            .lean();
+
+        const nameByUser = new Map(batch.map((user) => [user.userId, user.name.toLowerCase()]));
+        const having = new Set(existing
+            .filter((category) =>
+                category.defaultKey === templateCategory.key ||
+                category.name.toLowerCase() === nameByUser.get(category.userId))
+            .map((category) => category.userId));
+
+        const missing = batch.filter((user) => !having.has(user.userId));
+        if (missing.length === 0) continue;
+
+        const categories = missing.map((user) => ({
+            userId: user.userId,
+            name: user.name,
+            type: templateCategory.type,
+            icon: templateCategory.icon,
+            color: templateCategory.color,
+            isDefault: true,
+            defaultKey: templateCategory.key,
+        }));
+        try {
+            created += (await Category.insertMany(categories, { ordered: false })).length;
+        } catch (error) {
+            // A user created a category with the same name in the meantime
+            if (error.code !== 11000) throw error;
+            created += (error.insertedDocs || []).length;
+        }
+    }
+
+    return { users: users.length, created, skipped: users.length - created };
+}
@@ -0,0 +1,326 @@
+/**
+ * Attachment Controller
+ * Receipt photos and documents attached to transactions
+ * Files are kept in the storage backend under attachments/<userId>/<transactionId>/
+ * and only served to the transaction owner
+ */
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { Transaction } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { ATTACHMENT_MIME_TYPES } = require('../middleware/upload.middleware');
+const { getStorage } = require('../storage');
+const logger = require('../utils/logger');
+
+// Maximum number of attachments on one transaction
+const ATTACHMENT_MAX_PER_TRANSACTION = parseInt(process.env.ATTACHMENT_MAX_PER_TRANSACTION, 10) || 10;
+
+// Thumbnails fit in a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+
+// File signatures used to check the content matches an allowed type
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', matches: (buffer) => /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1')) },
+  { mimeType: 'image/webp', matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { mimeType: 'application/pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+];
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+
+/**
+ * Upload attachments to a transaction
+ * @route POST /api/transactions/:id/attachments
+ * @access Private
+ * @param {string} id - Transaction ID
+ * @body {file} file - One or more files (multipart/form-data, up to 5 per request):
+ *                     JPEG, PNG, WebP, GIF or PDF, each up to ATTACHMENT_MAX_FILE_SIZE (default 10 MB)
+ * @returns {object} Transaction attachments
+ * @description The file content must match its declared type. Images get a JPEG thumbnail.
+ */
+const uploadAttachments = asyncHandler(async (req, res) => {
+  const transaction = await findOwnTransaction(req);
+
+  const files = req.files || [];
+  if (files.length === 0) {
+    throw new AppError('At least one file is required (multipart field "file")', 400);
+  }
+  if (transaction.attachments.length + files.length > ATTACHMENT_MAX_PER_TRANSACTION) {
+    throw new AppError(`A transaction can have at most ${ATTACHMENT_MAX_PER_TRANSACTION} attachments`, 400);
+  }
+
+  // Check every file (and render image thumbnails) before storing any of them
+  const uploads = [];
+  for (const file of files) {
+    const mimeType = detectMimeType(file.buffer);
+    if (!mimeType || !ATTACHMENT_MIME_TYPES.includes(mimeType)) {
+      throw new AppError(`File "${file.originalname}" is not a valid ${ATTACHMENT_MIME_TYPES.join(', ')} file`, 400);
+    }
+
+    let thumbnail = null;
+    if (mimeType.startsWith('image/')) {
+      try {
+        thumbnail = await createThumbnail(file.buffer);
+      } catch (error) {
+        throw new AppError(`Image "${file.originalname}" could not be read`, 400);
+      }
+    }
+    uploads.push({ file, mimeType, thumbnail });
+  }
+
+  const storage = getStorage();
+  const prefix = getTransactionPrefix(req.user.id.toString(), transaction._id);
+  const storedKeys = [];
+
+  try {
+    for (const { file, mimeType, thumbnail } of uploads) {
+      const _id = new mongoose.Types.ObjectId();
+      const storageKey = `${prefix}/${_id}.${FILE_EXTENSIONS[mimeType]}`;
+      await storage.put(storageKey, file.buffer, mimeType);
+      storedKeys.push(storageKey);
+
+      let thumbnailKey;
+      if (thumbnail) {
+        thumbnailKey = `${prefix}/${_id}-thumb.jpg`;
+        await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+        storedKeys.push(thumbnailKey);
+      }
+
+      const url = `/api/transactions/${transaction._id}/attachments/${_id}`;
+      transaction.attachments.push({
+        _id,
+        url,
+        thumbnailUrl: thumbnailKey ? `${url}/thumbnail` : undefined,
+        filename: file.originalname,
+        mimeType,
+        size: file.size,
+        storageKey,
+        thumbnailKey,
+        uploadedAt: new Date(),
+      });
+    }
+
+    await transaction.save();
+  } catch (error) {
+    // Leave no orphaned files behind
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+
+  logger.info(`User ${req.user.id} attached ${uploads.length} files to transaction ${transaction._id}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Attachments uploaded successfully',
+    data: {
+      attachments: transaction.attachments,
+    },
+  });
+});
+
+/**
+ * Download an attachment
+ * @route GET /api/transactions/:id/attachments/:attachmentId
+ * @access Private (owner only)
+ * @param {string} id - Transaction ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {file} The file, inline
+ */
+const getAttachment = asyncHandler(async (req, res) => {
+  const { attachment } = await findOwnAttachment(req);
+  await sendFile(res, attachment.storageKey, attachment.mimeType, attachment.filename);
+});
+
+/**
+ * Download the thumbnail of an image attachment
+ * @route GET /api/transactions/:id/attachments/:attachmentId/thumbnail
+ * @access Private (owner only)
+ * @param {string} id - Transaction ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {image/jpeg} Thumbnail
+ */
+const getAttachmentThumbnail = asyncHandler(async (req, res) => {
+  const { attachment } = await findOwnAttachment(req);
+  if (!attachment.thumbnailKey) {
+    throw new AppError('This attachment has no thumbnail', 404);
+  }
+  await sendFile(res, attachment.thumbnailKey, 'image/jpeg');
+});
+
+/**
+ * Delete an attachment
+ * @route DELETE /api/transactions/:id/attachments/:attachmentId
+ * @access Private
+ * @param {string} id - Transaction ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {object} Remaining attachments
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const { transaction, attachment } = await findOwnAttachment(req);
+
+  const keys = [attachment.storageKey, attachment.thumbnailKey].filter(Boolean);
+  transaction.attachments.pull(attachment._id);
+  await transaction.save();
+
+  const storage = getStorage();
+  await Promise.all(keys.map((key) => storage.remove(key)));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Attachment deleted successfully',
+    data: {
+      attachments: transaction.attachments,
+    },
+  });
+});
+
+/**
+ * Delete the attachment files of transactions
+ * Helper function for internal use (transaction deletion, import undo, restores)
+ * @param {string} userId
+ * @param {Array<ObjectId|string>} transactionIds
+ * @description Errors are logged, never thrown: a leftover file must not fail the deletion itself
+ */
+async function removeTransactionAttachments(userId, transactionIds) {
+  try {
+    const storage = getStorage();
+    for (const transactionId of transactionIds) {
+      await storage.removePrefix(getTransactionPrefix(userId, transactionId));
+    }
+  } catch (error) {
+    logger.error(`Error removing attachments for user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete every attachment file of a user
+ * Helper function for internal use (clear data, account deletion, admin user deletion)
+ * @param {string} userId
+ * @description Errors are logged, never thrown
+ */
+async function removeUserAttachments(userId) {
+  try {
+    await getStorage().removePrefix(`attachments/${userId}`);
+  } catch (error) {
+    logger.error(`Error removing attachments for user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Helper function to get the storage prefix of a transaction's files
+ * @param {string} userId
+ * @param {ObjectId|string} transactionId
+ * @returns {string}
+ */
+function getTransactionPrefix(userId, transactionId) {
+  return `attachments/${userId}/${transactionId}`;
+}
+
+/**
+ * Helper function to find a transaction of the authenticated user
+ * @param {object} req - Express request (params.id)
+ * @returns {Promise<Document>} Transaction
+ * @throws {AppError} 404 if not found
+ */
+async function findOwnTransaction(req) {
+  const transaction = await Transaction.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+  return transaction;
+}
+
+/**
+ * Helper function to find an attachment on a transaction of the authenticated user
+ * @param {object} req - Express request (params.id, params.attachmentId)
+ * @returns {Promise<object>} { transaction, attachment }
+ * @throws {AppError} 404 if not found
+ */
+async function findOwnAttachment(req) {
+  const transaction = await findOwnTransaction(req);
+  const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+    ? transaction.attachments.id(req.params.attachmentId)
+    : null;
+
+  if (!attachment || !attachment.storageKey) {
+    throw new AppError('Attachment not found', 404);
+  }
+  return { transaction, attachment };
+}
+
+/**
+ * Helper function to stream a stored file to the client
+ * @param {Response} res
+ * @param {string} key - Storage key
+ * @param {string} mimeType
+ * @param {string} filename - Download name (optional)
+ * @throws {AppError} 404 if the file is missing from storage
+ */
+async function sendFile(res, key, mimeType, filename) {
+  const file = await getStorage().get(key);
+  if (!file) {
+    throw new AppError('Attachment file not found', 404);
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', mimeType);
+  if (file.size !== undefined) {
+    res.setHeader('Content-Length', file.size);
+  }
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (filename) {
+    res.setHeader('Content-Disposition', `inline; filename="${filename.replace(/["\\\r\n]/g, '_')}"`);
+  }
+
+  file.stream.on('error', (error) => {
+    logger.error(`Error streaming attachment ${key}: ${error.message}`);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+}
+
+/**
+ * Helper function to detect a file type from its first bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type
+ */
+function detectMimeType(buffer) {
+  const signature = FILE_SIGNATURES.find((item) => item.matches(buffer));
+  return signature ? signature.mimeType : null;
+}
+
+/**
+ * Helper function to create an image thumbnail
+ * @param {Buffer} buffer - Image
+ * @returns {Promise<Buffer>} JPEG, rotated per EXIF, fitting THUMBNAIL_SIZE
+ */
+function createThumbnail(buffer) {
+  return sharp(buffer, { animated: false })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+module.exports = {
+  uploadAttachments,
+  getAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+  removeTransactionAttachments,
+  removeUserAttachments,
+};
@@ -10,7 +10,10 @@ const { getPgPool } = require('../config/database');
 const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
 const { AppError, asyncHandler } = require('../middleware/error.middleware');
 const logger = require('../utils/logger');
-const { Category, Transaction, Budget, Notification } = require('../models');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeCurrency } = require('../utils/currency');
+const { getSupportedLocales, isSupportedLocale, resolveLocale } = require('../locales');
+const { Category, Transaction, Budget, Notification, Account, AuditLog, Rule, ImportBatch } = require('../models');
+const { removeUserAttachments } = require('./attachmentController');
 
 /**
  * Register a new user
@@ -20,10 +23,13 @@ const { Category, Transaction, Budget, Notification } = require('../models');
  * @param {string} password - User password (required, min 6 chars)
  * @param {string} fullName - User full name (required)
  * @param {string} phone - User phone number (optional)
+ * @param {string} baseCurrency - ISO 4217 code used for summaries and budgets (optional, default: 'USD')
+ * @param {string} locale - Language of default category names and notifications, e.g. 'vi'
+ *                          (optional, default: from the Accept-Language header)
  * @returns {object} User data, access token, and refresh token
  */
 const register = asyncHandler(async (req, res) => {
-  const { email, password, fullName, phone } = req.body;
+  const { email, password, fullName, phone, baseCurrency, locale } = req.body;
 
   // Validate required fields
   if (!email || !password || !fullName) {
@@ -35,6 +41,17 @@ const register = asyncHandler(async (req, res) => {
     throw new AppError('Password must be at least 6 characters', 400);
   }
 
+  // Validate base currency
+  if (baseCurrency !== undefined && !isValidCurrency(baseCurrency)) {
+    throw new AppError('Base currency must be a 3-letter ISO 4217 code', 400);
+  }
+
+  // Validate locale
+  if (locale !== undefined && !isSupportedLocale(locale)) {
+    throw new AppError(`Locale must be one of: ${getSupportedLocales().join(', ')}`, 400);
+  }
+  const userLocale = resolveLocale(locale, req.get('accept-language'));
+
   const pool = getPgPool();
 
   // Check if email already exists
@@ -55,17 +72,17 @@ const register = asyncHandler(async (req, res) => {
 
   // Insert new user into PostgreSQL
   const result = await pool.query(
-    `INSERT INTO users (id, email, password_hash, full_name, phone, is_active, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-     RETURNING id, email, full_name, phone, is_active, created_at`,
-    [userId, email.toLowerCase(), hashedPassword, fullName, phone || null, true]
+    `INSERT INTO users (id, email, password_hash, full_name, phone, is_active, base_currency, locale, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+     RETURNING id, email, full_name, phone, is_active, base_currency, locale, created_at`,
+    [userId, email.toLowerCase(), hashedPassword, fullName, phone || null, true, normalizeCurrency(baseCurrency) || DEFAULT_CURRENCY, userLocale]
   );
 
   const user = result.rows[0];
 
-  // Create 13 default categories in MongoDB for the new user
+  // Create the default categories (active template set, else the 13 built-in ones) in their locale
   try {
-    await Category.createDefaultCategories(userId);
+    await Category.createDefaultCategories(userId, user.locale);
     logger.info(`Default categories created for user ${userId}`);
   } catch (error) {
     logger.error('Error creating default categories:', error);
@@ -96,6 +113,8 @@ const register = asyncHandler(async (req, res) => {
         email: user.email,
         fullName: user.full_name,
         phone: user.phone,
+        baseCurrency: user.base_currency,
+        locale: user.locale,
       },
       accessToken,
       refreshToken,
@@ -123,7 +142,7 @@ const login = asyncHandler(async (req, res) => {
 
   // Find user by email
   const result = await pool.query(
-    'SELECT id, email, password_hash, full_name, phone, is_active, role, is_banned, ban_reason FROM users WHERE email = $1',
+    'SELECT id, email, password_hash, full_name, phone, is_active, role, is_banned, ban_reason, base_currency, locale FROM users WHERE email = $1',
     [email.toLowerCase()]
   );
 
@@ -182,6 +201,8 @@ const login = asyncHandler(async (req, res) => {
         fullName: user.full_name,
         phone: user.phone,
         role: user.role,
+        baseCurrency: user.base_currency,
+        locale: user.locale,
       },
       accessToken,
       refreshToken,
@@ -280,7 +301,7 @@ const getProfile = asyncHandler(async (req, res) => {
 
   // req.user is set by authenticate middleware
   const result = await pool.query(
-    'SELECT id, email, full_name, phone, avatar_url, email_verified, phone_verified, created_at FROM users WHERE id = $1',
+    'SELECT id, email, full_name, phone, avatar_url, email_verified, phone_verified, base_currency, locale, created_at FROM users WHERE id = $1',
     [req.user.id]
   );
 
@@ -300,6 +321,8 @@ const getProfile = asyncHandler(async (req, res) => {
       avatarUrl: user.avatar_url,
       emailVerified: user.email_verified,
       phoneVerified: user.phone_verified,
+      baseCurrency: user.base_currency,
+      locale: user.locale,
       createdAt: user.created_at,
     },
   });
@@ -381,26 +404,45 @@ const changePassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update user profile (full name)
+ * Update user profile (full name, base currency, locale)
  * @route PUT /api/auth/profile
  * @access Private
- * @param {string} fullName - New full name (required)
+ * @param {string} fullName - New full name (required unless baseCurrency or locale is given)
+ * @param {string} baseCurrency - New base currency, ISO 4217 code (optional)
+ * @param {string} locale - New locale for notifications and reset default categories, e.g. 'vi' (optional)
  * @returns {object} Updated user data
+ * @description Changing the locale does not rename existing categories; POST /api/categories/reset-defaults does
  */
 const updateProfile = asyncHandler(async (req, res) => {
-  const { fullName } = req.body;
+  const { fullName, baseCurrency, locale } = req.body;
   const userId = req.user.id;
 
-  if (!fullName || fullName.trim().length === 0) {
+  if (baseCurrency === undefined && locale === undefined && (!fullName || fullName.trim().length === 0)) {
     throw new AppError('Full name is required', 400);
   }
 
+  if (fullName !== undefined && fullName.trim().length === 0) {
+    throw new AppError('Full name cannot be empty', 400);
+  }
+
+  if (baseCurrency !== undefined && !isValidCurrency(baseCurrency)) {
+    throw new AppError('Base currency must be a 3-letter ISO 4217 code', 400);
+  }
+
+  if (locale !== undefined && !isSupportedLocale(locale)) {
+    throw new AppError(`Locale must be one of: ${getSupportedLocales().join(', ')}`, 400);
+  }
+
   const pool = getPgPool();
 
-  // Update full name
+  // Update full name, base currency and/or locale (COALESCE keeps the current value when not provided)
   const result = await pool.query(
-    'UPDATE users SET full_name = $1, updated_at = NOW() WHERE id = $2 RETURNING id, email, full_name, phone, created_at',
-    [fullName.trim(), userId]
+    `UPDATE users
+     SET full_name = COALESCE($1, full_name), base_currency = COALESCE($2, base_currency),
+         locale = COALESCE($3, locale), updated_at = NOW()
+     WHERE id = $4
+     RETURNING id, email, full_name, phone, base_currency, locale, created_at`,
+    [fullName ? fullName.trim() : null, normalizeCurrency(baseCurrency) || null, locale !== undefined ? resolveLocale(locale) : null, userId]
   );
 
   if (result.rows.length === 0) {
@@ -419,13 +461,15 @@ const updateProfile = asyncHandler(async (req, res) => {
       email: user.email,
       fullName: user.full_name,
       phone: user.phone,
+      baseCurrency: user.base_currency,
+      locale: user.locale,
       createdAt: user.created_at,
     },
   });
 });
 
 /**
- * Clear all user data (transactions, budgets, notifications)
+ * Clear all user data (transactions, budgets, notifications, rules, import history)
  * @route DELETE /api/auth/clear-data
  * @access Private
  * @returns {object} Success message
@@ -439,7 +483,11 @@ const clearUserData = asyncHandler(async (req, res) => {
     Budget.deleteMany({ userId: userId.toString() }),
     Notification.deleteMany({ userId: userId.toString() }),
     Category.deleteMany({ userId: userId.toString(), isDefault: false }), // Keep default categories
+    AuditLog.deleteMany({ userId: userId.toString() }),
+    Rule.deleteMany({ userId: userId.toString() }),
+    ImportBatch.deleteMany({ userId: userId.toString() }),
   ]);
+  await removeUserAttachments(userId.toString());
 
   logger.info(`User ${userId} cleared all data`);
 
@@ -464,7 +512,12 @@ const deleteAccount = asyncHandler(async (req, res) => {
     Budget.deleteMany({ userId: userId.toString() }),
     Notification.deleteMany({ userId: userId.toString() }),
     Category.deleteMany({ userId: userId.toString() }),
+    Account.deleteMany({ userId: userId.toString() }),
+    AuditLog.deleteMany({ userId: userId.toString() }),
+    Rule.deleteMany({ userId: userId.toString() }),
+    ImportBatch.deleteMany({ userId: userId.toString() }),
   ]);
+  await removeUserAttachments(userId.toString());
 
   // Delete from PostgreSQL (cascades to refresh_tokens and user_notification_preferences)
   const pool = getPgPool();
@@ -0,0 +1,495 @@
+/**
+ * Backup Controller
+ * Full JSON backup of a user's data and restore into the same or another account
+ * ObjectIds in an archive are only references inside the archive: restores assign new ids
+ */
+
+const mongoose = require('mongoose');
+const { Category, Account, Transaction, Budget, ImportBatch, AuditLog } = require('../models');
+const { getPgPool } = require('../config/database');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const logger = require('../utils/logger');
+const { isValidCurrency, normalizeCurrency } = require('../utils/currency');
+const { isSupportedLocale, resolveLocale } = require('../locales');
+const { getNotificationPreferenceMap, saveNotificationPreferences } = require('./settingsController');
+const { removeTransactionAttachments } = require('./attachmentController');
+
+const BACKUP_FORMAT = 'expense-tracker-backup';
+
+// Bump when the archive layout changes; restores accept this version and older ones
+const BACKUP_VERSION = 1;
+
+const RESTORE_MODES = ['merge', 'replace'];
+
+// Fields never copied from an archive document
+const SYSTEM_FIELDS = ['_id', 'id', 'userId', '__v', 'updatedAt', 'deletedAt'];
+
+/**
+ * Download a backup of all the user's data
+ * @route GET /api/me/backup
+ * @access Private
+ * @returns {application/json} Versioned archive with settings, notification preferences,
+ *          categories, accounts, transactions (including recurring templates) and budgets
+ */
+const getBackup = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+
+  const [categories, accounts, transactions, budgets, notificationPreferences] = await Promise.all([
+    Category.find({ userId }).sort({ createdAt: 1 }),
+    Account.find({ userId }).sort({ createdAt: 1 }),
+    Transaction.find({ userId }).sort({ date: 1, createdAt: 1 }),
+    Budget.find({ userId }).sort({ startDate: 1, createdAt: 1 }),
+    getNotificationPreferenceMap(userId),
+  ]);
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date(),
+    user: {
+      email: req.user.email,
+      fullName: req.user.full_name,
+    },
+    settings: {
+      baseCurrency: req.user.base_currency,
+      locale: req.user.locale,
+    },
+    notificationPreferences,
+    categories: categories.map(toArchiveDocument),
+    accounts: accounts.map(toArchiveDocument),
+    transactions: transactions.map(toArchiveDocument),
+    budgets: budgets.map(toArchiveDocument),
+  };
+
+  logger.info(`User ${userId} downloaded a backup (${transactions.length} transactions)`);
+
+  const filename = `backup_${new Date().toISOString().split('T')[0]}.json`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).json(archive);
+});
+
+/**
+ * Restore a backup archive into the authenticated user's account
+ * @route POST /api/me/restore
+ * @access Private
+ * @body {file} file - Backup .json file (multipart/form-data), or the archive itself as a JSON body
+ * @body {string} mode - 'merge' adds to the current data, 'replace' removes it first (optional, default: 'merge')
+ * @body {boolean} restoreSettings - Also restore base currency and notification preferences (optional, default: true)
+ * @returns {object} Number of restored documents per collection
+ * @description Categories and accounts are matched by name; a name used with another type or currency
+ *              gets a " (restored)" suffix. Every other document gets a new id and its references
+ *              (category, splits, accounts, budget categories, recurring templates, rollover chains)
+ *              are remapped. In merge mode, statement lines whose import key already exists are skipped.
+ *              In replace mode the current data is only removed once the archive has been inserted.
+ */
+const restoreBackup = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+
+  let archive = req.body;
+  let options = req.body;
+  if (req.file) {
+    try {
+      archive = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      throw new AppError('Backup file is not valid JSON', 400);
+    }
+  } else if (req.body && req.body.archive) {
+    archive = req.body.archive;
+  }
+  if (options === archive) {
+    options = req.query;
+  }
+
+  validateArchive(archive);
+
+  const mode = options.mode || 'merge';
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new AppError(`mode must be one of: ${RESTORE_MODES.join(', ')}`, 400);
+  }
+  const restoreSettings = options.restoreSettings === undefined || String(options.restoreSettings) !== 'false';
+
+  // Documents that exist before the restore, trash included (removed afterwards in replace mode)
+  const [existingCategories, existingAccounts] = await Promise.all([
+    Category.find({ userId }).setOptions({ withDeleted: true }),
+    Account.find({ userId }),
+  ]);
+  const previousIds = {
+    transactions: await Transaction.distinct('_id', { userId }).setOptions({ withDeleted: true }),
+    budgets: await Budget.distinct('_id', { userId }).setOptions({ withDeleted: true }),
+  };
+
+  const inserted = { categories: [], accounts: [], transactions: [], budgets: [] };
+  const reused = { categories: new Set(), accounts: new Set() };
+  // Reused categories and accounts, changed in memory and only saved once every insert succeeded
+  const deferredUpdates = [];
+  const deferredKeys = [];
+  let skippedTransactions = 0;
+
+  try {
+    const categoryIds = await restoreNamedDocuments(Category, userId, archive.categories, existingCategories, {
+      matches: (existing, doc) => existing.type === doc.type,
+      overwrite: mode === 'replace',
+      inserted: inserted.categories,
+      reused: reused.categories,
+      deferred: deferredUpdates,
+    });
+    const accountIds = await restoreNamedDocuments(Account, userId, archive.accounts, existingAccounts, {
+      matches: (existing, doc) => existing.currency === normalizeCurrency(doc.currency || 'USD'),
+      overwrite: mode === 'replace',
+      inserted: inserted.accounts,
+      reused: reused.accounts,
+      deferred: deferredUpdates,
+    });
+
+    // New ids up front, so templates and rollover chains can point at documents inserted in the same batch
+    const transactionIds = newIdMap(archive.transactions);
+    const budgetIds = newIdMap(archive.budgets);
+
+    const existingKeys = new Set(await Transaction.distinct('importKey', {
+      userId,
+      importKey: { $in: archive.transactions.map((doc) => doc.importKey).filter(Boolean) },
+    }).setOptions({ withDeleted: true }));
+
+    const transactions = [];
+    archive.transactions.forEach((doc) => {
+      let importKey = doc.importKey;
+      if (importKey && existingKeys.has(importKey)) {
+        if (mode === 'merge') {
+          skippedTransactions++;
+          return;
+        }
+        // The current copy is removed below; the key moves over once it is gone
+        deferredKeys.push({ _id: transactionIds.get(String(doc._id)), importKey });
+        importKey = undefined;
+      }
+      transactions.push({
+        ...stripSystemFields(doc),
+        _id: transactionIds.get(String(doc._id)),
+        userId,
+        category: remap(categoryIds, doc.category),
+        splits: (doc.splits || []).map((split) => ({
+          ...stripSystemFields(split),
+          category: remap(categoryIds, split.category),
+        })),
+        account: remap(accountIds, doc.account),
+        toAccount: remap(accountIds, doc.toAccount),
+        recurringTemplateId: remap(transactionIds, doc.recurringTemplateId),
+        importBatchId: undefined,
+        // Archives hold no files: attachments stay with the transactions they were uploaded to
+        attachments: [],
+        importKey,
+      });
+    });
+
+    const budgets = archive.budgets.map((doc) => ({
+      ...stripSystemFields(doc),
+      _id: budgetIds.get(String(doc._id)),
+      userId,
+      categories: (doc.categories || []).map((id) => remap(categoryIds, id)).filter(Boolean),
+      previousBudget: remap(budgetIds, doc.previousBudget),
+    }));
+
+    inserted.transactions.push(...(await Transaction.insertMany(transactions)).map((doc) => doc._id));
+    inserted.budgets.push(...(await Budget.insertMany(budgets)).map((doc) => doc._id));
+
+    for (const doc of deferredUpdates) {
+      await doc.save();
+    }
+    await restoreCategoryParents(userId, archive.categories, categoryIds, {
+      overwrite: mode === 'replace',
+      reused: reused.categories,
+    });
+  } catch (error) {
+    // Undo whatever was inserted. Reused categories and accounts are only updated after every insert
+    // succeeded, so a failed insert leaves them as they were
+    await Promise.all([
+      Transaction.deleteMany({ _id: { $in: inserted.transactions } }),
+      Budget.deleteMany({ _id: { $in: inserted.budgets } }),
+      Category.deleteMany({ _id: { $in: inserted.categories } }),
+      Account.deleteMany({ _id: { $in: inserted.accounts } }),
+    ]);
+    logger.error(`Restore failed for user ${userId}: ${error.message}`);
+    if (error.name === 'ValidationError' || error instanceof AppError) throw error;
+    throw new AppError(`Backup could not be restored: ${error.message}`, 400);
+  }
+
+  if (mode === 'replace') {
+    const withAttachments = await Transaction.distinct('_id', {
+      userId,
+      _id: { $in: previousIds.transactions },
+      'attachments.0': { $exists: true },
+    }).setOptions({ withDeleted: true });
+    const removedCategoryIds = existingCategories
+      .filter((doc) => !reused.categories.has(doc._id.toString()))
+      .map((doc) => doc._id);
+    await Promise.all([
+      Transaction.deleteMany({ userId, _id: { $in: previousIds.transactions } }),
+      Budget.deleteMany({ userId, _id: { $in: previousIds.budgets } }),
+      ImportBatch.deleteMany({ userId }),
+      Category.deleteMany({ userId, _id: { $in: removedCategoryIds } }),
+      // The history goes with the replaced documents
+      AuditLog.deleteMany({
+        userId,
+        entityId: { $in: [...previousIds.transactions, ...previousIds.budgets, ...removedCategoryIds] },
+      }),
+      Account.deleteMany({
+        userId,
+        _id: { $in: existingAccounts.filter((doc) => !reused.accounts.has(doc._id.toString())).map((doc) => doc._id) },
+      }),
+    ]);
+
+    await removeTransactionAttachments(userId, withAttachments);
+
+    if (deferredKeys.length > 0) {
+      await Transaction.bulkWrite(deferredKeys.map(({ _id, importKey }) => ({
+        updateOne: { filter: { _id }, update: { $set: { importKey } } },
+      })));
+    }
+  }
+
+  // Spent amounts follow the restored transactions
+  const activeBudgets = await Budget.find({ _id: { $in: inserted.budgets }, isActive: true });
+  for (const budget of activeBudgets) {
+    await budget.updateSpent();
+  }
+
+  if (restoreSettings) {
+    await restoreUserSettings(userId, archive);
+  }
+
+  logger.info(`User ${userId} restored a backup (${mode}, ${inserted.transactions.length} transactions)`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Backup restored successfully',
+    data: {
+      mode,
+      restored: {
+        categories: inserted.categories.length,
+        accounts: inserted.accounts.length,
+        transactions: inserted.transactions.length,
+        budgets: inserted.budgets.length,
+      },
+      matched: {
+        categories: reused.categories.size,
+        accounts: reused.accounts.size,
+      },
+      skippedTransactions,
+      settingsRestored: restoreSettings,
+    },
+  });
+});
+
+/**
+ * Helper function to turn a document into its archive form
+ * @param {Document} doc
+ * @returns {object} Plain object with money as decimal strings, without userId and __v
+ */
+function toArchiveDocument(doc) {
+  const { userId, __v, ...rest } = doc.toObject({ getters: true, virtuals: false, versionKey: false });
+  return rest;
+}
+
+/**
+ * Helper function to check the archive layout
+ * @param {object} archive
+ * @throws {AppError} 400 if the archive is not a supported backup
+ */
+function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    throw new AppError('Not a backup archive (format must be "expense-tracker-backup")', 400);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+    throw new AppError(`Unsupported backup version ${archive.version} (this server reads up to ${BACKUP_VERSION})`, 400);
+  }
+
+  ['categories', 'accounts', 'transactions', 'budgets'].forEach((key) => {
+    if (archive[key] === undefined) {
+      archive[key] = [];
+    }
+    if (!Array.isArray(archive[key])) {
+      throw new AppError(`Backup ${key} must be an array`, 400);
+    }
+    archive[key].forEach((doc, index) => {
+      if (!doc || typeof doc !== 'object' || !mongoose.isValidObjectId(doc._id)) {
+        throw new AppError(`Backup ${key}[${index}] must be an object with a valid _id`, 400);
+      }
+    });
+  });
+}
+
+/**
+ * Helper function to restore categories or accounts, whose names are unique per user
+ * @param {Model} Model - Category or Account
+ * @param {string} userId
+ * @param {Array<object>} docs - Archive documents
+ * @param {Array<Document>} existing - The user's current documents
+ * @param {object} options - { matches(existing, doc), overwrite, inserted: Array, reused: Set, deferred: Array }
+ * @returns {Promise<Map>} Archive id -> new id
+ * @description A document with the same name is reused when `matches` accepts it (and overwritten with
+ *              the archive values when `overwrite` is set); otherwise a renamed copy is created.
+ *              Changed reused documents are not saved but added to `deferred`, for the caller to save.
+ */
+async function restoreNamedDocuments(Model, userId, docs, existing, options) {
+  const ids = new Map();
+  const byName = new Map(existing.map((doc) => [doc.name.toLowerCase(), doc]));
+  const toInsert = [];
+
+  for (const doc of docs) {
+    const fields = stripSystemFields(doc);
+    let name = String(doc.name || '').trim();
+    const match = byName.get(name.toLowerCase());
+
+    if (match && options.matches(match, doc)) {
+      ids.set(String(doc._id), match._id);
+      options.reused.add(match._id.toString());
+      if (options.overwrite) {
+        match.set({ ...fields, name: match.name });
+      }
+      // A matching category in the trash comes back with the restored data
+      if (match.deletedAt) {
+        match.deletedAt = null;
+      }
+      if (match.isModified()) {
+        options.deferred.push(match);
+      }
+      continue;
+    }
+
+    if (match) {
+      name = `${name.slice(0, 39)} (restored)`;
+    }
+    const _id = new mongoose.Types.ObjectId();
+    ids.set(String(doc._id), _id);
+    byName.set(name.toLowerCase(), { ...fields, name });
+    toInsert.push({ ...fields, _id, userId, name });
+  }
+
+  const created = await Model.insertMany(toInsert);
+  options.inserted.push(...created.map((doc) => doc._id));
+  return ids;
+}
+
+/**
+ * Helper function to point restored subcategories at their restored parents
+ * @param {string} userId
+ * @param {Array<object>} docs - Archive categories
+ * @param {Map} ids - Archive id -> new id, from restoreNamedDocuments
+ * @param {object} options - { overwrite, reused: Set }
+ * @description Categories are inserted with their archive parent ids, which only mean something once
+ *              every category has its new id. Reused categories keep their parent unless overwritten.
+ *              A category whose parent is missing, of another type, or would nest it deeper than
+ *              Category.MAX_DEPTH (with reused categories in merge mode) becomes top-level.
+ */
+async function restoreCategoryParents(userId, docs, ids, options) {
+  const wanted = docs
+    .filter((doc) => options.overwrite || !options.reused.has(ids.get(String(doc._id)).toString()))
+    .filter((doc) => doc.parent)
+    .map((doc) => ({ id: ids.get(String(doc._id)).toString(), parent: remap(ids, doc.parent)?.toString() || null }));
+  if (wanted.length === 0) {
+    return;
+  }
+
+  // Place each category in an in-memory copy of the tree, checking the depth of its whole subtree
+  const categories = await Category.find({ userId }).select('parent type').setOptions({ withDeleted: true });
+  const tree = new Map(categories.map((category) => [
+    category._id.toString(),
+    { parent: category.parent ? category.parent.toString() : null, type: category.type },
+  ]));
+  const getDepth = (id) => {
+    const seen = new Set();
+    for (let current = id; current && tree.has(current); current = tree.get(current).parent) {
+      if (seen.has(current)) return Infinity;
+      seen.add(current);
+    }
+    return seen.size;
+  };
+  const getHeight = (id, level = 0) => {
+    if (level > Category.MAX_DEPTH) return Infinity;
+    const children = [...tree.keys()].filter((childId) => tree.get(childId).parent === id);
+    return Math.max(0, ...children.map((childId) => 1 + getHeight(childId, level + 1)));
+  };
+
+  wanted.forEach(({ id, parent }) => {
+    const node = tree.get(id);
+    const parentNode = parent && tree.get(parent);
+    node.parent = parentNode && parentNode.type === node.type ? parent : null;
+    if (node.parent && getDepth(id) + getHeight(id) > Category.MAX_DEPTH) {
+      node.parent = null;
+    }
+  });
+
+  await Category.bulkWrite(wanted.map(({ id }) => ({
+    updateOne: {
+      filter: { _id: id, userId },
+      update: { $set: { parent: tree.get(id).parent } },
+    },
+  })));
+}
+
+/**
+ * Helper function to restore the base currency, locale and notification preferences
+ * @param {string} userId
+ * @param {object} archive
+ */
+async function restoreUserSettings(userId, archive) {
+  const baseCurrency = archive.settings?.baseCurrency;
+  if (baseCurrency && isValidCurrency(baseCurrency)) {
+    const pool = getPgPool();
+    await pool.query(
+      'UPDATE users SET base_currency = $1, updated_at = NOW() WHERE id = $2',
+      [normalizeCurrency(baseCurrency), userId]
+    );
+  }
+
+  const locale = archive.settings?.locale;
+  if (locale && isSupportedLocale(locale)) {
+    const pool = getPgPool();
+    await pool.query(
+      'UPDATE users SET locale = $1, updated_at = NOW() WHERE id = $2',
+      [resolveLocale(locale), userId]
+    );
+  }
+
+  const preferences = Object.fromEntries(
+    Object.entries(archive.notificationPreferences || {}).filter(([, value]) => typeof value === 'boolean')
+  );
+  if (Object.keys(preferences).length > 0) {
+    await saveNotificationPreferences(userId, preferences);
+  }
+}
+
+/**
+ * Helper function to assign a new id to every archive document
+ * @param {Array<object>} docs
+ * @returns {Map} Archive id -> new ObjectId
+ */
+function newIdMap(docs) {
+  return new Map(docs.map((doc) => [String(doc._id), new mongoose.Types.ObjectId()]));
+}
+
+/**
+ * Helper function to translate an archive reference
+ * @param {Map} ids - Archive id -> new id
+ * @param {string} id - Archive id (optional)
+ * @returns {ObjectId|undefined} undefined when unset or pointing outside the archive
+ */
+function remap(ids, id) {
+  return id ? ids.get(String(id)) : undefined;
+}
+
+/**
+ * Helper function to drop ids and ownership fields from an archive document
+ * @param {object} doc
+ * @returns {object}
+ */
+function stripSystemFields(doc) {
+  const fields = { ...doc };
+  SYSTEM_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+}
+
+module.exports = {
+  getBackup,
+  restoreBackup,
+};
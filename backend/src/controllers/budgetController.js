@@ -5,17 +5,26 @@
  * Uses MongoDB for budget data storage
  */
 
-const { Budget, Transaction } = require('../models');
+const { Budget, Transaction, Category, AuditLog } = require('../models');
 const { AppError, asyncHandler } = require('../middleware/error.middleware');
 const { createNotification } = require('./notificationController');
-const { isNotificationEnabled } = require('./settingsController');
+const { isNotificationEnabled, getUserLocale } = require('./settingsController');
+const { recordHistory } = require('./historyController');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeCurrency, formatCurrency } = require('../utils/currency');
+const { getCurrencyDecimals, toMinorUnits, fromMinorUnits, parseAmount, moneyToNumber } = require('../utils/money');
+const { translate } = require('../locales');
+const logger = require('../utils/logger');
+
+const ON_TRACK_CADENCES = ['none', 'mid_period', 'weekly'];
+const ROLLOVER_MODES = ['none', 'surplus', 'deficit', 'both'];
 
 /**
  * Create a new budget
  * @route POST /api/budgets
  * @access Private
  * @body {string} name - Budget name (required)
- * @body {number} amount - Budget limit amount (required)
+ * @body {string} amount - Budget limit as a decimal string, e.g. '500.00' (required)
+ * @body {string} currency - ISO 4217 code spending is converted to (optional, default: user's base currency)
  * @body {string} period - 'daily', 'weekly', 'monthly', 'yearly', 'custom' (required)
  * @body {Date} startDate - Budget start date (required)
  * @body {Date} endDate - Budget end date (required)
@@ -23,12 +32,15 @@ const { isNotificationEnabled } = require('./settingsController');
  * @body {number} alertThreshold - Alert threshold percentage 0-100 (optional, default: 80)
  * @body {boolean} alertEnabled - Enable/disable alerts (optional, default: true)
  * @body {boolean} repeatAutomatically - Auto-create next period budget (optional, default: false)
+ * @body {string} onTrackCadence - 'none', 'mid_period', 'weekly' (optional, default: 'mid_period')
+ * @body {object} rollover - { mode: 'none'|'surplus'|'deficit'|'both', cap } carried into the next period (optional)
  * @returns {object} Created budget with calculated fields
  */
 const createBudget = asyncHandler(async (req, res) => {
   const {
     name,
     amount,
+    currency,
     period,
     startDate,
     endDate,
@@ -36,6 +48,8 @@ const createBudget = asyncHandler(async (req, res) => {
     alertThreshold,
     alertEnabled,
     repeatAutomatically,
+    onTrackCadence,
+    rollover,
   } = req.body;
 
   // Validate required fields
@@ -43,11 +57,6 @@ const createBudget = asyncHandler(async (req, res) => {
     throw new AppError('Name, amount, period, startDate, and endDate are required', 400);
   }
 
-  // Validate amount
-  if (amount <= 0) {
-    throw new AppError('Budget amount must be greater than 0', 400);
-  }
-
   // Validate dates
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -61,11 +70,26 @@ const createBudget = asyncHandler(async (req, res) => {
     throw new AppError('Invalid period. Must be one of: daily, weekly, monthly, yearly, custom', 400);
   }
 
+  if (onTrackCadence !== undefined && !ON_TRACK_CADENCES.includes(onTrackCadence)) {
+    throw new AppError(`Invalid onTrackCadence. Must be one of: ${ON_TRACK_CADENCES.join(', ')}`, 400);
+  }
+
+  if (currency !== undefined && !isValidCurrency(currency)) {
+    throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+  }
+  const budgetCurrency = normalizeCurrency(currency) || req.user.base_currency || DEFAULT_CURRENCY;
+
+  // Validate amount at the currency precision
+  const budgetAmount = parseBudgetAmount(amount, budgetCurrency, 'Budget amount');
+
+  const budgetRollover = rollover !== undefined ? validateRollover(rollover, budgetCurrency) : undefined;
+
   // Create budget
   const budget = await Budget.create({
     userId: req.user.id,
     name: name.trim(),
-    amount,
+    amount: budgetAmount,
+    currency: budgetCurrency,
     period,
     startDate: start,
     endDate: end,
@@ -73,7 +97,15 @@ const createBudget = asyncHandler(async (req, res) => {
     alertThreshold: alertThreshold || 80,
     alertEnabled: alertEnabled !== undefined ? alertEnabled : true,
     repeatAutomatically: repeatAutomatically || false,
+    onTrackCadence,
+    rollover: budgetRollover,
   });
+  await recordHistory(req, 'budget', [{
+    action: 'create',
+    entityId: budget._id,
+    before: null,
+    after: AuditLog.snapshot('budget', budget),
+  }]);
 
   // Calculate initial spent amount
   await budget.updateSpent();
@@ -99,7 +131,7 @@ const createBudget = asyncHandler(async (req, res) => {
  * @access Private
  * @query {string} period - Filter by period (optional)
  * @query {boolean} active - Filter by active status (optional)
- * @query {string} category - Filter by category ID (optional)
+ * @query {string} category - Filter by category ID, also matching budgets on its parent categories (optional)
  * @returns {object} Array of budgets with calculated fields
  */
 const getBudgets = asyncHandler(async (req, res) => {
@@ -121,7 +153,7 @@ const getBudgets = asyncHandler(async (req, res) => {
   }
 
   if (category) {
-    query.categories = category;
+    query.categories = { $in: await Category.getAncestorIds(req.user.id, [category]) };
   }
 
   // Get budgets
@@ -220,6 +252,49 @@ const getBudgetById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get past periods of a recurring budget
+ * @route GET /api/budgets/:id/history
+ * @access Private
+ * @param {string} id - Budget ID (any period of the series)
+ * @query {number} limit - Maximum number of past periods (default: 12)
+ * @returns {object} Past periods (most recent first) with final spent and status
+ */
+const getBudgetHistory = asyncHandler(async (req, res) => {
+  const { limit = 12 } = req.query;
+
+  const budget = await Budget.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!budget) {
+    throw new AppError('Budget not found', 404);
+  }
+
+  const history = await Budget.getHistory(budget, parseInt(limit));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      history: history.map((period) => ({
+        _id: period._id,
+        name: period.name,
+        amount: period.amount,
+        carriedOver: period.carriedOver,
+        effectiveAmount: period.effectiveAmount,
+        spent: period.spent,
+        remaining: period.remaining,
+        percentageUsed: period.percentageUsed,
+        status: period.status,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        closedAt: period.closedAt,
+      })),
+    },
+  });
+});
+
 /**
  * Update budget
  * @route PUT /api/budgets/:id
@@ -227,6 +302,7 @@ const getBudgetById = asyncHandler(async (req, res) => {
  * @param {string} id - Budget ID
  * @body {string} name - Budget name (optional)
  * @body {number} amount - Budget amount (optional)
+ * @body {string} currency - Budget currency (optional)
  * @body {string} period - Budget period (optional)
  * @body {Date} startDate - Start date (optional)
  * @body {Date} endDate - End date (optional)
@@ -235,6 +311,8 @@ const getBudgetById = asyncHandler(async (req, res) => {
  * @body {boolean} alertEnabled - Alert enabled (optional)
  * @body {boolean} repeatAutomatically - Repeat automatically (optional)
  * @body {boolean} isActive - Active status (optional)
+ * @body {string} onTrackCadence - 'none', 'mid_period', 'weekly' (optional)
+ * @body {object} rollover - { mode, cap } (optional)
  * @returns {object} Updated budget
  */
 const updateBudget = asyncHandler(async (req, res) => {
@@ -247,9 +325,12 @@ const updateBudget = asyncHandler(async (req, res) => {
     throw new AppError('Budget not found', 404);
   }
 
+  const before = AuditLog.snapshot('budget', budget);
+
   const {
     name,
     amount,
+    currency,
     period,
     startDate,
     endDate,
@@ -258,15 +339,25 @@ const updateBudget = asyncHandler(async (req, res) => {
     alertEnabled,
     repeatAutomatically,
     isActive,
+    onTrackCadence,
+    rollover,
   } = req.body;
 
   // Update fields if provided
   if (name !== undefined) budget.name = name.trim();
-  if (amount !== undefined) {
-    if (amount <= 0) {
-      throw new AppError('Budget amount must be greater than 0', 400);
+  if (currency !== undefined) {
+    if (!isValidCurrency(currency)) {
+      throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
     }
-    budget.amount = amount;
+    budget.currency = normalizeCurrency(currency);
+  }
+  if (amount !== undefined || currency !== undefined) {
+    // Re-check the stored amount too when the currency (and its precision) changes
+    budget.amount = parseBudgetAmount(
+      amount !== undefined ? amount : budget.amount,
+      budget.currency,
+      'Budget amount'
+    );
   }
   if (period !== undefined) {
     const validPeriods = ['daily', 'weekly', 'monthly', 'yearly', 'custom'];
@@ -287,6 +378,15 @@ const updateBudget = asyncHandler(async (req, res) => {
   if (alertEnabled !== undefined) budget.alertEnabled = alertEnabled;
   if (repeatAutomatically !== undefined) budget.repeatAutomatically = repeatAutomatically;
   if (isActive !== undefined) budget.isActive = isActive;
+  if (onTrackCadence !== undefined) {
+    if (!ON_TRACK_CADENCES.includes(onTrackCadence)) {
+      throw new AppError(`Invalid onTrackCadence. Must be one of: ${ON_TRACK_CADENCES.join(', ')}`, 400);
+    }
+    budget.onTrackCadence = onTrackCadence;
+  }
+  if (rollover !== undefined) {
+    budget.rollover = validateRollover(rollover, budget.currency);
+  }
 
   // Validate dates if both are present
   if (budget.endDate <= budget.startDate) {
@@ -294,6 +394,12 @@ const updateBudget = asyncHandler(async (req, res) => {
   }
 
   await budget.save();
+  await recordHistory(req, 'budget', [{
+    action: 'update',
+    entityId: budget._id,
+    before,
+    after: AuditLog.snapshot('budget', budget),
+  }]);
 
   // Update spent amount
   await budget.updateSpent();
@@ -301,6 +407,9 @@ const updateBudget = asyncHandler(async (req, res) => {
   // Populate categories
   await budget.populate('categories', 'name icon color');
 
+  // Amount, threshold or dates may have moved the budget across a threshold
+  await checkBudgetAlert(budget);
+
   res.status(200).json({
     status: 'success',
     message: 'Budget updated successfully',
@@ -311,14 +420,15 @@ const updateBudget = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete budget
+ * Delete budget (moves it to the trash)
  * @route DELETE /api/budgets/:id
  * @access Private
  * @param {string} id - Budget ID
- * @returns {object} Success message
+ * @returns {object} Success message with the deletion time
+ * @description The budget can be restored from /api/trash until it is purged
  */
 const deleteBudget = asyncHandler(async (req, res) => {
-  const budget = await Budget.findOneAndDelete({
+  const budget = await Budget.findOne({
     _id: req.params.id,
     userId: req.user.id,
   });
@@ -327,10 +437,22 @@ const deleteBudget = asyncHandler(async (req, res) => {
     throw new AppError('Budget not found', 404);
   }
 
+  const before = AuditLog.snapshot('budget', budget);
+  await budget.softDelete();
+  await recordHistory(req, 'budget', [{
+    action: 'delete',
+    entityId: budget._id,
+    before,
+    after: AuditLog.snapshot('budget', budget),
+  }]);
+
   res.status(200).json({
     status: 'success',
-    message: 'Budget deleted successfully',
-    data: null,
+    message: 'Budget moved to trash',
+    data: {
+      id: budget._id,
+      deletedAt: budget.deletedAt,
+    },
   });
 });
 
@@ -340,6 +462,7 @@ const deleteBudget = asyncHandler(async (req, res) => {
  * @access Private
  * @param {string} id - Budget ID
  * @returns {object} Success message
+ * @description Skips the trash; also purges a budget that is already in the trash
  */
 const deleteBudgetPermanently = asyncHandler(async (req, res) => {
   const budget = await Budget.findOneAndDelete({
@@ -351,6 +474,9 @@ const deleteBudgetPermanently = asyncHandler(async (req, res) => {
     throw new AppError('Budget not found', 404);
   }
 
+  // The history goes with the budget
+  await AuditLog.deleteMany({ entityType: 'budget', entityId: budget._id });
+
   res.status(200).json({
     status: 'success',
     message: 'Budget permanently deleted',
@@ -406,106 +532,219 @@ const refreshAllBudgets = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Helper function to parse a budget amount at the currency precision
+ * @param {string|number} value - Decimal string (or number)
+ * @param {string} currency - Budget currency
+ * @param {string} label - Field name used in error messages
+ * @param {object} options - { allowZero: true } accepts 0 (optional)
+ * @returns {string} Decimal string
+ * @throws {AppError} 400 if invalid
+ */
+function parseBudgetAmount(value, currency, label, options = {}) {
+  const parsed = parseAmount(value, currency);
+  if (parsed === null) {
+    throw new AppError(`${label} must be a decimal amount with at most ${getCurrencyDecimals(currency)} decimal places for ${currency}`, 400);
+  }
+
+  const minor = toMinorUnits(parsed, currency);
+  if (minor < 0 || (minor === 0 && !options.allowZero)) {
+    throw new AppError(`${label} must be greater than ${options.allowZero ? 'or equal to ' : ''}0`, 400);
+  }
+
+  return parsed;
+}
+
+/**
+ * Helper function to validate rollover settings
+ * @param {Object} rollover - { mode, cap }
+ * @param {string} currency - Budget currency (sets the cap precision)
+ * @returns {Object} Validated { mode, cap } with cap as a decimal string
+ * @throws {AppError} 400 if invalid
+ */
+function validateRollover(rollover, currency) {
+  if (!rollover || typeof rollover !== 'object' || !ROLLOVER_MODES.includes(rollover.mode)) {
+    throw new AppError(`Invalid rollover mode. Must be one of: ${ROLLOVER_MODES.join(', ')}`, 400);
+  }
+
+  if (rollover.cap === undefined || rollover.cap === null) {
+    return { mode: rollover.mode };
+  }
+
+  return {
+    mode: rollover.mode,
+    cap: parseBudgetAmount(rollover.cap, currency, 'Rollover cap', { allowZero: true }),
+  };
+}
+
+// Alert levels in escalation order
+const ALERT_LEVELS = ['ok', 'warning', 'exceeded'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
  * Helper function to check budget alert and create notification
  * @param {Object} budget - Budget object
+ * @param {Date} now - Evaluation time (optional, defaults to now)
+ * @description Notifications fire only when the budget crosses a threshold upwards
+ *              (ok -> warning -> exceeded). Dropping back below a threshold re-arms it,
+ *              and a new period (different startDate) re-arms everything.
+ *              BUDGET_ON_TRACK follows the budget's onTrackCadence.
+ *              Nothing fires while the budget has missingRates.
  */
-async function checkBudgetAlert(budget) {
+async function checkBudgetAlert(budget, now = new Date()) {
   if (!budget.alertEnabled) return;
+  // Spent leaves out expenses that cannot be converted yet
+  if (budget.missingRates && budget.missingRates.length > 0) return;
 
-  const percentageUsed = (budget.spent / budget.amount) * 100;
+  const percentageUsed = budget.percentageUsed;
   const userId = budget.userId.toString();
 
-  console.log(`Checking alert for budget ${budget.name}: ${percentageUsed.toFixed(1)}% used`);
+  let level = 'ok';
+  if (percentageUsed >= 100) level = 'exceeded';
+  else if (percentageUsed >= budget.alertThreshold) level = 'warning';
+
+  const state = budget.alertState || {};
+  const samePeriod = !!state.periodStart &&
+    new Date(state.periodStart).getTime() === new Date(budget.startDate).getTime();
+  const previousLevel = samePeriod ? state.level || 'ok' : 'ok';
+  const onTrackNotifiedAt = samePeriod ? state.onTrackNotifiedAt : null;
+
+  logger.debug(`Checking alert for budget ${budget._id}: ${percentageUsed.toFixed(1)}% used (${previousLevel} -> ${level})`);
+
+  let alertType = null;
+  if (ALERT_LEVELS.indexOf(level) > ALERT_LEVELS.indexOf(previousLevel)) {
+    alertType = level === 'exceeded' ? 'BUDGET_EXCEEDED' : 'BUDGET_WARNING';
+  } else if (level === 'ok' && isOnTrackAlertDue(budget, percentageUsed, onTrackNotifiedAt, now)) {
+    alertType = 'BUDGET_ON_TRACK';
+  }
+
+  // Nothing crossed and nothing to re-arm
+  if (samePeriod && state.level === level && !alertType) return;
+
+  const nextState = {
+    level,
+    periodStart: budget.startDate,
+    onTrackNotifiedAt: alertType === 'BUDGET_ON_TRACK' ? now : onTrackNotifiedAt,
+    updatedAt: now,
+  };
 
   try {
-    // Budget exceeded (100%+)
-    if (percentageUsed >= 100) {
-      const overAmount = budget.spent - budget.amount;
-      const isEnabled = await isNotificationEnabled(userId, 'BUDGET_EXCEEDED');
-      if (isEnabled) {
-        await createNotification(userId, {
-          type: 'BUDGET_EXCEEDED',
-          title: `${budget.name} budget exceeded`,
-          message: `You've exceeded your ${budget.name} budget by ${formatCurrency(overAmount)}`,
-          priority: 'HIGH',
-          referenceType: 'BUDGET',
-          referenceId: budget._id.toString(),
-          metadata: {
-            budgetName: budget.name,
-            budgetAmount: budget.amount,
-            spent: budget.spent,
-            overAmount: overAmount,
-            percentageUsed: percentageUsed.toFixed(1)
-          }
-        });
-        console.log('Created BUDGET_EXCEEDED notification');
-      } else {
-        console.log('ℹBUDGET_EXCEEDED notification skipped (disabled by user)');
-      }
-    }
-    // Budget warning (80%+)
-    else if (percentageUsed >= budget.alertThreshold) {
-      const isEnabled = await isNotificationEnabled(userId, 'BUDGET_WARNING');
-      if (isEnabled) {
-        await createNotification(userId, {
-          type: 'BUDGET_WARNING',
-          title: `${budget.name} budget warning`,
-          message: `You've used ${percentageUsed.toFixed(0)}% of your ${budget.name} budget (${formatCurrency(budget.spent)}/${formatCurrency(budget.amount)})`,
-          priority: 'MEDIUM',
-          referenceType: 'BUDGET',
-          referenceId: budget._id.toString(),
-          metadata: {
-            budgetName: budget.name,
-            budgetAmount: budget.amount,
-            spent: budget.spent,
-            percentageUsed: percentageUsed.toFixed(1),
-            alertThreshold: budget.alertThreshold
-          }
-        });
-        console.log('Created BUDGET_WARNING notification');
-      } else {
-        console.log('ℹBUDGET_WARNING notification skipped (disabled by user)');
-      }
-    }
-    // Budget on track (<50%)
-    else if (percentageUsed < 50) {
-      const isEnabled = await isNotificationEnabled(userId, 'BUDGET_ON_TRACK');
-      if (isEnabled) {
-        await createNotification(userId, {
-          type: 'BUDGET_ON_TRACK',
-          title: `${budget.name} budget on track`,
-          message: `Great job! You've only used ${percentageUsed.toFixed(0)}% of your ${budget.name} budget`,
-          priority: 'LOW',
-          referenceType: 'BUDGET',
-          referenceId: budget._id.toString(),
-          metadata: {
-            budgetName: budget.name,
-            budgetAmount: budget.amount,
-            spent: budget.spent,
-            percentageUsed: percentageUsed.toFixed(1)
-          }
-        });
-        console.log('Created BUDGET_ON_TRACK notification');
-      } else {
-        console.log('ℹBUDGET_ON_TRACK notification skipped (disabled by user)');
-      }
+    // Compare-and-set on the previous state so concurrent checks cannot send the same alert twice
+    const result = await Budget.updateOne(
+      { _id: budget._id, 'alertState.updatedAt': state.updatedAt || null },
+      { $set: { alertState: nextState } }
+    );
+    if (result.modifiedCount === 0) return;
+    budget.alertState = nextState;
+
+    // Only re-armed, no threshold crossed
+    if (!alertType) return;
+
+    const isEnabled = await isNotificationEnabled(userId, alertType);
+    if (!isEnabled) {
+      logger.debug(`${alertType} notification for budget ${budget._id} skipped (disabled by user)`);
+      return;
     }
+
+    const locale = await getUserLocale(userId);
+    await createNotification(userId, buildBudgetNotification(alertType, budget, percentageUsed, locale));
+    logger.debug(`Created ${alertType} notification for budget ${budget._id}`);
   } catch (error) {
-    console.error('Error creating budget notification:', error);
+    logger.error(`Error creating budget notification for budget ${budget._id}: ${error.message}`);
+  }
+}
+
+/**
+ * Helper function to decide whether a BUDGET_ON_TRACK notification is due
+ * @param {Object} budget - Budget object
+ * @param {number} percentageUsed - Percentage of budget spent
+ * @param {Date} lastNotifiedAt - Last BUDGET_ON_TRACK notification in this period
+ * @param {Date} now - Evaluation time
+ * @returns {boolean}
+ * @description A budget is on track when the share spent is not ahead of the share of the period elapsed
+ */
+function isOnTrackAlertDue(budget, percentageUsed, lastNotifiedAt, now) {
+  const start = new Date(budget.startDate).getTime();
+  const end = new Date(budget.endDate).getTime();
+  if (now < start || now > end) return false;
+
+  const elapsedPercentage = ((now - start) / (end - start)) * 100;
+  if (percentageUsed > elapsedPercentage) return false;
+
+  switch (budget.onTrackCadence) {
+    case 'mid_period':
+      return !lastNotifiedAt && elapsedPercentage >= 50;
+    case 'weekly':
+      return now - new Date(lastNotifiedAt || start).getTime() >= WEEK_MS;
+    default:
+      return false;
   }
 }
 
 /**
- * Helper function to format currency
- * @param {number} amount
- * @returns {string}
+ * Helper function to build a budget notification payload
+ * @param {string} type - BUDGET_EXCEEDED, BUDGET_WARNING or BUDGET_ON_TRACK
+ * @param {Object} budget - Budget object
+ * @param {number} percentageUsed - Percentage of budget spent
+ * @param {string} locale - Locale of the title and message (see src/locales)
+ * @returns {object} Notification data for createNotification
  */
-function formatCurrency(amount) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(amount);
+function buildBudgetNotification(type, budget, percentageUsed, locale) {
+  const base = {
+    referenceType: 'BUDGET',
+    referenceId: budget._id.toString(),
+    metadata: {
+      budgetName: budget.name,
+      budgetAmount: budget.effectiveAmount,
+      spent: budget.spent,
+      currency: budget.currency,
+      percentageUsed: percentageUsed.toFixed(1),
+    },
+  };
+  const params = {
+    budgetName: budget.name,
+    percentage: percentageUsed.toFixed(0),
+    spent: formatCurrency(moneyToNumber(budget.spent), budget.currency),
+    amount: formatCurrency(moneyToNumber(budget.effectiveAmount), budget.currency),
+  };
+
+  switch (type) {
+    case 'BUDGET_EXCEEDED': {
+      const overAmount = fromMinorUnits(
+        toMinorUnits(budget.spent, budget.currency) - toMinorUnits(budget.effectiveAmount, budget.currency),
+        budget.currency
+      );
+      return {
+        ...base,
+        type,
+        title: translate(locale, `notifications.${type}.title`, params),
+        message: translate(locale, `notifications.${type}.message`, {
+          ...params,
+          overAmount: formatCurrency(moneyToNumber(overAmount), budget.currency),
+        }),
+        priority: 'HIGH',
+        metadata: { ...base.metadata, overAmount },
+      };
+    }
+    case 'BUDGET_WARNING':
+      return {
+        ...base,
+        type,
+        title: translate(locale, `notifications.${type}.title`, params),
+        message: translate(locale, `notifications.${type}.message`, params),
+        priority: 'MEDIUM',
+        metadata: { ...base.metadata, alertThreshold: budget.alertThreshold },
+      };
+    default:
+      return {
+        ...base,
+        type,
+        title: translate(locale, 'notifications.BUDGET_ON_TRACK.title', params),
+        message: translate(locale, 'notifications.BUDGET_ON_TRACK.message', params),
+        priority: 'LOW',
+      };
+  }
 }
 
 module.exports = {
@@ -514,6 +753,7 @@ module.exports = {
   getActiveBudgets,
   getBudgetStatus,
   getBudgetById,
+  getBudgetHistory,
   updateBudget,
   deleteBudget,
   deleteBudgetPermanently,
@@ -1,12 +1,18 @@
 /**
  * Category Controller
  * Handles CRUD operations for transaction categories
- * Categories can be default (system-created) or custom (user-created)
+ * Categories can be default (system-created) or custom (user-created), and nested
+ * under a parent category of the same type up to Category.MAX_DEPTH levels
+ * Default categories can be customized and archived, but not deleted
  * Uses MongoDB for category data storage
  */
 
-const { Category } = require('../models');
+const mongoose = require('mongoose');
+const { Category, Transaction, Budget, Rule, AuditLog } = require('../models');
 const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { recordHistory } = require('./historyController');
+const { updateBudgetsAfterTransaction } = require('./transactionController');
+const logger = require('../utils/logger');
 
 /**
  * Create a new category
@@ -14,12 +20,13 @@ const { AppError, asyncHandler } = require('../middleware/error.middleware');
  * @access Private
  * @param {string} name - Category name (required)
  * @param {string} type - 'income' or 'expense' (required)
+ * @param {string} parent - Parent category ID, of the same type (optional, default: top-level)
  * @param {string} icon - Icon name (optional, default: 'default')
  * @param {string} color - Hex color code (optional, default: '#3498db')
  * @returns {object} Created category
  */
 const createCategory = asyncHandler(async (req, res) => {
-  const { name, type, icon, color } = req.body;
+  const { name, type, parent, icon, color } = req.body;
 
   // Validate required fields
   if (!name || !type) {
@@ -42,14 +49,34 @@ const createCategory = asyncHandler(async (req, res) => {
     throw new AppError('Category with this name and type already exists', 400);
   }
 
+  // Names stay reserved while a deleted category is in the trash
+  const trashedCategory = await Category.findOne({
+    userId: req.user.id,
+    name: name.trim(),
+    deletedAt: { $ne: null },
+  });
+
+  if (trashedCategory) {
+    throw new AppError('A deleted category with this name is in the trash. Restore or purge it first', 400);
+  }
+
+  const parentCategory = parent ? await resolveParentCategory(req.user.id, parent, type) : null;
+
   // Create new custom category (isDefault: false)
   const category = await Category.create({
     userId: req.user.id,
     name: name.trim(),
     type,
+    parent: parentCategory ? parentCategory._id : null,
     icon: icon || 'default',
     color: color || '#3498db',
   });
+  await recordHistory(req, 'category', [{
+    action: 'create',
+    entityId: category._id,
+    before: null,
+    after: AuditLog.snapshot('category', category),
+  }]);
 
   res.status(201).json({
     status: 'success',
@@ -65,19 +92,23 @@ const createCategory = asyncHandler(async (req, res) => {
  * @route GET /api/categories
  * @access Private
  * @query {string} type - Filter by 'income' or 'expense' (optional)
+ * @query {boolean} tree - Nest subcategories under their parents in `children` (optional, default: false)
+ * @query {boolean} includeInactive - Include archived categories (optional, default: false)
  * @returns {object} Array of categories (includes default + custom)
  * @description Uses static method from Category model
  */
 const getCategories = asyncHandler(async (req, res) => {
-  const { type } = req.query;
+  const { type, tree, includeInactive } = req.query;
 
   // Call static method to get user's categories (default + custom)
-  const categories = await Category.getByUser(req.user.id, type || null);
+  const categories = await Category.getByUser(req.user.id, type || null, {
+    includeInactive: includeInactive === 'true',
+  });
 
   res.status(200).json({
     status: 'success',
     data: {
-      categories,
+      categories: tree === 'true' ? Category.buildTree(categories) : categories,
     },
   });
 });
@@ -114,11 +145,13 @@ const getCategoryById = asyncHandler(async (req, res) => {
  * @access Private
  * @param {string} id - Category ID (MongoDB ObjectId)
  * @param {string} name - New category name (optional)
+ * @param {string|null} parent - New parent category ID, or null to make it top-level (optional)
  * @param {string} icon - New icon (optional)
  * @param {string} color - New color (optional)
- * @param {boolean} isActive - Active status (optional)
+ * @param {boolean} isActive - Active status, false archives the category (optional)
  * @returns {object} Updated category
- * @description Default categories cannot be edited
+ * @description Default categories can be renamed, re-iconed, re-colored and archived like custom ones;
+ *              POST /api/categories/reset-defaults puts them back
  */
 const updateCategory = asyncHandler(async (req, res) => {
   // Find category that belongs to authenticated user
@@ -131,12 +164,8 @@ const updateCategory = asyncHandler(async (req, res) => {
     throw new AppError('Category not found', 404);
   }
 
-  // Prevent editing default categories (system-created)
-  if (category.isDefault) {
-    throw new AppError('Cannot edit default categories', 403);
-  }
-
-  const { name, icon, color, isActive } = req.body;
+  const { name, parent, icon, color, isActive } = req.body;
+  const before = AuditLog.snapshot('category', category);
 
   // If updating name, check for duplicates
   if (name && name.trim() !== category.name) {
@@ -153,6 +182,12 @@ const updateCategory = asyncHandler(async (req, res) => {
     category.name = name.trim();
   }
 
+  // Moving a category moves its subcategories with it
+  if (parent !== undefined) {
+    const parentCategory = parent ? await resolveParentCategory(req.user.id, parent, category.type, category) : null;
+    category.parent = parentCategory ? parentCategory._id : null;
+  }
+
   // Update fields if provided
   if (icon) category.icon = icon;
   if (color) category.color = color;
@@ -160,6 +195,12 @@ const updateCategory = asyncHandler(async (req, res) => {
 
   // Save updated category
   await category.save();
+  await recordHistory(req, 'category', [{
+    action: 'update',
+    entityId: category._id,
+    before,
+    after: AuditLog.snapshot('category', category),
+  }]);
 
   res.status(200).json({
     status: 'success',
@@ -171,14 +212,23 @@ const updateCategory = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete category
+ * Delete category (moves it to the trash)
  * @route DELETE /api/categories/:id
  * @access Private
  * @param {string} id - Category ID (MongoDB ObjectId)
- * @returns {object} Success message
- * @description Default categories and categories with transactions cannot be deleted
+ * @query {string} reassignTo - Category ID of the same type to move transactions, budgets,
+ *                              rules and subcategories to first (optional, also accepted in the body)
+ * @returns {object} Success message with the deletion time (and what was reassigned)
+ * @description Default categories cannot be deleted. Without reassignTo, categories with subcategories
+ *              and categories with transactions (including trashed ones) cannot be deleted either.
+ *              The category can be restored from /api/trash until it is purged.
  */
 const deleteCategory = asyncHandler(async (req, res) => {
+  const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+  if (reassignTo) {
+    return mergeCategories(req, res, reassignTo);
+  }
+
   // Find category that belongs to authenticated user
   const category = await Category.findOne({
     _id: req.params.id,
@@ -191,28 +241,380 @@ const deleteCategory = asyncHandler(async (req, res) => {
 
   // Prevent deleting default categories (system-created)
   if (category.isDefault) {
-    throw new AppError('Cannot delete default categories', 403);
+    throw new AppError('Cannot delete default categories; archive them with isActive: false instead', 403);
+  }
+
+  if (await category.hasSubcategories()) {
+    throw new AppError('Cannot delete category with subcategories (including subcategories in the trash)', 400);
   }
 
   // Check if category has any transactions (uses instance method)
   const canDelete = await category.canDelete();
   if (!canDelete) {
-    throw new AppError('Cannot delete category with existing transactions', 400);
+    throw new AppError('Cannot delete category with existing transactions (including transactions in the trash)', 400);
   }
 
-  // Delete the category
-  await category.deleteOne();
+  // Move the category to the trash
+  const before = AuditLog.snapshot('category', category);
+  await category.softDelete();
+  await recordHistory(req, 'category', [{
+    action: 'delete',
+    entityId: category._id,
+    before,
+    after: AuditLog.snapshot('category', category),
+  }]);
 
   res.status(200).json({
     status: 'success',
-    message: 'Category deleted successfully',
+    message: 'Category moved to trash',
+    data: {
+      id: category._id,
+      deletedAt: category.deletedAt,
+    },
   });
 });
 
+/**
+ * Reset the default categories
+ * @route POST /api/categories/reset-defaults
+ * @access Private
+ * @returns {object} Default categories and the keys of the reset, created and unchanged ones, with conflicts
+ * @description Restores the original name (in the user's locale), icon and color of every default
+ *              category, un-archives it and moves it back to the top level. The defaults come from the
+ *              active category template set, if an admin activated one. Missing defaults are created,
+ *              or taken over from a custom category of the same name and type, so nothing is duplicated.
+ *              A default whose original name is used by another category keeps its current name and is
+ *              reported as a conflict.
+ */
+const resetDefaultCategories = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+
+  const defaults = await Category.findDefaults(userId);
+  const existing = await Category.find({ userId }).setOptions({ withDeleted: true });
+  const byName = new Map(existing.map((category) => [category.name.toLowerCase(), category]));
+
+  const result = { reset: [], created: [], unchanged: [], conflicts: [] };
+  const entries = [];
+  const categories = [];
+
+  for (const { key, ...original } of await Category.getSeedCategories(req.user.locale)) {
+    const holder = byName.get(original.name.toLowerCase());
+    let category = defaults.get(key);
+    if (!category && holder && !holder.deletedAt && !holder.defaultKey && holder.type === original.type) {
+      category = holder;
+    }
+    const nameTaken = Boolean(holder) && (!category || !holder._id.equals(category._id));
+
+    if (!category) {
+      if (nameTaken) {
+        result.conflicts.push({ key, name: original.name, message: 'Another category already uses this name' });
+        continue;
+      }
+      const created = await Category.create({ ...original, userId, isDefault: true, defaultKey: key });
+      byName.set(created.name.toLowerCase(), created);
+      entries.push({ action: 'create', entityId: created._id, before: null, after: AuditLog.snapshot('category', created) });
+      result.created.push(key);
+      categories.push(created);
+      continue;
+    }
+
+    const before = AuditLog.snapshot('category', category);
+    const previousName = category.name;
+    category.set({
+      name: nameTaken ? category.name : original.name,
+      icon: original.icon,
+      color: original.color,
+      isActive: true,
+      parent: null,
+      isDefault: true,
+      defaultKey: key,
+    });
+    if (nameTaken) {
+      result.conflicts.push({ key, name: original.name, message: `Another category already uses this name; kept "${category.name}"` });
+    }
+
+    if (category.isModified()) {
+      await category.save();
+      byName.delete(previousName.toLowerCase());
+      byName.set(category.name.toLowerCase(), category);
+      entries.push({ action: 'update', entityId: category._id, before, after: AuditLog.snapshot('category', category) });
+      result.reset.push(key);
+    } else {
+      result.unchanged.push(key);
+    }
+    categories.push(category);
+  }
+
+  await recordHistory(req, 'category', entries);
+
+  logger.info(`User ${userId} reset default categories: ${result.reset.length} reset, ${result.created.length} created`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Default categories reset successfully',
+    data: {
+      categories,
+      ...result,
+    },
+  });
+});
+
+/**
+ * Merge a category into another one
+ * @route POST /api/categories/:id/merge
+ * @access Private
+ * @param {string} id - Category ID to merge (MongoDB ObjectId)
+ * @body {string} target - Category ID of the same type that takes over (required)
+ * @returns {object} Target category and the number of moved transactions, budgets, rules and subcategories
+ * @description Every transaction (and split line) of the category moves to the target, including
+ *              transactions in the trash; the target replaces it in every budget's categories and in
+ *              rule actions, and its subcategories move under the target. The merged category then
+ *              goes to the trash. Affected budgets are recalculated.
+ */
+const mergeCategory = asyncHandler(async (req, res) => {
+  if (!req.body?.target) {
+    throw new AppError('Target category is required', 400);
+  }
+  return mergeCategories(req, res, req.body.target);
+});
+
+/**
+ * Helper function to merge the category of req.params.id into a target and send the response
+ * Shared by POST /api/categories/:id/merge and DELETE /api/categories/:id?reassignTo=
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {string} targetId - Category ID that takes over
+ * @throws {AppError} 404 if either category is not found, 403 for a default source category,
+ *                    400 if the types differ, the target is the source or one of its subcategories,
+ *                    or moving the subcategories nests them too deeply
+ */
+async function mergeCategories(req, res, targetId) {
+  const userId = req.user.id.toString();
+
+  const source = await Category.findOne({
+    _id: req.params.id,
+    userId,
+  });
+
+  if (!source) {
+    throw new AppError('Category not found', 404);
+  }
+
+  if (source.isDefault) {
+    throw new AppError('Cannot delete default categories; archive them with isActive: false instead', 403);
+  }
+
+  const target = mongoose.isValidObjectId(targetId) && await Category.findOne({
+    _id: targetId,
+    userId,
+  });
+
+  if (!target) {
+    throw new AppError('Target category not found', 404);
+  }
+
+  if (target.type !== source.type) {
+    throw new AppError(`Target category type (${target.type}) does not match category type (${source.type})`, 400);
+  }
+
+  const subtreeIds = await Category.getDescendantIds(userId, [source._id]);
+  if (subtreeIds.includes(target._id.toString())) {
+    throw new AppError('Cannot merge a category into itself or one of its subcategories', 400);
+  }
+
+  // Subcategories move under the target, one level deeper than under the source if the target is deeper
+  const height = await source.getSubtreeHeight();
+  if (height > 0 && (await target.getDepth()) + height > Category.MAX_DEPTH) {
+    throw new AppError(`Categories can be nested at most ${Category.MAX_DEPTH} levels deep`, 400);
+  }
+
+  const moved = {
+    transactions: await reassignTransactions(req, source._id, target._id),
+    budgets: await reassignBudgets(req, source._id, target._id),
+    rules: (await Rule.updateMany(
+      { userId, 'actions.category': source._id },
+      { $set: { 'actions.category': target._id } }
+    )).modifiedCount,
+    subcategories: await reassignSubcategories(req, source._id, target._id),
+  };
+
+  // Spending moved from the source (and its parents' budgets) to the target (and its parents' budgets)
+  if (source.type === 'expense') {
+    await updateBudgetsAfterTransaction(userId, [source._id, target._id]);
+  }
+
+  const before = AuditLog.snapshot('category', source);
+  await source.softDelete();
+  await recordHistory(req, 'category', [{
+    action: 'delete',
+    entityId: source._id,
+    before,
+    after: AuditLog.snapshot('category', source),
+  }]);
+
+  logger.info(`User ${userId} merged category ${source._id} into ${target._id}: ${JSON.stringify(moved)}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Category merged into ${target.name} and moved to trash`,
+    data: {
+      id: source._id,
+      deletedAt: source.deletedAt,
+      target,
+      moved,
+    },
+  });
+}
+
+/**
+ * Helper function to move transactions and split lines from one category to another
+ * @param {Request} req - Express request (recorded in the history)
+ * @param {ObjectId} sourceId
+ * @param {ObjectId} targetId
+ * @returns {Promise<number>} Number of changed transactions (trashed ones included)
+ */
+async function reassignTransactions(req, sourceId, targetId) {
+  const userId = req.user.id.toString();
+  const query = { userId, $or: [{ category: sourceId }, { 'splits.category': sourceId }] };
+
+  const transactions = await Transaction.find(query).setOptions({ withDeleted: true });
+  if (transactions.length === 0) {
+    return 0;
+  }
+  const ids = transactions.map((transaction) => transaction._id);
+
+  await Transaction.updateMany(
+    { userId, _id: { $in: ids }, category: sourceId },
+    { $set: { category: targetId } }
+  ).setOptions({ withDeleted: true });
+  await Transaction.updateMany(
+    { userId, _id: { $in: ids }, 'splits.category': sourceId },
+    { $set: { 'splits.$[line].category': targetId } },
+    { arrayFilters: [{ 'line.category': sourceId }] }
+  ).setOptions({ withDeleted: true });
+
+  const updated = await Transaction.find({ userId, _id: { $in: ids } }).setOptions({ withDeleted: true });
+  const updatedById = new Map(updated.map((transaction) => [transaction._id.toString(), transaction]));
+  await recordHistory(req, 'transaction', transactions.map((transaction) => ({
+    action: 'update',
+    entityId: transaction._id,
+    before: AuditLog.snapshot('transaction', transaction),
+    after: AuditLog.snapshot('transaction', updatedById.get(transaction._id.toString())),
+  })), 'merge');
+
+  return transactions.length;
+}
+
+/**
+ * Helper function to replace a category in the categories of every budget
+ * @param {Request} req - Express request (recorded in the history)
+ * @param {ObjectId} sourceId
+ * @param {ObjectId} targetId
+ * @returns {Promise<number>} Number of changed budgets (trashed and inactive ones included)
+ * @description Budgets that already include the target just lose the source
+ */
+async function reassignBudgets(req, sourceId, targetId) {
+  const userId = req.user.id.toString();
+
+  const budgets = await Budget.find({ userId, categories: sourceId }).setOptions({ withDeleted: true });
+  if (budgets.length === 0) {
+    return 0;
+  }
+
+  const entries = [];
+  for (const budget of budgets) {
+    const before = AuditLog.snapshot('budget', budget);
+    const hasTarget = budget.categories.some((id) => id.toString() === targetId.toString());
+    budget.categories = hasTarget
+      ? budget.categories.filter((id) => id.toString() !== sourceId.toString())
+      : budget.categories.map((id) => (id.toString() === sourceId.toString() ? targetId : id));
+    await Budget.updateOne({ _id: budget._id, userId }, { $set: { categories: budget.categories } })
+      .setOptions({ withDeleted: true });
+    entries.push({ action: 'update', entityId: budget._id, before, after: AuditLog.snapshot('budget', budget) });
+  }
+  await recordHistory(req, 'budget', entries, 'merge');
+
+  return budgets.length;
+}
+
+/**
+ * Helper function to move the subcategories of a category under another one
+ * @param {Request} req - Express request (recorded in the history)
+ * @param {ObjectId} sourceId
+ * @param {ObjectId} targetId
+ * @returns {Promise<number>} Number of moved subcategories (trashed ones included)
+ */
+async function reassignSubcategories(req, sourceId, targetId) {
+  const userId = req.user.id.toString();
+
+  const subcategories = await Category.find({ userId, parent: sourceId }).setOptions({ withDeleted: true });
+  if (subcategories.length === 0) {
+    return 0;
+  }
+  const before = subcategories.map((category) => AuditLog.snapshot('category', category));
+
+  await Category.updateMany(
+    { userId, _id: { $in: subcategories.map((category) => category._id) } },
+    { $set: { parent: targetId } }
+  ).setOptions({ withDeleted: true });
+  subcategories.forEach((category) => {
+    category.parent = targetId;
+  });
+  await recordHistory(req, 'category', subcategories.map((category, index) => ({
+    action: 'update',
+    entityId: category._id,
+    before: before[index],
+    after: AuditLog.snapshot('category', category),
+  })), 'merge');
+
+  return subcategories.length;
+}
+
+/**
+ * Helper function to find and check the parent of a new or moved category
+ * @param {string} userId
+ * @param {string} parentId - Parent category ID
+ * @param {string} type - Type of the child category
+ * @param {Document} category - Category being moved (omit for a new category)
+ * @returns {Promise<Document>} Parent category
+ * @throws {AppError} 404 if the parent is not the user's, 400 if it has another type,
+ *                    is the category itself or one of its subcategories, or nesting gets too deep
+ */
+async function resolveParentCategory(userId, parentId, type, category = null) {
+  const parent = mongoose.isValidObjectId(parentId) && await Category.findOne({
+    _id: parentId,
+    userId,
+  });
+
+  if (!parent) {
+    throw new AppError('Parent category not found', 404);
+  }
+
+  if (parent.type !== type) {
+    throw new AppError(`Parent category type (${parent.type}) does not match category type (${type})`, 400);
+  }
+
+  if (category) {
+    const subtreeIds = await Category.getDescendantIds(userId, [category._id]);
+    if (subtreeIds.includes(parent._id.toString())) {
+      throw new AppError('A category cannot be moved under itself or one of its subcategories', 400);
+    }
+  }
+
+  const height = category ? await category.getSubtreeHeight() : 0;
+  if ((await parent.getDepth()) + 1 + height > Category.MAX_DEPTH) {
+    throw new AppError(`Categories can be nested at most ${Category.MAX_DEPTH} levels deep`, 400);
+  }
+
+  return parent;
+}
+
 module.exports = {
   createCategory,
   getCategories,
   getCategoryById,
   updateCategory,
   deleteCategory,
+  mergeCategory,
+  resetDefaultCategories,
 };
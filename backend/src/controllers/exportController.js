@@ -0,0 +1,576 @@
+/**
+ * Export Controller
+ * Spreadsheet (XLSX) and printable monthly statement (PDF) exports
+ * Both files are generated on the server; no external services are involved
+ */
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { Transaction, Account, Budget, ExchangeRate } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const logger = require('../utils/logger');
+const { buildTransactionFilter, getReportCurrency } = require('./transactionController');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { getCurrencyDecimals, toMinorUnits, fromMinorUnits, moneyToNumber } = require('../utils/money');
+
+// Optional TrueType font for PDF statements; the built-in Helvetica only covers Latin-1 text
+const PDF_FONT_PATH = process.env.PDF_FONT_PATH;
+
+// Latest date MongoDB can store, used when an export has no end date
+const MAX_DATE = new Date(8640000000000000);
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Export transactions to an Excel workbook
+ * @route GET /api/transactions/export/xlsx
+ * @access Private
+ * @query {string} search - Search in description and notes
+ * @query {string} type - Filter by type ('income', 'expense' or 'transfer')
+ * @query {string} category - Filter by category ID
+ * @query {date} startDate - Filter by start date
+ * @query {date} endDate - Filter by end date
+ * @query {string} paymentMethod - Filter by payment method
+ * @query {string} currency - Currency of the summary sheets (optional, defaults to the user's base currency)
+ * @returns {application/vnd.openxmlformats-officedocument.spreadsheetml.sheet} Workbook with
+ *          Summary, Categories and Transactions sheets
+ * @description The Transactions sheet uses the same filters as GET /api/transactions. The Summary and
+ *              Categories sheets come from Transaction.getSummary and getSpendingByCategory and cover
+ *              the date range only. Transactions are streamed from a cursor into the workbook.
+ */
+const exportTransactionsToXLSX = asyncHandler(async (req, res) => {
+  const { search, type, category, startDate, endDate, paymentMethod } = req.query;
+  const userId = req.user.id.toString();
+  const currency = getReportCurrency(req);
+
+  const query = buildTransactionFilter(userId, {
+    search,
+    type,
+    category,
+    startDate,
+    endDate,
+    paymentMethod,
+  });
+  const rangeStart = query.date?.$gte || new Date(0);
+  const rangeEnd = query.date?.$lte || MAX_DATE;
+
+  const [summary, spending] = await Promise.all([
+    Transaction.getSummary(userId, rangeStart, rangeEnd, currency),
+    Transaction.getSpendingByCategory(userId, rangeStart, rangeEnd, currency),
+  ]);
+
+  const cursor = Transaction.find(query)
+    .populate('category', 'name')
+    .populate('splits.category', 'name')
+    .populate('account', 'name')
+    .populate('toAccount', 'name')
+    .sort({ date: -1 })
+    .cursor();
+
+  // Read the first document before sending headers, so query errors still get a JSON response
+  let transaction = await cursor.next();
+
+  const filename = `transactions_${new Date().toISOString().split('T')[0]}.xlsx`;
+  res.status(200);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  workbook.created = new Date();
+
+  let count = 0;
+  try {
+    addSummarySheet(workbook, summary, {
+      start: query.date?.$gte,
+      end: query.date?.$lte,
+    });
+    addCategorySheet(workbook, spending, summary);
+
+    const sheet = workbook.addWorksheet('Transactions', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+      { header: 'Type', key: 'type', width: 10 },
+      { header: 'Category', key: 'category', width: 24 },
+      { header: 'Description', key: 'description', width: 36 },
+      { header: 'Amount', key: 'amount', width: 14 },
+      { header: 'Currency', key: 'currency', width: 10 },
+      { header: 'Fee', key: 'fee', width: 10 },
+      { header: 'Payment Method', key: 'paymentMethod', width: 16 },
+      { header: 'Account', key: 'account', width: 20 },
+      { header: 'Tags', key: 'tags', width: 20 },
+      { header: 'Notes', key: 'notes', width: 36 },
+    ];
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    while (transaction) {
+      const transactionCurrency = transaction.currency || DEFAULT_CURRENCY;
+      const numFmt = amountFormat(transactionCurrency);
+
+      getCategoryLines(transaction).forEach((line) => {
+        const row = sheet.addRow({
+          date: transaction.date,
+          type: transaction.type.charAt(0).toUpperCase() + transaction.type.slice(1),
+          category: line.label,
+          description: transaction.description || '',
+          amount: moneyToNumber(line.amount),
+          currency: transactionCurrency,
+          fee: moneyToNumber(transaction.fee),
+          paymentMethod: transaction.paymentMethod || '',
+          account: transaction.account?.name || '',
+          tags: (transaction.tags || []).join('; '),
+          notes: transaction.notes || '',
+        });
+        row.getCell('amount').numFmt = numFmt;
+        row.getCell('fee').numFmt = numFmt;
+        row.commit();
+      });
+
+      if (res.destroyed) {
+        logger.info(`XLSX export aborted by client after ${count} transactions for user ${userId}`);
+        await cursor.close();
+        return;
+      }
+      count++;
+      transaction = await cursor.next();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  } catch (error) {
+    // Headers are already sent: cut the response so the client sees an incomplete download
+    logger.error(`XLSX export failed after ${count} transactions for user ${userId}: ${error.message}`);
+    await cursor.close();
+    res.destroy(error);
+    return;
+  }
+
+  logger.info(`Exported ${count} transactions to XLSX for user ${userId}`);
+});
+
+/**
+ * Export a printable monthly statement
+ * @route GET /api/transactions/export/statement
+ * @access Private
+ * @query {string} month - Month as 'YYYY-MM' (optional, default: current UTC month)
+ * @query {string} currency - Statement currency (optional, defaults to the user's base currency)
+ * @returns {application/pdf} Statement with opening and closing balances, income and expense totals,
+ *          a category breakdown, budget status and the month's transactions
+ * @description Opening balances are account balances at the end of the previous month, closing balances
+ *              at the end of the month, each converted to the statement currency at that date.
+ *              Set PDF_FONT_PATH to a TrueType font to print non-Latin text.
+ */
+const exportMonthlyStatementPDF = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+  const currency = getReportCurrency(req);
+  const { start, end, label } = parseStatementMonth(req.query.month);
+
+  const [summary, spending, opening, closing, budgets, transactions] = await Promise.all([
+    Transaction.getSummary(userId, start, end, currency),
+    Transaction.getSpendingByCategory(userId, start, end, currency),
+    getBalanceTotals(userId, new Date(start.getTime() - 1), currency),
+    getBalanceTotals(userId, end, currency),
+    Budget.find({ userId, startDate: { $lte: end }, endDate: { $gte: start } })
+      .sort({ startDate: 1, name: 1 }),
+    Transaction.find({ userId, date: { $gte: start, $lte: end } })
+      .populate('category', 'name')
+      .populate('splits.category', 'name')
+      .populate('account', 'name')
+      .populate('toAccount', 'name')
+      .sort({ date: 1 }),
+  ]);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+  if (PDF_FONT_PATH) {
+    doc.registerFont('Statement', PDF_FONT_PATH);
+    doc.registerFont('Statement-Bold', PDF_FONT_PATH);
+  } else {
+    doc.registerFont('Statement', 'Helvetica');
+    doc.registerFont('Statement-Bold', 'Helvetica-Bold');
+  }
+
+  const filename = `statement_${start.toISOString().slice(0, 7)}.pdf`;
+  res.status(200);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  // Header
+  doc.font('Statement-Bold').fontSize(18).text(`Statement for ${label}`);
+  doc.font('Statement').fontSize(10).fillColor('#555555')
+    .text(req.user.full_name ? `${req.user.full_name} <${req.user.email}>` : req.user.email)
+    .text(`Period: ${formatDate(start)} to ${formatDate(end)} (UTC). Amounts in ${currency}.`)
+    .fillColor('#000000');
+
+  // Totals
+  drawHeading(doc, 'Summary');
+  drawTable(doc, [
+    { label: '', width: 300 },
+    { label: 'Amount', width: 195, align: 'right' },
+  ], [
+    ['Opening balance', formatMoney(opening.total, currency)],
+    ['Income', formatMoney(summary.income, currency)],
+    ['Expenses', formatMoney(summary.expense, currency)],
+    ['Transfer fees', formatMoney(summary.transferFees, currency)],
+    ['Net change', formatMoney(summary.balance, currency)],
+    ['Closing balance', formatMoney(closing.total, currency)],
+    ['Transactions', String(summary.transactionCount)],
+  ]);
+
+  // Balances per account
+  drawHeading(doc, 'Accounts');
+  const closingById = new Map(closing.accounts.map((account) => [account.id, account]));
+  drawTable(doc, [
+    { label: 'Account', width: 195 },
+    { label: 'Opening', width: 150, align: 'right' },
+    { label: 'Closing', width: 150, align: 'right' },
+  ], closing.accounts.map((account) => {
+    const openingAccount = opening.accounts.find((item) => item.id === account.id);
+    return [
+      account.name,
+      openingAccount ? formatMoney(openingAccount.balance, account.currency) : '-',
+      formatMoney(closingById.get(account.id).balance, account.currency),
+    ];
+  }));
+
+  const missingRates = [...new Set([...summary.missingRates, ...opening.missingRates, ...closing.missingRates])];
+  if (missingRates.length > 0) {
+    doc.moveDown(0.5).font('Statement').fontSize(8).fillColor('#a94442')
+      .text(`No exchange rate for ${missingRates.join(', ')}: those amounts are included unconverted.`)
+      .fillColor('#000000');
+  }
+
+  // Category breakdown
+  drawHeading(doc, 'Spending by category');
+  const totalExpense = toMinorUnits(summary.expense, currency);
+  drawTable(doc, [
+    { label: 'Category', width: 225 },
+    { label: 'Transactions', width: 80, align: 'right' },
+    { label: 'Total', width: 120, align: 'right' },
+    { label: 'Share', width: 70, align: 'right' },
+  ], spending.map((item) => [
+    item.categoryName,
+    String(item.count),
+    formatMoney(item.total, currency),
+    totalExpense > 0 ? `${((toMinorUnits(item.total, currency) / totalExpense) * 100).toFixed(1)}%` : '-',
+  ]));
+
+  // Budgets
+  drawHeading(doc, 'Budget status');
+  drawTable(doc, [
+    { label: 'Budget', width: 155 },
+    { label: 'Limit', width: 95, align: 'right' },
+    { label: 'Spent', width: 95, align: 'right' },
+    { label: 'Remaining', width: 95, align: 'right' },
+    { label: 'Status', width: 55, align: 'right' },
+  ], budgets.map((budget) => [
+    budget.name,
+    formatMoney(budget.effectiveAmount, budget.currency),
+    formatMoney(budget.spent, budget.currency),
+    formatMoney(budget.remaining, budget.currency),
+    `${Math.round(budget.percentageUsed)}% ${budget.status}`,
+  ]));
+
+  // Transactions
+  drawHeading(doc, 'Transactions');
+  drawTable(doc, [
+    { label: 'Date', width: 65 },
+    { label: 'Category', width: 120 },
+    { label: 'Description', width: 180 },
+    { label: 'Amount', width: 130, align: 'right' },
+  ], transactions.flatMap((transaction) => getCategoryLines(transaction).map((line) => {
+    const sign = transaction.type === 'expense' ? '-' : transaction.type === 'income' ? '+' : '';
+    return [
+      formatDate(transaction.date),
+      line.label,
+      transaction.description || '',
+      `${sign}${formatMoney(line.amount, transaction.currency || DEFAULT_CURRENCY)}`,
+    ];
+  })));
+
+  // Page numbers
+  const range = doc.bufferedPageRange();
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    // Text below the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Statement').fontSize(8).fillColor('#777777').text(
+      `Generated ${formatDate(new Date())} - page ${page + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - bottom + 20,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  logger.info(`Exported ${label} statement (${transactions.length} transactions) for user ${userId}`);
+});
+
+/**
+ * Helper function to read the statement month
+ * @param {string} month - 'YYYY-MM' (optional, default: current UTC month)
+ * @returns {object} { start, end, label } - UTC bounds of the month and e.g. 'January 2025'
+ * @throws {AppError} 400 if the month is invalid
+ */
+function parseStatementMonth(month) {
+  let year;
+  let monthIndex;
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new AppError('month must be formatted as YYYY-MM', 400);
+    }
+    year = Number(match[1]);
+    monthIndex = Number(match[2]) - 1;
+  } else {
+    const now = new Date();
+    year = now.getUTCFullYear();
+    monthIndex = now.getUTCMonth();
+  }
+
+  return {
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 0, 23, 59, 59, 999)),
+    label: `${MONTH_NAMES[monthIndex]} ${year}`,
+  };
+}
+
+/**
+ * Helper function to get account balances at a date, with their total in one currency
+ * @param {string} userId
+ * @param {Date} asOf - Balance date
+ * @param {string} currency - Currency of the total
+ * @returns {Promise<object>} { accounts: [{ id, name, currency, balance }], total, missingRates }
+ */
+async function getBalanceTotals(userId, asOf, currency) {
+  const accounts = await Account.getWithBalances(userId, asOf);
+  const converted = await Promise.all(
+    accounts.map((account) => ExchangeRate.convert(moneyToNumber(account.balance), account.currency, currency, asOf))
+  );
+
+  const total = converted.reduce(
+    (sum, value, index) => sum + toMinorUnits(value ?? accounts[index].balance, currency),
+    0
+  );
+
+  return {
+    accounts: accounts.map((account) => ({
+      id: account._id.toString(),
+      name: account.name,
+      currency: account.currency,
+      balance: account.balance,
+    })),
+    total: fromMinorUnits(total, currency),
+    missingRates: [...new Set(
+      accounts.filter((account, index) => converted[index] === null).map((account) => account.currency)
+    )],
+  };
+}
+
+/**
+ * Helper function to list the category lines of a transaction
+ * @param {Document} transaction - Transaction with category, splits, account and toAccount populated
+ * @returns {Array<object>} [{ label, amount }] - one per split line, or one for the whole transaction
+ */
+function getCategoryLines(transaction) {
+  // Transfers have no category: show the accounts money moved between instead
+  if (transaction.type === 'transfer') {
+    return [{
+      label: `${transaction.account?.name || 'Unknown'} -> ${transaction.toAccount?.name || 'Unknown'}`,
+      amount: transaction.amount,
+    }];
+  }
+
+  const lines = transaction.splits && transaction.splits.length > 0
+    ? transaction.splits
+    : [{ category: transaction.category, amount: transaction.amount }];
+  return lines.map((line) => ({ label: line.category?.name || 'Uncategorized', amount: line.amount }));
+}
+
+/**
+ * Helper function to add the Summary sheet
+ * @param {WorkbookWriter} workbook
+ * @param {object} summary - From Transaction.getSummary
+ * @param {object} range - { start, end } dates of the export (either may be undefined)
+ */
+function addSummarySheet(workbook, summary, range) {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [
+    { key: 'label', width: 24 },
+    { key: 'value', width: 18 },
+  ];
+
+  const numFmt = amountFormat(summary.currency);
+  const rows = [
+    ['From', range.start ? formatDate(range.start) : 'All dates'],
+    ['To', range.end ? formatDate(range.end) : 'All dates'],
+    ['Currency', summary.currency],
+    ['Income', moneyToNumber(summary.income), numFmt],
+    ['Expenses', moneyToNumber(summary.expense), numFmt],
+    ['Transfers', moneyToNumber(summary.transfer), numFmt],
+    ['Transfer fees', moneyToNumber(summary.transferFees), numFmt],
+    ['Net', moneyToNumber(summary.balance), numFmt],
+    ['Transactions', summary.transactionCount],
+  ];
+  if (summary.missingRates.length > 0) {
+    rows.push(['Unconverted currencies', summary.missingRates.join(', ')]);
+  }
+
+  rows.forEach(([label, value, format]) => {
+    const row = sheet.addRow({ label, value });
+    row.getCell('label').font = { bold: true };
+    if (format) row.getCell('value').numFmt = format;
+    row.commit();
+  });
+  sheet.commit();
+}
+
+/**
+ * Helper function to add the Categories sheet
+ * @param {WorkbookWriter} workbook
+ * @param {Array<object>} spending - From Transaction.getSpendingByCategory
+ * @param {object} summary - From Transaction.getSummary (for each category's share of expenses)
+ */
+function addCategorySheet(workbook, spending, summary) {
+  const sheet = workbook.addWorksheet('Categories', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = [
+    { header: 'Category', key: 'category', width: 24 },
+    { header: 'Transactions', key: 'count', width: 14 },
+    { header: `Total (${summary.currency})`, key: 'total', width: 18, style: { numFmt: amountFormat(summary.currency) } },
+    { header: 'Share', key: 'share', width: 10, style: { numFmt: '0.0%' } },
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  const totalExpense = toMinorUnits(summary.expense, summary.currency);
+  spending.forEach((item) => {
+    sheet.addRow({
+      category: item.categoryName,
+      count: item.count,
+      total: moneyToNumber(item.total),
+      share: totalExpense > 0 ? toMinorUnits(item.total, summary.currency) / totalExpense : 0,
+    }).commit();
+  });
+  sheet.commit();
+}
+
+/**
+ * Helper function to get the Excel number format for a currency
+ * @param {string} currency
+ * @returns {string} e.g. '#,##0.00' (USD) or '#,##0' (VND)
+ */
+function amountFormat(currency) {
+  const decimals = getCurrencyDecimals(currency);
+  return decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+}
+
+/**
+ * Helper function to format an amount for the PDF statement
+ * @param {string} value - Decimal string
+ * @param {string} currency
+ * @returns {string} e.g. '1,234.50 USD' (plain text, so the built-in PDF fonts can print it)
+ */
+function formatMoney(value, currency) {
+  const decimals = getCurrencyDecimals(currency);
+  const number = new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(moneyToNumber(value));
+  return `${number} ${currency}`;
+}
+
+/**
+ * Helper function to format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Helper function to draw a section heading on the PDF statement
+ * @param {PDFDocument} doc
+ * @param {string} title
+ */
+function drawHeading(doc, title) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+    doc.addPage();
+  } else {
+    doc.moveDown(1.5);
+  }
+  doc.font('Statement-Bold').fontSize(13).fillColor('#000000')
+    .text(title, doc.page.margins.left);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Helper function to draw a table on the PDF statement, repeating the header on new pages
+ * @param {PDFDocument} doc
+ * @param {Array<object>} columns - [{ label, width, align }]
+ * @param {Array<Array<string>>} rows - Cell text; too long text is cut with an ellipsis
+ */
+function drawTable(doc, columns, rows) {
+  const rowHeight = 16;
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    let x = left;
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(fitText(doc, cell, width - 6), x + 3, y + 4, { width: width - 6, align, lineBreak: false });
+      x += width;
+    });
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map((column) => column.label), 'Statement-Bold');
+    const width = columns.reduce((sum, column) => sum + column.width, 0);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor('#999999').stroke();
+  };
+
+  drawHeader();
+  if (rows.length === 0) {
+    drawRow(['None'], 'Statement');
+    return;
+  }
+  rows.forEach((cells) => {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(cells, 'Statement');
+  });
+}
+
+/**
+ * Helper function to shorten text to a width
+ * @param {PDFDocument} doc - With the cell font selected
+ * @param {string} text
+ * @param {number} width - Available width in points
+ * @returns {string}
+ */
+function fitText(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+
+  let shortened = text;
+  while (shortened.length > 0 && doc.widthOfString(`${shortened}...`) > width) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened}...`;
+}
+
+module.exports = {
+  exportTransactionsToXLSX,
+  exportMonthlyStatementPDF,
+};
@@ -0,0 +1,140 @@
+/**
+ * History Controller
+ * Change history (audit trail) of transactions, budgets and categories
+ * Every create, update, delete and restore is recorded as a numbered version
+ * with the changed fields, who made the change and where it came from
+ */
+
+const { Transaction, AuditLog } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const logger = require('../utils/logger');
+
+// Attempts to write a version when concurrent changes take the same version number
+const HISTORY_WRITE_ATTEMPTS = 5;
+
+/**
+ * Get the change history of a transaction
+ * @route GET /api/transactions/:id/history
+ * @access Private
+ * @param {string} id - Transaction ID (also for transactions in the trash)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Versions per page (default: 20, max: 100)
+ * @returns {object} Versions, newest first: action, changed fields (before/after), actor, source and timestamp
+ * @description Revert to a version with POST /api/transactions/:id/history/:version/revert
+ */
+const getTransactionHistory = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  }).setOptions({ withDeleted: true });
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const query = { userId: req.user.id.toString(), entityType: 'transaction', entityId: transaction._id };
+
+  const [history, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ version: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      history,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * Record changes of documents as new versions
+ * Helper function for internal use (transaction, recurring, budget, category, trash and rule controllers)
+ * @param {object} req - Express request (user, method, path, ip, user agent)
+ * @param {string} entityType - 'transaction', 'budget' or 'category'
+ * @param {Array<object>} entries - [{ action, entityId, before, after, revertedTo }] with AuditLog.snapshot()
+ *                                  states (before is null for a create)
+ * @param {string} channel - 'api', 'bulk', 'trash', 'revert', 'rules' or 'merge' (default: 'api')
+ * @description Entries without changes are skipped. Errors are logged, never thrown:
+ *              a failed history write must not fail the change itself
+ */
+async function recordHistory(req, entityType, entries, channel = 'api') {
+  try {
+    const changed = entries
+      .map((entry) => ({ ...entry, changes: AuditLog.diff(entry.before, entry.after) }))
+      .filter((entry) => entry.changes.length > 0);
+    if (changed.length === 0) {
+      return;
+    }
+
+    const context = getChangeContext(req, channel);
+
+    // Versions are read then written: entries whose version was taken meanwhile (by a concurrent
+    // change or an earlier entry of the same document) are retried with fresh versions
+    let pending = changed;
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      const versions = await AuditLog.getNextVersions(entityType, pending.map((entry) => entry.entityId));
+      try {
+        await AuditLog.insertMany(pending.map((entry) => ({
+          userId: req.user.id.toString(),
+          entityType,
+          entityId: entry.entityId,
+          version: versions.get(entry.entityId.toString()),
+          action: entry.action,
+          changes: entry.changes,
+          revertedTo: entry.revertedTo,
+          ...context,
+        })), { ordered: false });
+        pending = [];
+      } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        // Mongoose re-indexes the driver's write errors into plain objects: the code stays on err
+        const collided = writeErrors.length > 0 &&
+          writeErrors.every((writeError) => (writeError.err || writeError).code === 11000);
+        if (!collided || attempt >= HISTORY_WRITE_ATTEMPTS) throw error;
+        pending = writeErrors.map((writeError) => pending[writeError.index]);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error recording ${entityType} history for user ${req.user.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Helper function to describe who made a change and from where
+ * @param {object} req - Express request
+ * @param {string} channel - Source channel
+ * @returns {object} { actor, source }
+ */
+function getChangeContext(req, channel) {
+  return {
+    actor: {
+      id: req.user.id.toString(),
+      email: req.user.email,
+      name: req.user.full_name,
+    },
+    source: {
+      channel,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+  };
+}
+
+module.exports = {
+  getTransactionHistory,
+  recordHistory,
+};
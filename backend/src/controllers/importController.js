@@ -0,0 +1,874 @@
+/**
+ * Import Controller
+ * Imports transactions from CSV files and bank statements, and undoes whole import batches
+ * Every imported transaction carries its importBatchId
+ */
+
+const { Transaction, Category, Account, ImportBatch, AuditLog, Rule } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { updateBudgetsAfterTransaction, notifyLargeTransaction } = require('./transactionController');
+const { removeTransactionAttachments } = require('./attachmentController');
+const { parseCsv } = require('../utils/csv');
+const {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  hashStatementTransaction,
+} = require('../utils/statement');
+const { DATE_FORMATS, parseDateString } = require('../utils/date');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeCurrency } = require('../utils/currency');
+const { getCurrencyDecimals, toMinorUnits, parseAmount, normalizeLocalizedNumber } = require('../utils/money');
+
+// Maximum number of data rows in one import
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Number of valid rows echoed back by a dry run
+const PREVIEW_ROWS = 20;
+
+const MAPPING_FIELDS = ['date', 'amount', 'type', 'category', 'description', 'notes'];
+const REQUIRED_MAPPING_FIELDS = ['date', 'amount'];
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Default categories (Category.DEFAULTS keys) used when the caller does not choose categories for a statement import
+const FALLBACK_STATEMENT_CATEGORIES = { expense: 'other_expense', income: 'other_income' };
+
+/**
+ * Import transactions from a CSV file
+ * @route POST /api/transactions/import
+ * @access Private
+ * @body {file} file - CSV file (multipart/form-data, required)
+ * @body {string} mapping - JSON object mapping date, amount, type, category, description, notes
+ *                          to a header name or 0-based column index (date, amount required)
+ * @body {string} dateFormat - One of DATE_FORMATS, e.g. 'dd/MM/yyyy' (optional, default: 'yyyy-MM-dd')
+ * @body {string} decimalSeparator - '.' or ',' e.g. ',' for '1.234.567,89' (optional, default: '.')
+ * @body {string} delimiter - ',', ';', '\t' or '|' (optional, default: ',')
+ * @body {boolean} hasHeader - First row is a header (optional, default: true)
+ * @body {string} account - Account ID the transactions belong to (optional)
+ * @body {string} currency - ISO 4217 code when no account is given (optional, default: user's base currency)
+ * @body {boolean} createMissingCategories - Create categories that do not match by name (optional, default: false)
+ * @body {boolean} applyRules - Apply auto-categorization rules to the rows (optional, default: true)
+ * @body {boolean} skipInvalidRows - Import valid rows even if others fail (optional, default: false)
+ * @body {boolean} dryRun - Validate only and return row errors with a preview (optional, default: false)
+ * @returns {object} Import batch (or dry-run report) with row-level errors
+ * @description Without a type column, negative amounts are expenses and positive amounts income.
+ *              Rows without a category take the category of the first matching rule; rule tags
+ *              are added and rule notes fill empty notes.
+ */
+const importTransactions = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('CSV file is required (multipart field "file")', 400);
+  }
+
+  const options = parseImportOptions(req.body);
+
+  let rows;
+  try {
+    rows = parseCsv(req.file.buffer.toString('utf8'), { delimiter: options.delimiter });
+  } catch (error) {
+    throw new AppError(`Invalid CSV file: ${error.message}`, 400);
+  }
+
+  const header = options.hasHeader ? rows.shift() || [] : null;
+  const columns = resolveColumns(options.mapping, header);
+
+  if (rows.length === 0) {
+    throw new AppError('CSV file has no data rows', 400);
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new AppError(`CSV file has too many rows (max ${IMPORT_MAX_ROWS})`, 400);
+  }
+
+  // Imported transactions follow the account currency, like manual ones
+  let accountDoc = null;
+  if (options.account) {
+    accountDoc = await Account.findOne({ _id: options.account, userId: req.user.id });
+    if (!accountDoc) {
+      throw new AppError('Account not found or does not belong to you', 404);
+    }
+  }
+  const currency = accountDoc?.currency || options.currency || req.user.base_currency || DEFAULT_CURRENCY;
+
+  const categories = await Category.find({ userId: req.user.id });
+  const categoryResolver = createCategoryResolver(categories, options.createMissingCategories);
+  const paymentMethod = accountDoc?.type || 'cash';
+  const rules = options.applyRules ? await Rule.getActiveRules(req.user.id) : [];
+  const evaluateRules = (transaction) => Rule.evaluate(rules, { ...transaction, paymentMethod });
+
+  // Validate every row; line numbers match the file (header is line 1)
+  const firstLine = options.hasHeader ? 2 : 1;
+  const errors = [];
+  const validRows = [];
+  rows.forEach((row, index) => {
+    const line = firstLine + index;
+    const result = validateRow(row, columns, options, currency, categoryResolver, evaluateRules);
+    if (result.errors.length > 0) {
+      result.errors.forEach((error) => errors.push({ row: line, ...error }));
+    } else {
+      validRows.push({ row: line, ...result.transaction });
+    }
+  });
+
+  const summary = {
+    totalRows: rows.length,
+    validRows: validRows.length,
+    invalidRows: new Set(errors.map((error) => error.row)).size,
+    currency,
+    categoriesToCreate: categoryResolver.pending(),
+    rulesApplied: validRows.filter((row) => row.appliedRules.length > 0).length,
+  };
+
+  if (options.dryRun) {
+    return res.status(200).json({
+      status: 'success',
+      message: errors.length > 0 ? 'Dry run found invalid rows' : 'Dry run passed',
+      data: {
+        dryRun: true,
+        summary,
+        errors,
+        preview: validRows.slice(0, PREVIEW_ROWS),
+      },
+    });
+  }
+
+  if (errors.length > 0 && !options.skipInvalidRows) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'CSV file contains invalid rows; fix them or set skipInvalidRows',
+      data: {
+        summary,
+        errors,
+      },
+    });
+  }
+
+  if (validRows.length === 0) {
+    throw new AppError('No valid rows to import', 400);
+  }
+
+  const batch = await ImportBatch.create({
+    userId: req.user.id,
+    source: 'csv',
+    filename: req.file.originalname,
+    currency,
+    account: accountDoc?._id,
+    rowCount: rows.length,
+    skippedCount: rows.length - validRows.length,
+  });
+
+  const createdCategories = await categoryResolver.createPending(req.user.id);
+
+  const transactions = await Transaction.insertMany(
+    validRows.map((row) => ({
+      userId: req.user.id,
+      amount: row.amount,
+      currency,
+      type: row.type,
+      category: categoryResolver.get(row.category)._id,
+      description: row.description,
+      notes: row.notes,
+      tags: row.tags,
+      date: row.date,
+      paymentMethod,
+      account: accountDoc?._id,
+      importBatchId: batch._id,
+    }))
+  );
+
+  batch.importedCount = transactions.length;
+  batch.createdCategories = createdCategories.map((category) => category._id);
+  await batch.save();
+
+  // Imported expenses count towards budgets straight away
+  const expenseCategoryIds = transactions
+    .filter((transaction) => transaction.type === 'expense')
+    .map((transaction) => transaction.category);
+  await updateBudgetsAfterTransaction(req.user.id.toString(), expenseCategoryIds);
+
+  res.status(201).json({
+    status: 'success',
+    message: `Imported ${transactions.length} transactions`,
+    data: {
+      batch,
+      summary,
+      errors,
+      createdCategories,
+    },
+  });
+});
+
+/**
+ * Import transactions from a bank statement (OFX, QFX or QIF)
+ * @route POST /api/transactions/import/statement
+ * @access Private
+ * @body {file} file - .ofx, .qfx or .qif file (multipart/form-data, required)
+ * @body {string} format - 'ofx', 'qfx' or 'qif' (optional, detected from the file by default)
+ * @body {string} dateFormat - QIF date format, 'MM/dd/yyyy' or 'dd/MM/yyyy' (optional, default: 'MM/dd/yyyy')
+ * @body {string} account - Account ID the transactions belong to (optional)
+ * @body {string} currency - ISO 4217 code when neither the account nor the file sets one (optional)
+ * @body {string} expenseCategory - Category ID for debits (optional, default: "Other Expense")
+ * @body {string} incomeCategory - Category ID for credits (optional, default: "Other Income")
+ * @body {boolean} applyRules - Apply auto-categorization rules to the lines (optional, default: true)
+ * @body {boolean} skipInvalidRows - Import valid lines even if others fail (optional, default: false)
+ * @body {boolean} dryRun - Validate only and return line errors with a preview (optional, default: false)
+ * @returns {object} Import batch (or dry-run report) with imported and duplicate counts
+ * @description Debits become expenses and credits income. Lines are keyed by FITID, or by a
+ *              content hash when the file has none, so importing the same statement twice adds nothing.
+ *              QIF category names (L lines) are used when they match a category of the right type,
+ *              otherwise the category of the first matching rule, then the default category.
+ */
+const importStatement = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Statement file is required (multipart field "file")', 400);
+  }
+
+  const options = parseStatementOptions(req.body);
+  const text = req.file.buffer.toString('utf8');
+
+  const format = options.format || detectStatementFormat(req.file.originalname, text);
+  if (!format) {
+    throw new AppError(`Unrecognized statement file; set format to one of: ${STATEMENT_FORMATS.join(', ')}`, 400);
+  }
+
+  const statement = format === 'qif' ? parseQif(text, options.dateFormat) : parseOfx(text);
+  const lines = statement.transactions;
+
+  if (lines.length === 0) {
+    throw new AppError('Statement has no transactions', 400);
+  }
+  if (lines.length > IMPORT_MAX_ROWS) {
+    throw new AppError(`Statement has too many transactions (max ${IMPORT_MAX_ROWS})`, 400);
+  }
+
+  let accountDoc = null;
+  if (options.account) {
+    accountDoc = await Account.findOne({ _id: options.account, userId: req.user.id });
+    if (!accountDoc) {
+      throw new AppError('Account not found or does not belong to you', 404);
+    }
+  }
+
+  const statementCurrency = statement.currency ? normalizeCurrency(statement.currency) : null;
+  if (accountDoc && statementCurrency && statementCurrency !== accountDoc.currency) {
+    throw new AppError(`Statement currency ${statementCurrency} does not match account currency ${accountDoc.currency}`, 400);
+  }
+  const currency = accountDoc?.currency || statementCurrency || options.currency || req.user.base_currency || DEFAULT_CURRENCY;
+
+  const categories = await Category.find({ userId: req.user.id });
+  const defaultCategories = {
+    expense: resolveDefaultCategory(categories, options.expenseCategory, 'expense'),
+    income: resolveDefaultCategory(categories, options.incomeCategory, 'income'),
+  };
+  const byName = new Map(categories.map((category) => [category.name.toLowerCase(), category]));
+  const paymentMethod = accountDoc?.type || 'bank_transfer';
+  const rules = options.applyRules ? await Rule.getActiveRules(req.user.id) : [];
+
+  // Validate every line and compute its import key; line numbers count transactions from 1
+  const errors = [];
+  const validRows = [];
+  const occurrences = new Map();
+  const scope = accountDoc?._id.toString() || statement.accountId || '';
+  const seenKeys = new Set();
+  let repeatedInFile = 0;
+  lines.forEach((line, index) => {
+    const row = index + 1;
+    const result = validateStatementLine(line, currency);
+    if (result.errors.length > 0) {
+      result.errors.forEach((error) => errors.push({ row, ...error }));
+      return;
+    }
+
+    // FITIDs are only unique within a bank account, so they are scoped like the content hash
+    let importKey = line.externalId ? `fitid:${scope}:${line.externalId}` : null;
+    if (!importKey) {
+      // Identical lines (two coffees on the same day) are told apart by their position among equals
+      const content = hashStatementTransaction(line, 0, scope);
+      const occurrence = occurrences.get(content) || 0;
+      occurrences.set(content, occurrence + 1);
+      importKey = hashStatementTransaction(line, occurrence, scope);
+    }
+    if (seenKeys.has(importKey)) {
+      repeatedInFile++;
+      return;
+    }
+    seenKeys.add(importKey);
+
+    const ruleResult = Rule.evaluate(rules, { ...result.transaction, paymentMethod });
+    const named = line.category && byName.get(line.category.toLowerCase());
+    const category = named && named.type === result.transaction.type
+      ? named
+      : ruleResult.category || defaultCategories[result.transaction.type];
+
+    validRows.push({
+      row,
+      importKey,
+      ...result.transaction,
+      notes: result.transaction.notes || ruleResult.notes,
+      tags: ruleResult.tags,
+      category: category._id,
+      categoryName: category.name,
+      appliedRules: ruleResult.rules,
+    });
+  });
+
+  // Lines deleted to the trash are not imported again either
+  const existingKeys = new Set(await Transaction.distinct('importKey', {
+    userId: req.user.id,
+    importKey: { $in: validRows.map((row) => row.importKey) },
+  }).setOptions({ withDeleted: true }));
+  const newRows = validRows.filter((row) => !existingKeys.has(row.importKey));
+
+  const summary = {
+    format,
+    totalRows: lines.length,
+    validRows: validRows.length,
+    invalidRows: new Set(errors.map((error) => error.row)).size,
+    duplicateRows: validRows.length - newRows.length + repeatedInFile,
+    newRows: newRows.length,
+    currency,
+    rulesApplied: newRows.filter((row) => row.appliedRules.length > 0).length,
+  };
+
+  if (options.dryRun) {
+    return res.status(200).json({
+      status: 'success',
+      message: errors.length > 0 ? 'Dry run found invalid rows' : 'Dry run passed',
+      data: {
+        dryRun: true,
+        summary,
+        errors,
+        preview: newRows.slice(0, PREVIEW_ROWS).map(({ importKey, ...row }) => row),
+      },
+    });
+  }
+
+  if (errors.length > 0 && !options.skipInvalidRows) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Statement contains invalid transactions; fix them or set skipInvalidRows',
+      data: {
+        summary,
+        errors,
+      },
+    });
+  }
+
+  if (newRows.length === 0) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Statement has already been imported',
+      data: {
+        batch: null,
+        summary,
+        errors,
+      },
+    });
+  }
+
+  const batch = await ImportBatch.create({
+    userId: req.user.id,
+    source: format,
+    filename: req.file.originalname,
+    currency,
+    account: accountDoc?._id,
+    rowCount: lines.length,
+    skippedCount: lines.length - validRows.length - repeatedInFile,
+    duplicateCount: summary.duplicateRows,
+  });
+
+  // A concurrent import of the same statement may win some lines; keep whatever was inserted
+  let transactions;
+  try {
+    transactions = await Transaction.insertMany(
+      newRows.map((row) => ({
+        userId: req.user.id,
+        amount: row.amount,
+        currency,
+        type: row.type,
+        category: row.category,
+        description: row.description,
+        notes: row.notes,
+        tags: row.tags,
+        date: row.date,
+        paymentMethod,
+        account: accountDoc?._id,
+        importBatchId: batch._id,
+        importKey: row.importKey,
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== 11000)) {
+      throw error;
+    }
+    transactions = error.insertedDocs || [];
+  }
+
+  batch.importedCount = transactions.length;
+  batch.duplicateCount += newRows.length - transactions.length;
+  await batch.save();
+
+  const expenseCategoryIds = transactions
+    .filter((transaction) => transaction.type === 'expense')
+    .map((transaction) => transaction.category);
+  await updateBudgetsAfterTransaction(req.user.id.toString(), expenseCategoryIds);
+
+  const categoryNames = new Map(newRows.map((row) => [row.category.toString(), row.categoryName]));
+  for (const transaction of transactions) {
+    await notifyLargeTransaction(
+      req.user.id.toString(),
+      transaction,
+      categoryNames.get(transaction.category.toString()),
+      req.user.locale
+    );
+  }
+
+  summary.duplicateRows = batch.duplicateCount;
+
+  res.status(201).json({
+    status: 'success',
+    message: `Imported ${transactions.length} transactions`,
+    data: {
+      batch,
+      summary,
+      errors,
+    },
+  });
+});
+
+/**
+ * Get import batches for authenticated user
+ * @route GET /api/transactions/import
+ * @access Private
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20)
+ * @returns {object} Import batches, most recent first
+ */
+const getImportBatches = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const query = { userId: req.user.id };
+  const [batches, total] = await Promise.all([
+    ImportBatch.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ImportBatch.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Undo an import: delete every transaction of the batch
+ * @route DELETE /api/transactions/import/:batchId
+ * @access Private
+ * @param {string} batchId - Import batch ID
+ * @returns {object} Number of deleted transactions and removed categories
+ * @description Categories created by the import are removed too when no transaction or subcategory uses them
+ */
+const undoImport = asyncHandler(async (req, res) => {
+  const batch = await ImportBatch.findOne({
+    _id: req.params.batchId,
+    userId: req.user.id,
+  });
+
+  if (!batch) {
+    throw new AppError('Import batch not found', 404);
+  }
+
+  if (batch.status === 'undone') {
+    throw new AppError('Import has already been undone', 400);
+  }
+
+  const query = { userId: req.user.id, importBatchId: batch._id };
+  const expenseCategoryIds = await Transaction.distinct('category', { ...query, type: 'expense' });
+  // Transactions of the batch in the trash are removed as well
+  const withAttachments = await Transaction.distinct('_id', { ...query, 'attachments.0': { $exists: true } })
+    .setOptions({ withDeleted: true });
+  const transactionIds = await Transaction.distinct('_id', query).setOptions({ withDeleted: true });
+  const { deletedCount } = await Transaction.deleteMany(query);
+  await AuditLog.deleteMany({ entityType: 'transaction', entityId: { $in: transactionIds } });
+  await removeTransactionAttachments(req.user.id.toString(), withAttachments);
+
+  let removedCategories = 0;
+  if (batch.createdCategories.length > 0) {
+    const createdCategories = await Category.find({
+      _id: { $in: batch.createdCategories },
+      userId: req.user.id,
+    });
+    for (const category of createdCategories) {
+      if (await category.canDelete() && !(await category.hasSubcategories())) {
+        await category.deleteOne();
+        removedCategories++;
+      }
+    }
+  }
+
+  batch.status = 'undone';
+  batch.undoneAt = new Date();
+  await batch.save();
+
+  await updateBudgetsAfterTransaction(req.user.id.toString(), expenseCategoryIds);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Import undone successfully',
+    data: {
+      batch,
+      deletedTransactions: deletedCount,
+      removedCategories,
+    },
+  });
+});
+
+/**
+ * Helper function to read import options from a multipart body (all values are strings)
+ * @param {object} body - req.body
+ * @returns {object} Normalized options
+ * @throws {AppError} 400 if an option is invalid
+ */
+function parseImportOptions(body) {
+  const flag = (value, fallback) => (value === undefined || value === '' ? fallback : String(value) === 'true');
+
+  let mapping = body.mapping;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new AppError('mapping must be a JSON object', 400);
+    }
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new AppError(`mapping is required, e.g. {"date":"Date","amount":"Amount","category":"Category"}`, 400);
+  }
+
+  const unknownFields = Object.keys(mapping).filter((field) => !MAPPING_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new AppError(`Unknown mapping fields: ${unknownFields.join(', ')}. Allowed: ${MAPPING_FIELDS.join(', ')}`, 400);
+  }
+  const missingFields = REQUIRED_MAPPING_FIELDS.filter((field) => mapping[field] === undefined || mapping[field] === '');
+  if (missingFields.length > 0) {
+    throw new AppError(`mapping must include: ${missingFields.join(', ')}`, 400);
+  }
+
+  const dateFormat = body.dateFormat || 'yyyy-MM-dd';
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw new AppError(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}`, 400);
+  }
+
+  const decimalSeparator = body.decimalSeparator || '.';
+  if (decimalSeparator !== '.' && decimalSeparator !== ',') {
+    throw new AppError("decimalSeparator must be '.' or ','", 400);
+  }
+
+  const delimiter = body.delimiter === '\\t' ? '\t' : body.delimiter || ',';
+  if (!DELIMITERS.includes(delimiter)) {
+    throw new AppError("delimiter must be one of: ',', ';', '\\t', '|'", 400);
+  }
+
+  if (body.currency && !isValidCurrency(body.currency)) {
+    throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+  }
+
+  return {
+    mapping,
+    dateFormat,
+    decimalSeparator,
+    delimiter,
+    hasHeader: flag(body.hasHeader, true),
+    account: body.account || null,
+    currency: normalizeCurrency(body.currency),
+    createMissingCategories: flag(body.createMissingCategories, false),
+    applyRules: flag(body.applyRules, true),
+    skipInvalidRows: flag(body.skipInvalidRows, false),
+    dryRun: flag(body.dryRun, false),
+  };
+}
+
+/**
+ * Helper function to turn the mapping into column indexes
+ * @param {object} mapping - Field -> header name or 0-based column index
+ * @param {Array<string>|null} header - Header row (null when the file has none)
+ * @returns {object} Field -> column index
+ * @throws {AppError} 400 if a mapped column does not exist
+ */
+function resolveColumns(mapping, header) {
+  const normalizedHeader = header ? header.map((name) => name.trim().toLowerCase()) : null;
+  const columns = {};
+
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (column === null || column === undefined || column === '') return;
+
+    let index;
+    if (Number.isInteger(column) || /^\d+$/.test(String(column))) {
+      index = Number(column);
+    } else if (normalizedHeader) {
+      index = normalizedHeader.indexOf(String(column).trim().toLowerCase());
+    } else {
+      throw new AppError(`mapping.${field} must be a column index when the file has no header`, 400);
+    }
+
+    if (index < 0 || (header && index >= header.length)) {
+      throw new AppError(`Column "${column}" (mapping.${field}) not found in CSV header`, 400);
+    }
+    columns[field] = index;
+  });
+
+  return columns;
+}
+
+/**
+ * Helper function to match category names to the user's categories
+ * @param {Array<Document>} categories - User's categories
+ * @param {boolean} createMissing - Plan new categories for names that do not match
+ * @returns {object} { resolve(name, type), get(name, type), pending(), createPending(userId) }
+ * @description Names match case-insensitively; names are unique per user regardless of type
+ */
+function createCategoryResolver(categories, createMissing) {
+  const byName = new Map(categories.map((category) => [category.name.toLowerCase(), category]));
+  const planned = new Map();
+
+  return {
+    // Returns an error message, or null if the name can be used for this type
+    resolve(name, type) {
+      const key = name.toLowerCase();
+      const existing = byName.get(key) || planned.get(key);
+      if (existing) {
+        return existing.type === type
+          ? null
+          : `Category "${existing.name}" is an ${existing.type} category, not ${type}`;
+      }
+      if (!createMissing) {
+        return `Category "${name}" not found (set createMissingCategories to create it)`;
+      }
+      planned.set(key, { name, type });
+      return null;
+    },
+    get(name) {
+      return byName.get(name.toLowerCase());
+    },
+    pending() {
+      return [...planned.values()];
+    },
+    async createPending(userId) {
+      const created = await Category.insertMany(
+        this.pending().map(({ name, type }) => ({ userId, name, type }))
+      );
+      created.forEach((category) => byName.set(category.name.toLowerCase(), category));
+      return created;
+    },
+  };
+}
+
+/**
+ * Helper function to validate one CSV row
+ * @param {Array<string>} row - CSV fields
+ * @param {object} columns - Field -> column index
+ * @param {object} options - Import options
+ * @param {string} currency - Currency of the amounts
+ * @param {object} categoryResolver - From createCategoryResolver
+ * @param {Function} evaluateRules - Transaction -> Rule.evaluate() result
+ * @returns {object} { transaction, errors: [{ field, message }] }
+ */
+function validateRow(row, columns, options, currency, categoryResolver, evaluateRules) {
+  const errors = [];
+  const cell = (field) => (columns[field] === undefined ? '' : (row[columns[field]] || '').trim());
+
+  const date = parseDateString(cell('date'), options.dateFormat);
+  if (!date) {
+    errors.push({ field: 'date', message: `Invalid date "${cell('date')}" (expected ${options.dateFormat})` });
+  }
+
+  // The sign decides the type when there is no type column
+  const number = normalizeLocalizedNumber(cell('amount'), options.decimalSeparator);
+  let amount = null;
+  let type = null;
+  if (number === null) {
+    errors.push({ field: 'amount', message: `Invalid amount "${cell('amount')}"` });
+  } else {
+    const isNegative = number.startsWith('-');
+    amount = parseAmount(isNegative ? number.slice(1) : number, currency);
+    if (amount === null) {
+      errors.push({ field: 'amount', message: `Amount "${cell('amount')}" has more than ${getCurrencyDecimals(currency)} decimal places for ${currency}` });
+    } else if (toMinorUnits(amount, currency) === 0) {
+      errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+    }
+
+    if (columns.type !== undefined) {
+      type = cell('type').toLowerCase();
+      if (type !== 'income' && type !== 'expense') {
+        errors.push({ field: 'type', message: `Invalid type "${cell('type')}" (expected income or expense)` });
+        type = null;
+      }
+    } else {
+      type = isNegative ? 'expense' : 'income';
+    }
+  }
+
+  const description = cell('description');
+  if (description.length > 500) {
+    errors.push({ field: 'description', message: 'Description cannot exceed 500 characters' });
+  }
+  const notes = cell('notes');
+  if (notes.length > 1000) {
+    errors.push({ field: 'notes', message: 'Notes cannot exceed 1000 characters' });
+  }
+
+  // Rules only see rows that are otherwise valid
+  const ruleResult = errors.length === 0
+    ? evaluateRules({ type, description, notes, amount, tags: [] })
+    : { category: null, tags: [], notes: undefined, rules: [] };
+
+  // Resolve the category last, so invalid rows never plan a new category
+  const categoryName = cell('category') || (ruleResult.category ? ruleResult.category.name : '');
+  if (!categoryName) {
+    errors.push({ field: 'category', message: 'Category is required (no auto-categorization rule matched)' });
+  } else if (categoryName.length > 50) {
+    errors.push({ field: 'category', message: 'Category name cannot exceed 50 characters' });
+  } else if (errors.length === 0) {
+    const categoryError = categoryResolver.resolve(categoryName, type);
+    if (categoryError) {
+      errors.push({ field: 'category', message: categoryError });
+    }
+  }
+
+  return {
+    errors,
+    transaction: {
+      date,
+      amount,
+      type,
+      category: categoryName,
+      description: description || undefined,
+      notes: notes || ruleResult.notes,
+      tags: ruleResult.tags,
+      appliedRules: ruleResult.rules,
+    },
+  };
+}
+
+/**
+ * Helper function to read statement import options from a multipart body
+ * @param {object} body - req.body
+ * @returns {object} Normalized options
+ * @throws {AppError} 400 if an option is invalid
+ */
+function parseStatementOptions(body) {
+  const flag = (value, fallback) => (value === undefined || value === '' ? fallback : String(value) === 'true');
+
+  const format = body.format ? String(body.format).toLowerCase() : null;
+  if (format && !STATEMENT_FORMATS.includes(format)) {
+    throw new AppError(`format must be one of: ${STATEMENT_FORMATS.join(', ')}`, 400);
+  }
+
+  const dateFormat = body.dateFormat || 'MM/dd/yyyy';
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    throw new AppError(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}`, 400);
+  }
+
+  if (body.currency && !isValidCurrency(body.currency)) {
+    throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+  }
+
+  return {
+    format,
+    dateFormat,
+    account: body.account || null,
+    currency: normalizeCurrency(body.currency),
+    expenseCategory: body.expenseCategory || null,
+    incomeCategory: body.incomeCategory || null,
+    applyRules: flag(body.applyRules, true),
+    skipInvalidRows: flag(body.skipInvalidRows, false),
+    dryRun: flag(body.dryRun, false),
+  };
+}
+
+/**
+ * Helper function to pick the category for statement lines without a usable category
+ * @param {Array<Document>} categories - User's categories
+ * @param {string|null} categoryId - Category chosen by the caller
+ * @param {string} type - 'expense' or 'income'
+ * @returns {Document} Category
+ * @throws {AppError} 400 if the chosen category is not a category of this type, or no fallback exists
+ */
+function resolveDefaultCategory(categories, categoryId, type) {
+  if (categoryId) {
+    const category = categories.find((item) => item._id.toString() === String(categoryId));
+    if (!category || category.type !== type) {
+      throw new AppError(`${type}Category must be one of your ${type} categories`, 400);
+    }
+    return category;
+  }
+
+  // The default category may have been renamed; older ones without a key still have their original name
+  const original = Category.DEFAULTS.find((item) => item.key === FALLBACK_STATEMENT_CATEGORIES[type]);
+  const fallback = categories.find((item) => item.defaultKey === original.key) ||
+    categories.find((item) => item.type === type && item.name.toLowerCase() === original.name.toLowerCase());
+  if (!fallback || fallback.type !== type) {
+    throw new AppError(`No "${original.name}" category found; set ${type}Category`, 400);
+  }
+  return fallback;
+}
+
+/**
+ * Helper function to validate one parsed statement line
+ * @param {object} line - From parseOfx/parseQif
+ * @param {string} currency - Currency of the amounts
+ * @returns {object} { transaction, errors: [{ field, message }] }
+ * @description Debits (negative amounts) are expenses, credits income
+ */
+function validateStatementLine(line, currency) {
+  const errors = [...line.errors];
+
+  let amount = null;
+  let type = null;
+  if (line.amount !== null) {
+    const isNegative = line.amount.startsWith('-');
+    amount = parseAmount(isNegative ? line.amount.slice(1) : line.amount, currency);
+    type = isNegative ? 'expense' : 'income';
+    if (amount === null) {
+      errors.push({ field: 'amount', message: `Amount "${line.amount}" has more than ${getCurrencyDecimals(currency)} decimal places for ${currency}` });
+    } else if (toMinorUnits(amount, currency) === 0) {
+      errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+    }
+  }
+
+  // The payee is the description; the memo goes to notes (or becomes the description when there is no payee)
+  const description = line.payee || line.memo;
+  const notes = [
+    line.payee ? line.memo : null,
+    line.checkNumber ? `Check #${line.checkNumber}` : null,
+  ].filter(Boolean).join('\n');
+
+  return {
+    errors,
+    transaction: {
+      date: line.date,
+      amount,
+      type,
+      description: description ? description.slice(0, 500) : undefined,
+      notes: notes ? notes.slice(0, 1000) : undefined,
+    },
+  };
+}
+
+module.exports = {
+  importTransactions,
+  importStatement,
+  getImportBatches,
+  undoImport,
+};
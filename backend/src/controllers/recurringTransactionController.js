@@ -0,0 +1,312 @@
+/**
+ * Recurring Transaction Controller
+ * Manages recurring transaction templates (transactions with isRecurring: true)
+ * Occurrences are materialized by the recurring transactions job, not by these handlers
+ */
+
+const { Transaction, Category, AuditLog } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { recordHistory } = require('./historyController');
+const { FREQUENCIES } = require('../utils/date');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { toMinorUnits, parseAmount } = require('../utils/money');
+
+/**
+ * Find a recurring template that belongs to the authenticated user
+ * @param {object} req - Express request
+ * @returns {Promise<Document>} Recurring template
+ * @throws {AppError} 404 if not found
+ */
+async function findTemplate(req) {
+  const template = await Transaction.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+    isRecurring: true,
+  });
+
+  if (!template) {
+    throw new AppError('Recurring transaction not found', 404);
+  }
+
+  return template;
+}
+
+/**
+ * Get all recurring templates for authenticated user
+ * @route GET /api/transactions/recurring
+ * @access Private
+ * @query {string} status - 'active', 'paused' or 'all' (default: 'all')
+ * @returns {object} Array of recurring templates with populated category
+ */
+const getRecurringTransactions = asyncHandler(async (req, res) => {
+  const { status = 'all' } = req.query;
+
+  const query = { userId: req.user.id, isRecurring: true };
+
+  if (status === 'active') {
+    query['recurringConfig.isPaused'] = { $ne: true };
+  } else if (status === 'paused') {
+    query['recurringConfig.isPaused'] = true;
+  }
+
+  const recurringTransactions = await Transaction.find(query)
+    .populate('category', 'name icon color type')
+    .sort({ 'recurringConfig.nextDate': 1 });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recurringTransactions,
+    },
+  });
+});
+
+/**
+ * Edit future occurrences of a recurring transaction
+ * @route PUT /api/transactions/recurring/:id
+ * @access Private
+ * @param {string} id - Template transaction ID
+ * @body {string} amount - Amount for future occurrences, as a decimal string (optional)
+ * @body {string} category - Category ID (optional, type must match)
+ * @body {string} description - Description (optional)
+ * @body {string} paymentMethod - Payment method (optional)
+ * @body {array} tags - Tags (optional)
+ * @body {string} notes - Notes (optional)
+ * @body {string} frequency - 'daily', 'weekly', 'monthly', 'yearly' (optional)
+ * @body {Date} endDate - Last date of the series, null to repeat forever (optional)
+ * @body {Date} nextDate - Date of the next occurrence (optional)
+ * @returns {object} Updated template
+ * @description The template is the series definition; occurrences that were already
+ *              generated are left untouched
+ */
+const updateRecurringTransaction = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+  const before = AuditLog.snapshot('transaction', template);
+
+  const {
+    amount,
+    category,
+    description,
+    paymentMethod,
+    tags,
+    notes,
+    frequency,
+    endDate,
+    nextDate,
+  } = req.body;
+
+  if (category && template.splits.length > 0) {
+    throw new AppError('Recurring transaction is split across categories; update it with its splits via PUT /api/transactions/:id', 400);
+  }
+
+  if (category) {
+    const categoryDoc = await Category.findOne({
+      _id: category,
+      userId: req.user.id,
+    });
+
+    if (!categoryDoc) {
+      throw new AppError('Category not found or does not belong to you', 404);
+    }
+
+    if (categoryDoc.type !== template.type) {
+      throw new AppError(`Category type (${categoryDoc.type}) does not match transaction type (${template.type})`, 400);
+    }
+  }
+
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    throw new AppError(`Recurring frequency must be one of: ${FREQUENCIES.join(', ')}`, 400);
+  }
+
+  if (amount !== undefined) {
+    const currency = template.currency || DEFAULT_CURRENCY;
+    const parsedAmount = parseAmount(amount, currency);
+    if (parsedAmount === null || toMinorUnits(parsedAmount, currency) <= 0) {
+      throw new AppError(`Amount must be a decimal amount greater than 0 (${currency} precision)`, 400);
+    }
+    if (template.splits.length > 0) {
+      throw new AppError('Recurring transaction is split across categories; update it with its splits via PUT /api/transactions/:id', 400);
+    }
+    template.amount = parsedAmount;
+  }
+  if (category) template.category = category;
+  if (description !== undefined) template.description = description;
+  if (paymentMethod) template.paymentMethod = paymentMethod;
+  if (tags) template.tags = tags;
+  if (notes !== undefined) template.notes = notes;
+  if (frequency) template.recurringConfig.frequency = frequency;
+  if (endDate !== undefined) template.recurringConfig.endDate = endDate ? new Date(endDate) : undefined;
+  if (nextDate) template.recurringConfig.nextDate = new Date(nextDate);
+
+  const { endDate: seriesEnd, nextDate: seriesNext } = template.recurringConfig;
+  if (seriesEnd && seriesEnd <= template.date) {
+    throw new AppError('Recurring end date must be after the transaction date', 400);
+  }
+  if (seriesNext <= template.date) {
+    throw new AppError('Next occurrence must be after the transaction date', 400);
+  }
+
+  await template.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'update',
+    entityId: template._id,
+    before,
+    after: AuditLog.snapshot('transaction', template),
+  }]);
+  await template.populate('category', 'name icon color type');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Recurring transaction updated successfully',
+    data: {
+      recurringTransaction: template,
+    },
+  });
+});
+
+/**
+ * Pause a recurring transaction
+ * @route POST /api/transactions/recurring/:id/pause
+ * @access Private
+ * @param {string} id - Template transaction ID
+ * @returns {object} Updated template
+ */
+const pauseRecurringTransaction = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+  const before = AuditLog.snapshot('transaction', template);
+
+  template.recurringConfig.isPaused = true;
+  await template.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'update',
+    entityId: template._id,
+    before,
+    after: AuditLog.snapshot('transaction', template),
+  }]);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Recurring transaction paused',
+    data: {
+      recurringTransaction: template,
+    },
+  });
+});
+
+/**
+ * Resume a paused recurring transaction
+ * @route POST /api/transactions/recurring/:id/resume
+ * @access Private
+ * @param {string} id - Template transaction ID
+ * @returns {object} Updated template
+ * @description Occurrences that fell due while paused are skipped, not back-filled
+ */
+const resumeRecurringTransaction = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+  const before = AuditLog.snapshot('transaction', template);
+
+  const now = new Date();
+  let nextDate = template.recurringConfig.nextDate;
+  while (nextDate < now) {
+    nextDate = template.getNextOccurrence(nextDate);
+  }
+
+  template.recurringConfig.isPaused = false;
+  template.recurringConfig.nextDate = nextDate;
+
+  const endDate = template.recurringConfig.endDate;
+  if (endDate && nextDate > endDate) {
+    template.isRecurring = false;
+  }
+
+  await template.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'update',
+    entityId: template._id,
+    before,
+    after: AuditLog.snapshot('transaction', template),
+  }]);
+
+  res.status(200).json({
+    status: 'success',
+    message: template.isRecurring
+      ? 'Recurring transaction resumed'
+      : 'Recurring transaction has ended',
+    data: {
+      recurringTransaction: template,
+    },
+  });
+});
+
+/**
+ * Skip the next occurrence of a recurring transaction
+ * @route POST /api/transactions/recurring/:id/skip
+ * @access Private
+ * @param {string} id - Template transaction ID
+ * @returns {object} Skipped date and updated template
+ */
+const skipRecurringOccurrence = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+  const before = AuditLog.snapshot('transaction', template);
+
+  const skippedDate = template.recurringConfig.nextDate;
+  template.recurringConfig.nextDate = template.getNextOccurrence(skippedDate);
+
+  const endDate = template.recurringConfig.endDate;
+  if (endDate && template.recurringConfig.nextDate > endDate) {
+    template.isRecurring = false;
+  }
+
+  await template.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'update',
+    entityId: template._id,
+    before,
+    after: AuditLog.snapshot('transaction', template),
+  }]);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Occurrence skipped',
+    data: {
+      skippedDate,
+      recurringTransaction: template,
+    },
+  });
+});
+
+/**
+ * Stop a recurring transaction
+ * @route DELETE /api/transactions/recurring/:id
+ * @access Private
+ * @param {string} id - Template transaction ID
+ * @returns {object} Success message
+ * @description The template and generated occurrences are kept as regular transactions
+ */
+const stopRecurringTransaction = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req);
+  const before = AuditLog.snapshot('transaction', template);
+
+  template.isRecurring = false;
+  await template.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'update',
+    entityId: template._id,
+    before,
+    after: AuditLog.snapshot('transaction', template),
+  }]);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Recurring transaction stopped',
+  });
+});
+
+module.exports = {
+  getRecurringTransactions,
+  updateRecurringTransaction,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  skipRecurringOccurrence,
+  stopRecurringTransaction,
+};
@@ -0,0 +1,483 @@
+/**
+ * Rule Controller
+ * Handles CRUD operations for auto-categorization rules, and re-applies them to past transactions
+ * Rules are evaluated in priority order when transactions are created or imported
+ * Uses MongoDB for rule data storage
+ */
+
+const mongoose = require('mongoose');
+const { Rule, Transaction, Category, AuditLog } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { updateBudgetsAfterTransaction, buildTransactionFilter } = require('./transactionController');
+const { recordHistory } = require('./historyController');
+const { PAYMENT_METHODS } = require('../config/constants');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { parseAmount } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const CONDITION_FIELDS = [
+  'transactionType',
+  'descriptionContains',
+  'descriptionPattern',
+  'notesContains',
+  'notesPattern',
+  'amountMin',
+  'amountMax',
+  'paymentMethod',
+  'tag',
+];
+const ACTION_FIELDS = ['category', 'tags', 'notes'];
+
+// Transactions written per bulkWrite when re-applying rules
+const APPLY_BATCH_SIZE = 500;
+
+// Number of changed transactions echoed back by POST /api/rules/apply
+const APPLY_PREVIEW_ITEMS = 20;
+
+/**
+ * Create a new rule
+ * @route POST /api/rules
+ * @access Private
+ * @body {string} name - Rule name (required)
+ * @body {number} priority - Lower runs first (optional, default: 100)
+ * @body {boolean} isActive - Evaluate the rule (optional, default: true)
+ * @body {boolean} stopProcessing - Skip lower-priority rules once this one matches (optional, default: false)
+ * @body {object} conditions - All set conditions must match (at least one required):
+ *                             transactionType, descriptionContains, descriptionPattern (regex),
+ *                             notesContains, notesPattern (regex), amountMin, amountMax, paymentMethod, tag;
+ *                             patterns may not nest quantifiers, repeat overlapping atoms (a*a*b), repeat
+ *                             alternatives or use backreferences, and a match is abandoned after 50 ms
+ * @body {object} actions - At least one of: category (category ID), tags (array), notes
+ * @returns {object} Created rule
+ */
+const createRule = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    throw new AppError('Name is required', 400);
+  }
+
+  const rule = new Rule({ userId: req.user.id, name });
+  await applyRuleFields(rule, req.body, req.user);
+  await rule.save();
+  await rule.populate('actions.category', 'name icon color type');
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Rule created successfully',
+    data: {
+      rule,
+    },
+  });
+});
+
+/**
+ * Get all rules for authenticated user
+ * @route GET /api/rules
+ * @access Private
+ * @query {boolean} isActive - Filter by active status (optional)
+ * @returns {object} Rules in evaluation order
+ */
+const getRules = asyncHandler(async (req, res) => {
+  const query = { userId: req.user.id };
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const rules = await Rule.find(query)
+    .sort({ priority: 1, createdAt: 1 })
+    .populate('actions.category', 'name icon color type');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rules,
+      count: rules.length,
+    },
+  });
+});
+
+/**
+ * Get single rule by ID
+ * @route GET /api/rules/:id
+ * @access Private
+ * @param {string} id - Rule ID
+ * @returns {object} Rule
+ */
+const getRuleById = asyncHandler(async (req, res) => {
+  const rule = await Rule.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  }).populate('actions.category', 'name icon color type');
+
+  if (!rule) {
+    throw new AppError('Rule not found', 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rule,
+    },
+  });
+});
+
+/**
+ * Update rule
+ * @route PUT /api/rules/:id
+ * @access Private
+ * @param {string} id - Rule ID
+ * @body {string} name - New name (optional)
+ * @body {number} priority - New priority (optional)
+ * @body {boolean} isActive - Active status (optional)
+ * @body {boolean} stopProcessing - Stop after a match (optional)
+ * @body {object} conditions - Condition fields to change; null or '' clears one (optional)
+ * @body {object} actions - Action fields to change; null or '' clears one (optional)
+ * @returns {object} Updated rule
+ */
+const updateRule = asyncHandler(async (req, res) => {
+  const rule = await Rule.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!rule) {
+    throw new AppError('Rule not found', 404);
+  }
+
+  if (req.body.name !== undefined) rule.name = req.body.name;
+  await applyRuleFields(rule, req.body, req.user);
+  await rule.save();
+  await rule.populate('actions.category', 'name icon color type');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Rule updated successfully',
+    data: {
+      rule,
+    },
+  });
+});
+
+/**
+ * Delete rule
+ * @route DELETE /api/rules/:id
+ * @access Private
+ * @param {string} id - Rule ID
+ * @returns {object} Success message
+ * @description Transactions the rule already changed keep their category, tags and notes
+ */
+const deleteRule = asyncHandler(async (req, res) => {
+  const rule = await Rule.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+
+  if (!rule) {
+    throw new AppError('Rule not found', 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Rule deleted successfully',
+  });
+});
+
+/**
+ * Re-apply rules to existing transactions
+ * @route POST /api/rules/apply
+ * @access Private
+ * @body {object} filter - Same filters as GET /api/transactions: search, type, category,
+ *                         startDate, endDate, paymentMethod (optional, default: all transactions)
+ * @body {Array<string>} ruleIds - Rules to apply, in their priority order (optional, default: all active rules)
+ * @body {boolean} dryRun - Report what would change without writing (optional, default: false)
+ * @returns {object} Counts of scanned, matched and changed transactions, with a preview of the changes
+ * @description Rules set the category of transactions without splits when it differs, add their
+ *              tags, and set their notes on transactions without notes. Transfers are skipped.
+ *              Every change is recorded in the transaction history.
+ */
+const applyRulesToHistory = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+  const { filter = {}, ruleIds, dryRun = false } = req.body;
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new AppError('filter must be an object', 400);
+  }
+
+  const rules = await loadRulesToApply(userId, ruleIds);
+  if (rules.length === 0) {
+    throw new AppError('No active rules to apply', 400);
+  }
+
+  const query = buildTransactionFilter(userId, filter);
+  if (!query.type) {
+    query.type = { $in: ['income', 'expense'] };
+  }
+
+  const counts = { scanned: 0, matched: 0, changed: 0, failed: 0 };
+  const preview = [];
+  const budgetCategoryIds = [];
+  let batch = [];
+
+  const writeBatch = async () => {
+    const items = batch;
+    batch = [];
+    if (dryRun || items.length === 0) return;
+
+    const failedIndexes = new Set();
+    try {
+      await Transaction.bulkWrite(
+        items.map((item) => ({ updateOne: { filter: { _id: item.id, userId }, update: item.update } })),
+        { ordered: false }
+      );
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      error.writeErrors.forEach((writeError) => failedIndexes.add(writeError.index));
+    }
+
+    const written = items.filter((item, index) => !failedIndexes.has(index));
+    counts.failed += failedIndexes.size;
+    counts.changed -= failedIndexes.size;
+
+    await recordHistory(req, 'transaction', written.map((item) => ({
+      action: 'update',
+      entityId: item.id,
+      before: item.before,
+      after: item.after,
+    })), 'rules');
+    written.filter((item) => item.type === 'expense').forEach((item) => {
+      budgetCategoryIds.push(...item.categoryIds);
+    });
+  };
+
+  const cursor = Transaction.find(query).sort({ date: 1, _id: 1 }).cursor();
+  for await (const transaction of cursor) {
+    counts.scanned++;
+
+    const result = Rule.evaluate(rules, transaction);
+    if (result.rules.length === 0) continue;
+    counts.matched++;
+
+    const plan = planRuleChange(transaction, result);
+    if (!plan) continue;
+    counts.changed++;
+
+    if (preview.length < APPLY_PREVIEW_ITEMS) {
+      preview.push({
+        id: transaction._id,
+        description: transaction.description,
+        date: transaction.date,
+        changes: plan.changes,
+        rules: result.rules,
+      });
+    }
+
+    const categoryIds = transaction.getCategoryIds();
+    const before = AuditLog.snapshot('transaction', transaction);
+    transaction.set(plan.update.$set || {});
+    if (plan.update.$addToSet) {
+      transaction.tags.push(...plan.update.$addToSet.tags.$each);
+    }
+    batch.push({
+      id: transaction._id,
+      type: transaction.type,
+      update: plan.update,
+      before,
+      after: AuditLog.snapshot('transaction', transaction),
+      categoryIds: categoryIds.concat(transaction.getCategoryIds()),
+    });
+
+    if (batch.length >= APPLY_BATCH_SIZE) {
+      await writeBatch();
+    }
+  }
+  await writeBatch();
+
+  // Recompute each affected budget once, after every batch is written
+  if (budgetCategoryIds.length > 0) {
+    await updateBudgetsAfterTransaction(userId, budgetCategoryIds);
+  }
+
+  if (!dryRun) {
+    logger.info(`User ${userId} re-applied ${rules.length} rules: ${JSON.stringify(counts)}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: dryRun
+      ? `Dry run: ${counts.changed} transactions would change`
+      : `${counts.changed} transactions updated`,
+    data: {
+      dryRun: Boolean(dryRun),
+      rules: rules.map((rule) => ({ id: rule._id, name: rule.name })),
+      counts,
+      preview,
+    },
+  });
+});
+
+/**
+ * Helper function to validate and set the fields of a rule from a request body
+ * @param {Document} rule - Rule to change
+ * @param {object} body - req.body
+ * @param {object} user - Authenticated user (req.user)
+ * @throws {AppError} 400 if a field is invalid, 404 if the action category is not the user's
+ * @description Only the fields present in the body are changed; null or '' clears a condition or action
+ */
+async function applyRuleFields(rule, body, user) {
+  const { priority, isActive, stopProcessing, conditions, actions } = body;
+  const isCleared = (value) => value === null || value === '';
+
+  if (priority !== undefined) {
+    if (!Number.isInteger(Number(priority)) || Number(priority) < 0) {
+      throw new AppError('Priority must be a non-negative integer', 400);
+    }
+    rule.priority = Number(priority);
+  }
+  if (isActive !== undefined) rule.isActive = Boolean(isActive);
+  if (stopProcessing !== undefined) rule.stopProcessing = Boolean(stopProcessing);
+
+  if (conditions !== undefined) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      throw new AppError('conditions must be an object', 400);
+    }
+    const unknown = Object.keys(conditions).filter((field) => !CONDITION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown condition fields: ${unknown.join(', ')}. Allowed: ${CONDITION_FIELDS.join(', ')}`, 400);
+    }
+
+    for (const [field, value] of Object.entries(conditions)) {
+      if (isCleared(value)) {
+        rule.set(`conditions.${field}`, undefined);
+        continue;
+      }
+      if (field === 'transactionType' && value !== 'income' && value !== 'expense') {
+        throw new AppError('conditions.transactionType must be income or expense', 400);
+      }
+      if (field === 'paymentMethod' && !PAYMENT_METHODS.includes(value)) {
+        throw new AppError(`conditions.paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+      }
+      if (field === 'amountMin' || field === 'amountMax') {
+        // Bounds are compared with amounts in any currency; the base currency sets the precision
+        const amount = parseAmount(value, user.base_currency || DEFAULT_CURRENCY);
+        if (amount === null) {
+          throw new AppError(`conditions.${field} must be a decimal amount`, 400);
+        }
+        rule.set(`conditions.${field}`, amount);
+        continue;
+      }
+      rule.set(`conditions.${field}`, String(value));
+    }
+  }
+
+  if (actions !== undefined) {
+    if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+      throw new AppError('actions must be an object', 400);
+    }
+    const unknown = Object.keys(actions).filter((field) => !ACTION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown action fields: ${unknown.join(', ')}. Allowed: ${ACTION_FIELDS.join(', ')}`, 400);
+    }
+
+    if (actions.category !== undefined) {
+      if (isCleared(actions.category)) {
+        rule.set('actions.category', undefined);
+      } else {
+        const category = mongoose.isValidObjectId(actions.category) && await Category.findOne({
+          _id: actions.category,
+          userId: user.id,
+        });
+        if (!category) {
+          throw new AppError('Category not found or does not belong to you', 404);
+        }
+        rule.set('actions.category', category._id);
+      }
+    }
+    if (actions.tags !== undefined) {
+      if (actions.tags !== null && !Array.isArray(actions.tags)) {
+        throw new AppError('actions.tags must be an array', 400);
+      }
+      rule.set('actions.tags', [...new Set((actions.tags || []).map((tag) => String(tag).trim()).filter(Boolean))]);
+    }
+    if (actions.notes !== undefined) {
+      rule.set('actions.notes', isCleared(actions.notes) ? undefined : String(actions.notes));
+    }
+  }
+}
+
+/**
+ * Helper function to load the rules for POST /api/rules/apply
+ * @param {string} userId
+ * @param {Array<string>} ruleIds - Rules to apply (optional, default: all active rules)
+ * @returns {Promise<Array<Document>>} Rules in evaluation order, with their categories
+ * @throws {AppError} 400 if ruleIds is not an array, 404 if a rule does not exist
+ */
+async function loadRulesToApply(userId, ruleIds) {
+  if (ruleIds === undefined) {
+    return Rule.getActiveRules(userId);
+  }
+
+  if (!Array.isArray(ruleIds) || ruleIds.length === 0) {
+    throw new AppError('ruleIds must be a non-empty array', 400);
+  }
+  const ids = [...new Set(ruleIds.map(String))];
+  const invalid = ids.filter((id) => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    throw new AppError(`Rules not found: ${invalid.join(', ')}`, 404);
+  }
+
+  const rules = await Rule.find({ userId, _id: { $in: ids } })
+    .sort({ priority: 1, createdAt: 1 })
+    .populate('actions.category', 'name type');
+  if (rules.length !== ids.length) {
+    const found = new Set(rules.map((rule) => rule._id.toString()));
+    throw new AppError(`Rules not found: ${ids.filter((id) => !found.has(id)).join(', ')}`, 404);
+  }
+  return rules;
+}
+
+/**
+ * Helper function to work out what matching rules change on a transaction
+ * @param {Document} transaction
+ * @param {object} result - Rule.evaluate() result
+ * @returns {object|null} { update, changes }, or null if the transaction already matches
+ */
+function planRuleChange(transaction, result) {
+  const $set = {};
+  const changes = {};
+
+  const hasSplits = transaction.splits && transaction.splits.length > 0;
+  const currentCategory = transaction.category ? transaction.category.toString() : null;
+  if (result.category && !hasSplits && currentCategory !== result.category._id.toString()) {
+    $set.category = result.category._id;
+    changes.category = { from: transaction.category, to: result.category._id, name: result.category.name };
+  }
+
+  if (result.notes && !transaction.notes) {
+    $set.notes = result.notes;
+    changes.notes = result.notes;
+  }
+
+  const tags = result.tags.filter((tag) => !(transaction.tags || []).includes(tag));
+  if (tags.length > 0) {
+    changes.tags = tags;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (tags.length > 0) update.$addToSet = { tags: { $each: tags } };
+  return { update, changes };
+}
+
+module.exports = {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule,
+  applyRulesToHistory,
+};
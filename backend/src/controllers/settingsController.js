@@ -6,6 +6,7 @@
 const { getPgPool } = require('../config/database');
 const { AppError, asyncHandler } = require('../middleware/error.middleware');
 const logger = require('../utils/logger');
+const { DEFAULT_LOCALE } = require('../locales');
 
 // Notification types supported
 const NOTIFICATION_TYPES = [
@@ -100,24 +101,7 @@ const updateNotificationPreferences = asyncHandler(async (req, res) => {
     throw new AppError('Preferences object is required', 400);
   }
 
-  const pool = getPgPool();
-
-  // Update each preference
-  const updatePromises = Object.entries(preferences).map(([type, isEnabled]) => {
-    if (!NOTIFICATION_TYPES.includes(type)) {
-      return null; // Skip invalid types
-    }
-
-    return pool.query(
-      `INSERT INTO user_notification_preferences (user_id, notification_type, is_enabled, updated_at)
-       VALUES ($1, $2, $3, NOW())
-       ON CONFLICT (user_id, notification_type)
-       DO UPDATE SET is_enabled = $3, updated_at = NOW()`,
-      [userId, type, isEnabled]
-    );
-  });
-
-  await Promise.all(updatePromises.filter(p => p !== null));
+  await saveNotificationPreferences(userId, preferences);
 
   logger.info(`User ${userId} updated notification preferences`);
 
@@ -156,8 +140,83 @@ async function isNotificationEnabled(userId, notificationType) {
   }
 }
 
+/**
+ * Get all notification preferences of a user, unknown types defaulting to enabled
+ * Helper function for internal use (backups)
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Notification type -> enabled
+ */
+async function getNotificationPreferenceMap(userId) {
+  const preferences = {};
+  NOTIFICATION_TYPES.forEach(type => {
+    preferences[type] = true;
+  });
+
+  try {
+    const pool = getPgPool();
+    const result = await pool.query(
+      'SELECT notification_type, is_enabled FROM user_notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+    result.rows.forEach(row => {
+      preferences[row.notification_type] = row.is_enabled;
+    });
+  } catch (error) {
+    logger.error(`Error reading notification preferences: ${error.message}`);
+  }
+
+  return preferences;
+}
+
+/**
+ * Save notification preferences, ignoring unknown types
+ * Helper function shared with restores
+ * @param {string} userId - User ID
+ * @param {object} preferences - Notification type -> enabled
+ */
+async function saveNotificationPreferences(userId, preferences) {
+  const pool = getPgPool();
+
+  // Update each preference
+  const updatePromises = Object.entries(preferences).map(([type, isEnabled]) => {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return null; // Skip invalid types
+    }
+
+    return pool.query(
+      `INSERT INTO user_notification_preferences (user_id, notification_type, is_enabled, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (user_id, notification_type)
+       DO UPDATE SET is_enabled = $3, updated_at = NOW()`,
+      [userId, type, isEnabled]
+    );
+  });
+
+  await Promise.all(updatePromises.filter(p => p !== null));
+}
+
+/**
+ * Get the locale of a user, for notification texts
+ * Helper function for internal use
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Locale code (DEFAULT_LOCALE if unset or on error)
+ */
+async function getUserLocale(userId) {
+  try {
+    const pool = getPgPool();
+    const result = await pool.query('SELECT locale FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.locale || DEFAULT_LOCALE;
+  } catch (error) {
+    logger.error(`Error reading user locale: ${error.message}`);
+    return DEFAULT_LOCALE;
+  }
+}
+
 module.exports = {
   getNotificationPreferences,
   updateNotificationPreferences,
   isNotificationEnabled,
+  getNotificationPreferenceMap,
+  saveNotificationPreferences,
+  getUserLocale,
 };
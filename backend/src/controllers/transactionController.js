@@ -4,120 +4,258 @@
  * Uses MongoDB for transaction data storage
  */
 
-const { Transaction, Category } = require('../models');
+const mongoose = require('mongoose');
+const { Transaction, Category, Account, ExchangeRate, AuditLog, Rule } = require('../models');
 const { AppError, asyncHandler } = require('../middleware/error.middleware');
 const logger = require('../utils/logger');
 const { createNotification } = require('./notificationController');
 const { checkBudgetAlert } = require('./budgetController');
-const { isNotificationEnabled } = require('./settingsController');
+const { isNotificationEnabled, getUserLocale } = require('./settingsController');
+const { recordHistory } = require('./historyController');
+const { FREQUENCIES } = require('../utils/date');
+const { formatCsvRow } = require('../utils/csv');
+const { TRANSACTION_TYPES, PAYMENT_METHODS } = require('../config/constants');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeCurrency, formatCurrency } = require('../utils/currency');
+const { getCurrencyDecimals, toMinorUnits, parseAmount, formatAmount, moneyToNumber } = require('../utils/money');
+const { translate } = require('../locales');
+
+// Large transaction notifications fire at or above this amount, in USD equivalent
+const LARGE_TRANSACTION_THRESHOLD_USD = 1000;
+
+// Actions accepted by POST /api/transactions/bulk, and how many transactions one request may touch
+const BULK_ACTIONS = ['recategorize', 'addTags', 'removeTags', 'setPaymentMethod', 'shiftDate', 'delete'];
+const BULK_MAX_ITEMS = 1000;
+
+// CSV export columns; `line` is the split line (or the whole transaction when it has no splits)
+const EXPORT_COLUMNS = {
+  date: { header: 'Date', value: (t) => t.date.toISOString().split('T')[0] },
+  type: { header: 'Type', value: (t) => t.type.charAt(0).toUpperCase() + t.type.slice(1) },
+  category: {
+    header: 'Category',
+    // Transfers have no category: show the accounts money moved between instead
+    value: (t, line) => (t.type === 'transfer'
+      ? `${t.account?.name || 'Unknown'} -> ${t.toAccount?.name || 'Unknown'}`
+      : line.category?.name || 'Uncategorized'),
+  },
+  description: { header: 'Description', value: (t) => t.description },
+  amount: { header: 'Amount', value: (t, line) => formatAmount(line.amount, t.currency || DEFAULT_CURRENCY) },
+  currency: { header: 'Currency', value: (t) => t.currency || DEFAULT_CURRENCY },
+  paymentMethod: { header: 'Payment Method', value: (t) => t.paymentMethod },
+  notes: { header: 'Notes', value: (t) => t.notes },
+  fee: { header: 'Fee', value: (t) => formatAmount(t.fee, t.currency || DEFAULT_CURRENCY) },
+  account: { header: 'Account', value: (t) => t.account?.name },
+  tags: { header: 'Tags', value: (t) => (t.tags || []).join('; ') },
+  location: {
+    header: 'Location',
+    value: (t) => {
+      if (!t.location) return '';
+      if (t.location.address) return t.location.address;
+      return t.location.latitude !== undefined && t.location.longitude !== undefined
+        ? `${t.location.latitude},${t.location.longitude}`
+        : '';
+    },
+  },
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['date', 'type', 'category', 'description', 'amount', 'paymentMethod', 'notes', 'fee'];
 
 /**
  * Create a new transaction
  * @route POST /api/transactions
  * @access Private
- * @param {number} amount - Transaction amount (required)
- * @param {string} type - 'income' or 'expense' (required)
- * @param {string} category - Category ID (required, must belong to user)
+ * @param {string} amount - Transaction amount as a decimal string, e.g. '12.50' (required)
+ * @param {string} currency - ISO 4217 code (optional, defaults to the account currency or the user's base currency)
+ * @param {string} type - 'income', 'expense' or 'transfer' (required)
+ * @param {string} category - Category ID (must belong to user; optional for transfers, split transactions,
+ *                            and when an auto-categorization rule sets one)
+ * @param {array} splits - Split lines [{ category, amount, notes }] summing to amount (optional, not for transfers)
  * @param {string} description - Transaction description (optional)
  * @param {date} date - Transaction date (optional, defaults to now)
- * @param {string} paymentMethod - Payment method (optional, defaults to 'cash')
- * @param {string} bankAccountId - Bank account ID (optional)
+ * @param {string} paymentMethod - Payment method (optional, defaults to the account type or 'cash')
+ * @param {string} account - Account ID (optional, source account and required for transfers)
+ * @param {string} toAccount - Destination account ID (required for transfers)
+ * @param {string} toAmount - Amount received, in the destination account currency (required for cross-currency transfers)
+ * @param {string} fee - Fee charged on the source account (optional, transfers only)
  * @param {array} tags - Array of tags (optional)
  * @param {object} location - Location data (optional)
  * @param {string} notes - Additional notes (optional)
- * @returns {object} Created transaction with populated category
+ * @param {boolean} isRecurring - Repeat this transaction on a schedule (optional)
+ * @param {object} recurringConfig - { frequency, endDate } (required when isRecurring)
+ * @returns {object} Created transaction with populated category, and the auto-categorization rules that matched
  */
 const createTransaction = asyncHandler(async (req, res) => {
   const {
     amount,
+    currency,
     type,
     category,
+    splits,
     description,
     date,
     paymentMethod,
-    bankAccountId,
+    account,
+    toAccount,
+    toAmount,
+    fee,
     tags,
     location,
     notes,
+    isRecurring,
+    recurringConfig,
   } = req.body;
 
-  // Validate required fields
-  if (!amount || !type || !category) {
+  const isTransfer = type === 'transfer';
+  const hasSplits = Array.isArray(splits) && splits.length > 0;
+
+  // Validate required fields (the category is checked once rules had a chance to set it)
+  if (!amount || !type) {
     throw new AppError('Amount, type, and category are required', 400);
   }
 
   // Validate transaction type
-  if (type !== 'income' && type !== 'expense') {
-    throw new AppError('Type must be either income or expense', 400);
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw new AppError('Type must be one of: income, expense, transfer', 400);
   }
 
-  // Verify category exists and belongs to user
-  const categoryDoc = await Category.findOne({
-    _id: category,
-    userId: req.user.id,
-  });
+  if (currency !== undefined && !isValidCurrency(currency)) {
+    throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+  }
+
+  // Verify account exists and belongs to user
+  const accountDoc = account ? await findUserAccount(req.user.id, account) : null;
+
+  // Transactions on an account are always in the account currency
+  const transactionCurrency = resolveCurrency(accountDoc, currency, req.user);
+
+  // Amounts are kept as decimal strings at the currency precision
+  const transactionAmount = parseMoney(amount, transactionCurrency, 'Amount');
+  const transactionPaymentMethod = paymentMethod || accountDoc?.type || 'cash';
 
-  if (!categoryDoc) {
-    throw new AppError('Category not found or does not belong to you', 404);
+  // Auto-categorization rules fill in what the request leaves out
+  const ruleResult = isTransfer
+    ? null
+    : Rule.evaluate(await Rule.getActiveRules(req.user.id), {
+      type,
+      description,
+      notes,
+      amount: transactionAmount,
+      paymentMethod: transactionPaymentMethod,
+      tags,
+    });
+
+  let categoryDoc = null;
+  let categoryLabel = null;
+  let splitLines = [];
+  let toAccountDoc = null;
+  if (isTransfer) {
+    if (hasSplits) {
+      throw new AppError('Transfers cannot be split', 400);
+    }
+    validateTransfer(account, toAccount, fee);
+    toAccountDoc = await findUserAccount(req.user.id, toAccount);
+  } else if (hasSplits) {
+    // The first split's category is kept as the primary category for list views
+    const validated = await validateSplits(req.user.id, splits, type, transactionAmount, transactionCurrency);
+    splitLines = validated.splits;
+    categoryDoc = validated.categoryDocs[0];
+    categoryLabel = validated.categoryDocs.map((doc) => doc.name).join(', ');
+  } else if (category) {
+    // Verify category exists and belongs to user
+    categoryDoc = await Category.findOne({
+      _id: category,
+      userId: req.user.id,
+    });
+
+    if (!categoryDoc) {
+      throw new AppError('Category not found or does not belong to you', 404);
+    }
+
+    // Validate category type matches transaction type
+    if (categoryDoc.type !== type) {
+      throw new AppError(`Category type (${categoryDoc.type}) does not match transaction type (${type})`, 400);
+    }
+    categoryLabel = categoryDoc.name;
+  } else if (ruleResult.category) {
+    // Rules only resolve categories of the transaction type
+    categoryDoc = ruleResult.category;
+    categoryLabel = categoryDoc.name;
+  } else {
+    throw new AppError('Amount, type, and category are required (no auto-categorization rule matched)', 400);
   }
 
-  // Validate category type matches transaction type
-  if (categoryDoc.type !== type) {
-    throw new AppError(`Category type (${categoryDoc.type}) does not match transaction type (${type})`, 400);
+  // Rule tags are added to the request's tags; rule notes only fill empty notes
+  const transactionTags = ruleResult && ruleResult.tags.length > 0
+    ? [...new Set([...(tags || []), ...ruleResult.tags])]
+    : tags;
+  const transactionNotes = notes || ruleResult?.notes;
+
+  // Cross-currency transfers must state the amount received
+  const receivedAmount = isTransfer
+    ? resolveTransferAmount(transactionCurrency, toAccountDoc, toAmount)
+    : undefined;
+  const transferFee = isTransfer && fee
+    ? parseMoney(fee, transactionCurrency, 'Fee', { allowZero: true })
+    : 0;
+
+  // Validate recurring schedule
+  const transactionDate = date ? new Date(date) : new Date();
+  if (isRecurring) {
+    validateRecurringConfig(recurringConfig, transactionDate);
   }
 
   // Create transaction in MongoDB
-  const transaction = await Transaction.create({
+  const transaction = new Transaction({
     userId: req.user.id,
-    amount,
+    amount: transactionAmount,
+    currency: transactionCurrency,
     type,
-    category,
+    category: categoryDoc?._id,
+    splits: splitLines,
     description,
-    date: date || new Date(),
-    paymentMethod: paymentMethod || 'cash',
-    bankAccountId,
-    tags,
+    date: transactionDate,
+    paymentMethod: transactionPaymentMethod,
+    account: accountDoc?._id,
+    toAccount: isTransfer ? toAccount : undefined,
+    toAmount: receivedAmount,
+    fee: transferFee,
+    tags: transactionTags,
     location,
-    notes,
+    notes: transactionNotes,
   });
 
+  // This transaction is the first occurrence and the template for the following ones
+  if (isRecurring) {
+    transaction.isRecurring = true;
+    transaction.recurringConfig = {
+      frequency: recurringConfig.frequency,
+      endDate: recurringConfig.endDate ? new Date(recurringConfig.endDate) : undefined,
+    };
+    transaction.recurringConfig.nextDate = transaction.getNextOccurrence(transactionDate);
+  }
+
+  await transaction.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'create',
+    entityId: transaction._id,
+    before: null,
+    after: AuditLog.snapshot('transaction', transaction),
+  }]);
+
   // Populate category details before returning
   const populatedTransaction = await Transaction.findById(transaction._id)
-    .populate('category', 'name icon color type');
+    .populate('category', 'name icon color type')
+    .populate('splits.category', 'name icon color type')
+    .populate('account', 'name type currency')
+    .populate('toAccount', 'name type currency');
 
-  // Check for large transaction notification (>= $1,000 USD)
-  if (amount >= 1000) {
-    try {
-      // Check if user has this notification enabled
-      const isEnabled = await isNotificationEnabled(req.user.id.toString(), 'LARGE_TRANSACTION');
-      
-      if (isEnabled) {
-        await createNotification(req.user.id.toString(), {
-          type: 'LARGE_TRANSACTION',
-          title: 'Large transaction detected',
-          message: `${type === 'expense' ? 'Expense' : 'Income'} of ${formatCurrency(amount)} on ${categoryDoc.name}`,
-          priority: 'MEDIUM',
-          referenceType: 'TRANSACTION',
-          referenceId: transaction._id.toString(),
-          metadata: {
-            amount,
-            type,
-            categoryName: categoryDoc.name,
-            description
-          }
-        });
-        console.log('Large transaction notification created');
-      } else {
-        console.log('Large transaction notification skipped (disabled by user)');
-      }
-    } catch (error) {
-      console.error('Error creating large transaction notification:', error);
-    }
+  // Check for large transaction notification (>= $1,000 USD); transfers are not spending
+  if (!isTransfer) {
+    await notifyLargeTransaction(req.user.id.toString(), transaction, categoryLabel, req.user.locale);
   }
 
   // Update related budgets and check alerts
   if (type === 'expense') {
-    await updateBudgetsAfterTransaction(req.user.id.toString(), category);
+    await updateBudgetsAfterTransaction(req.user.id.toString(), transaction.getCategoryIds());
   }
 
   res.status(201).json({
@@ -125,6 +263,8 @@ const createTransaction = asyncHandler(async (req, res) => {
     message: 'Transaction created successfully',
     data: {
       transaction: populatedTransaction,
+      // Auto-categorization rules that matched, in evaluation order
+      appliedRules: ruleResult ? ruleResult.rules : [],
     },
   });
 });
@@ -134,7 +274,7 @@ const createTransaction = asyncHandler(async (req, res) => {
  * @route GET /api/transactions
  * @access Private
  * @query {string} search - Search by description or notes
- * @query {string} type - Filter by 'income' or 'expense'
+ * @query {string} type - Filter by 'income', 'expense' or 'transfer'
  * @query {string} category - Filter by category ID
  * @query {date} startDate - Filter by start date
  * @query {date} endDate - Filter by end date
@@ -159,50 +299,14 @@ const getTransactions = asyncHandler(async (req, res) => {
     sortOrder = 'desc',
   } = req.query;
 
-  // Build query filter
-  const query = { userId: req.user.id };
-
-  // Search by description or notes
-  if (search) {
-    query.$or = [
-      { description: { $regex: search, $options: 'i' } },
-      { notes: { $regex: search, $options: 'i' } },
-    ];
-  }
-
-  // Filter by transaction type
-  if (type) {
-    query.type = type;
-  }
-
-  // Filter by category
-  if (category) {
-    query.category = category;
-  }
-
-  // Filter by date range
-  if (startDate || endDate) {
-    query.date = {};
-    if (startDate) {
-      // Parse the date and get start of day in UTC
-      const start = new Date(startDate);
-      // Create a new date using only year, month, day in UTC
-      const utcStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), 0, 0, 0, 0));
-      query.date.$gte = utcStart;
-    }
-    if (endDate) {
-      // Parse the date and get end of day in UTC
-      const end = new Date(endDate);
-      // Create a new date using only year, month, day in UTC, set to end of day
-      const utcEnd = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate(), 23, 59, 59, 999));
-      query.date.$lte = utcEnd;
-    }
-  }
-
-  // Filter by payment method
-  if (paymentMethod) {
-    query.paymentMethod = paymentMethod;
-  }
+  const query = buildTransactionFilter(req.user.id, {
+    search,
+    type,
+    category,
+    startDate,
+    endDate,
+    paymentMethod,
+  });
 
   // Calculate pagination
   const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -212,10 +316,12 @@ const getTransactions = asyncHandler(async (req, res) => {
   const [transactions, total] = await Promise.all([
     Transaction.find(query)
       .populate('category', 'name icon color type')
+      .populate('splits.category', 'name icon color type')
+      .populate('account', 'name type currency')
+      .populate('toAccount', 'name type currency')
       .sort(sort)
       .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
+      .limit(parseInt(limit)),
     Transaction.countDocuments(query),
   ]);
 
@@ -245,7 +351,10 @@ const getTransactionById = asyncHandler(async (req, res) => {
   const transaction = await Transaction.findOne({
     _id: req.params.id,
     userId: req.user.id,
-  }).populate('category', 'name icon color type');
+  }).populate('category', 'name icon color type')
+    .populate('splits.category', 'name icon color type')
+    .populate('account', 'name type currency')
+    .populate('toAccount', 'name type currency');
 
   if (!transaction) {
     throw new AppError('Transaction not found', 404);
@@ -280,19 +389,101 @@ const updateTransaction = asyncHandler(async (req, res) => {
 
   const {
     amount,
+    currency,
     type,
     category,
+    splits,
     description,
     date,
     paymentMethod,
-    bankAccountId,
+    account,
+    toAccount,
+    toAmount,
+    fee,
     tags,
     location,
     notes,
   } = req.body;
 
+  if (currency !== undefined && !isValidCurrency(currency)) {
+    throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+  }
+
+  // Transfers have no category, so they cannot be converted to or from income/expense
+  if (type && type !== transaction.type && (type === 'transfer' || transaction.type === 'transfer')) {
+    throw new AppError('Cannot change the type of a transfer, or change a transaction into a transfer', 400);
+  }
+
+  if (transaction.type === 'transfer') {
+    validateTransfer(
+      account !== undefined ? account : transaction.account,
+      toAccount !== undefined ? toAccount : transaction.toAccount,
+      fee
+    );
+  }
+
+  // If updating account, verify it belongs to user (null unlinks the account)
+  let accountDoc = null;
+  if (account) {
+    accountDoc = await findUserAccount(req.user.id, account);
+  } else if (account === undefined && transaction.account) {
+    accountDoc = await Account.findOne({ _id: transaction.account, userId: req.user.id });
+  }
+
+  // Linked transactions follow the account currency; unlinked ones keep theirs unless changed
+  const transactionCurrency = resolveCurrency(
+    accountDoc,
+    currency !== undefined || accountDoc ? currency : transaction.currency,
+    req.user
+  );
+
+  let receivedAmount;
+  if (transaction.type === 'transfer') {
+    const toAccountDoc = await findUserAccount(req.user.id, toAccount || transaction.toAccount);
+    receivedAmount = resolveTransferAmount(
+      transactionCurrency,
+      toAccountDoc,
+      toAmount !== undefined ? toAmount : transaction.toAmount
+    );
+  }
+
+  const transactionType = type || transaction.type;
+  // The stored amount is re-checked too, since the currency (and its precision) may change
+  const transactionAmount = parseMoney(
+    amount !== undefined ? amount : transaction.amount,
+    transactionCurrency,
+    'Amount'
+  );
+  const transferFee = transaction.type === 'transfer' && fee !== undefined
+    ? parseMoney(fee || 0, transactionCurrency, 'Fee', { allowZero: true })
+    : undefined;
+
+  // Validate new split lines (null or [] removes the split)
+  let splitLines;
+  let splitCategory;
+  if (Array.isArray(splits) && splits.length > 0) {
+    if (transaction.type === 'transfer') {
+      throw new AppError('Transfers cannot be split', 400);
+    }
+    const validated = await validateSplits(req.user.id, splits, transactionType, transactionAmount, transactionCurrency);
+    splitLines = validated.splits;
+    splitCategory = validated.categoryDocs[0]._id;
+  } else if (splits !== undefined) {
+    splitLines = [];
+  }
+
+  // A split transaction keeps its first split's category; changing it means changing the splits
+  const staysSplit = splitLines === undefined && transaction.splits.length > 0;
+  const changesSplitCategory = staysSplit && (
+    (category && category.toString() !== transaction.category?.toString()) ||
+    (type && type !== transaction.type)
+  );
+  if (changesSplitCategory) {
+    throw new AppError('Transaction is split across categories; update splits instead', 400);
+  }
+
   // If updating category, verify it exists and type matches
-  if (category) {
+  if (category && transaction.type !== 'transfer') {
     const categoryDoc = await Category.findOne({
       _id: category,
       userId: req.user.id,
@@ -302,30 +493,62 @@ const updateTransaction = asyncHandler(async (req, res) => {
       throw new AppError('Category not found or does not belong to you', 404);
     }
 
-    const transactionType = type || transaction.type;
     if (categoryDoc.type !== transactionType) {
       throw new AppError(`Category type (${categoryDoc.type}) does not match transaction type (${transactionType})`, 400);
     }
   }
 
+  // Remember previous values so budgets for the old categories are recomputed too
+  const previousCategoryIds = transaction.getCategoryIds();
+  const previousType = transaction.type;
+  const before = AuditLog.snapshot('transaction', transaction);
+
   // Update fields if provided
-  if (amount !== undefined) transaction.amount = amount;
+  transaction.amount = transactionAmount;
+  transaction.currency = transactionCurrency;
   if (type) transaction.type = type;
-  if (category) transaction.category = category;
+  if (category && transaction.type !== 'transfer') transaction.category = category;
+  if (splitLines !== undefined) transaction.splits = splitLines;
+  if (splitCategory) transaction.category = splitCategory;
   if (description !== undefined) transaction.description = description;
   if (date) transaction.date = date;
   if (paymentMethod) transaction.paymentMethod = paymentMethod;
-  if (bankAccountId !== undefined) transaction.bankAccountId = bankAccountId;
+  if (account !== undefined) transaction.account = account || undefined;
+  if (toAccount !== undefined && transaction.type === 'transfer') transaction.toAccount = toAccount;
+  if (transaction.type === 'transfer') transaction.toAmount = receivedAmount;
+  if (transferFee !== undefined) transaction.fee = transferFee;
   if (tags) transaction.tags = tags;
   if (location) transaction.location = location;
   if (notes !== undefined) transaction.notes = notes;
 
+  // Existing splits must still add up when only the amount changed
+  if (!splitsMatchAmount(transaction.splits, transaction.amount, transaction.currency)) {
+    throw new AppError('Split amounts must sum to the transaction amount', 400);
+  }
+
   // Save updated transaction
   await transaction.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'update',
+    entityId: transaction._id,
+    before,
+    after: AuditLog.snapshot('transaction', transaction),
+  }]);
+
+  // Recompute budgets for both the old and the new categories (amount, date or type may have changed)
+  if (previousType === 'expense' || transaction.type === 'expense') {
+    await updateBudgetsAfterTransaction(
+      req.user.id.toString(),
+      previousCategoryIds.concat(transaction.getCategoryIds())
+    );
+  }
 
   // Fetch updated transaction with populated category
   const updatedTransaction = await Transaction.findById(transaction._id)
-    .populate('category', 'name icon color type');
+    .populate('category', 'name icon color type')
+    .populate('splits.category', 'name icon color type')
+    .populate('account', 'name type currency')
+    .populate('toAccount', 'name type currency');
 
   res.status(200).json({
     status: 'success',
@@ -337,11 +560,13 @@ const updateTransaction = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete transaction
+ * Delete transaction (moves it to the trash)
  * @route DELETE /api/transactions/:id
  * @access Private
  * @param {string} id - Transaction ID (MongoDB ObjectId)
- * @returns {object} Success message
+ * @returns {object} Success message with the deletion time
+ * @description The transaction can be restored from /api/trash until it is purged;
+ *              its attachment files are removed with the purge
  */
 const deleteTransaction = asyncHandler(async (req, res) => {
   // Find transaction that belongs to authenticated user
@@ -354,12 +579,258 @@ const deleteTransaction = asyncHandler(async (req, res) => {
     throw new AppError('Transaction not found', 404);
   }
 
-  // Delete the transaction
-  await transaction.deleteOne();
+  // Move the transaction to the trash
+  const before = AuditLog.snapshot('transaction', transaction);
+  await transaction.softDelete();
+  await recordHistory(req, 'transaction', [{
+    action: 'delete',
+    entityId: transaction._id,
+    before,
+    after: AuditLog.snapshot('transaction', transaction),
+  }]);
+
+  // Recompute budgets that counted this expense
+  if (transaction.type === 'expense') {
+    await updateBudgetsAfterTransaction(req.user.id.toString(), transaction.getCategoryIds());
+  }
 
   res.status(200).json({
     status: 'success',
-    message: 'Transaction deleted successfully',
+    message: 'Transaction moved to trash',
+    data: {
+      id: transaction._id,
+      deletedAt: transaction.deletedAt,
+    },
+  });
+});
+
+/**
+ * Apply one action to many transactions
+ * @route POST /api/transactions/bulk
+ * @access Private
+ * @body {Array<string>} ids - Transaction IDs (either ids or filter is required, max 1000)
+ * @body {object} filter - Same filters as GET /api/transactions: search, type, category,
+ *                         startDate, endDate, paymentMethod (max 1000 matches)
+ * @body {string} action - 'recategorize', 'addTags', 'removeTags', 'setPaymentMethod', 'shiftDate' or 'delete'
+ * @body {string} category - New category ID (recategorize)
+ * @body {Array<string>} tags - Tags to add or remove (addTags, removeTags)
+ * @body {string} paymentMethod - New payment method (setPaymentMethod)
+ * @body {number} days - Whole days to move the date by, may be negative (shiftDate)
+ * @returns {object} Per-item results ('updated', 'deleted', 'skipped', 'not_found' or 'failed') and counts
+ * @description Ids of other users' transactions are reported as not_found. Budgets are recomputed
+ *              once per affected budget after all items are processed. 'delete' moves the
+ *              transactions to the trash.
+ */
+const bulkUpdateTransactions = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+  const { ids, filter, action } = req.body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new AppError(`Action must be one of: ${BULK_ACTIONS.join(', ')}`, 400);
+  }
+  if ((ids === undefined) === (filter === undefined)) {
+    throw new AppError('Provide either ids or filter', 400);
+  }
+
+  let requestedIds;
+  let query;
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new AppError('ids must be a non-empty array', 400);
+    }
+    requestedIds = [...new Set(ids.map(String))];
+    if (requestedIds.length > BULK_MAX_ITEMS) {
+      throw new AppError(`At most ${BULK_MAX_ITEMS} transactions can be changed at once`, 400);
+    }
+    const invalid = requestedIds.filter((id) => !mongoose.isValidObjectId(id));
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid transaction IDs: ${invalid.join(', ')}`, 400);
+    }
+    query = { userId, _id: { $in: requestedIds } };
+  } else {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new AppError('filter must be an object', 400);
+    }
+    query = buildTransactionFilter(userId, filter);
+  }
+
+  const change = await validateBulkChange(req.user.id, action, req.body);
+
+  const transactions = await Transaction.find(query).limit(BULK_MAX_ITEMS + 1);
+  if (transactions.length > BULK_MAX_ITEMS) {
+    throw new AppError(`Filter matches more than ${BULK_MAX_ITEMS} transactions; narrow it down`, 400);
+  }
+
+  const results = [];
+  const found = new Set(transactions.map((transaction) => transaction._id.toString()));
+  (requestedIds || []).filter((id) => !found.has(id)).forEach((id) => {
+    results.push({ id, status: 'not_found', message: 'Transaction not found' });
+  });
+
+  // Work out each item's update (or why it is skipped) before writing anything
+  const operations = [];
+  const targets = [];
+  transactions.forEach((transaction) => {
+    const id = transaction._id.toString();
+    const plan = planBulkChange(transaction, action, change);
+    if (plan.skip) {
+      results.push({ id, status: plan.status || 'skipped', message: plan.skip });
+      return;
+    }
+    targets.push(transaction);
+    if (action !== 'delete') {
+      operations.push({ updateOne: { filter: { _id: transaction._id, userId }, update: plan.update } });
+    }
+  });
+
+  const failedIds = new Set();
+  if (action === 'delete' && targets.length > 0) {
+    // One deletion time for the whole batch, so POST /api/trash/undo restores it in one go
+    await Transaction.updateMany(
+      { userId, _id: { $in: targets.map((transaction) => transaction._id) } },
+      { $set: { deletedAt: new Date() } }
+    );
+  } else if (operations.length > 0) {
+    try {
+      await Transaction.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      error.writeErrors.forEach((writeError) => {
+        const transaction = targets[writeError.index];
+        failedIds.add(transaction._id.toString());
+        results.push({ id: transaction._id.toString(), status: 'failed', message: writeError.errmsg });
+      });
+    }
+  }
+
+  const status = action === 'delete' ? 'deleted' : 'updated';
+  const changed = targets.filter((transaction) => !failedIds.has(transaction._id.toString()));
+  changed.forEach((transaction) => results.push({ id: transaction._id.toString(), status }));
+
+  // Record a version per changed transaction, diffed against its stored state
+  if (changed.length > 0) {
+    const updated = await Transaction.find({ userId, _id: { $in: changed.map((transaction) => transaction._id) } })
+      .setOptions({ withDeleted: true });
+    const updatedById = new Map(updated.map((transaction) => [transaction._id.toString(), transaction]));
+    await recordHistory(req, 'transaction', changed.map((transaction) => ({
+      action: action === 'delete' ? 'delete' : 'update',
+      entityId: transaction._id,
+      before: AuditLog.snapshot('transaction', transaction),
+      after: AuditLog.snapshot('transaction', updatedById.get(transaction._id.toString())),
+    })), 'bulk');
+  }
+
+  // Recompute each affected budget once: old categories, plus the new one when re-categorizing
+  const changedExpenses = changed.filter((transaction) => transaction.type === 'expense');
+  if (changedExpenses.length > 0 && ['recategorize', 'shiftDate', 'delete'].includes(action)) {
+    const categoryIds = changedExpenses.flatMap((transaction) => transaction.getCategoryIds());
+    if (action === 'recategorize') {
+      categoryIds.push(change.category._id);
+    }
+    await updateBudgetsAfterTransaction(userId, categoryIds);
+  }
+
+  const counts = results.reduce((acc, result) => {
+    acc[result.status] = (acc[result.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  logger.info(`User ${userId} bulk ${action}: ${JSON.stringify(counts)}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${counts[status] || 0} transactions ${status}`,
+    data: {
+      action,
+      counts,
+      results,
+    },
+  });
+});
+
+/**
+ * Revert a transaction to a previous version
+ * @route POST /api/transactions/:id/history/:version/revert
+ * @access Private
+ * @param {string} id - Transaction ID
+ * @param {number} version - Version to go back to (from GET /api/transactions/:id/history)
+ * @returns {object} Reverted transaction with populated category
+ * @description The fields are set back to their values right after that version; the revert is
+ *              recorded as a new version. Transactions in the trash must be restored first.
+ */
+const revertTransaction = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  }).setOptions({ withDeleted: true });
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  if (transaction.deletedAt) {
+    throw new AppError('Transaction is in the trash; restore it before reverting', 400);
+  }
+
+  const version = Number(req.params.version);
+  const entry = Number.isInteger(version) && await AuditLog.findOne({
+    entityType: 'transaction',
+    entityId: transaction._id,
+    version,
+  });
+
+  if (!entry) {
+    throw new AppError('Version not found', 404);
+  }
+
+  const before = AuditLog.snapshot('transaction', transaction);
+  const target = await AuditLog.getStateAtVersion('transaction', transaction._id, before, version);
+  // Trash state is handled by /api/trash, not by reverts
+  const changes = AuditLog.diff(before, target).filter((change) => change.field !== 'deletedAt');
+
+  if (changes.length === 0) {
+    throw new AppError(`Transaction already matches version ${version}`, 400);
+  }
+
+  await checkRevertReferences(req.user.id, changes, version);
+
+  const previousCategoryIds = transaction.getCategoryIds();
+  const previousType = transaction.type;
+
+  changes.forEach((change) => transaction.set(change.field, change.after));
+
+  if (!splitsMatchAmount(transaction.splits, transaction.amount, transaction.currency)) {
+    throw new AppError('Split amounts must sum to the transaction amount', 400);
+  }
+
+  await transaction.save();
+  await recordHistory(req, 'transaction', [{
+    action: 'revert',
+    entityId: transaction._id,
+    before,
+    after: AuditLog.snapshot('transaction', transaction),
+    revertedTo: version,
+  }], 'revert');
+
+  if (previousType === 'expense' || transaction.type === 'expense') {
+    await updateBudgetsAfterTransaction(
+      req.user.id.toString(),
+      previousCategoryIds.concat(transaction.getCategoryIds())
+    );
+  }
+
+  const revertedTransaction = await Transaction.findById(transaction._id)
+    .populate('category', 'name icon color type')
+    .populate('splits.category', 'name icon color type')
+    .populate('account', 'name type currency')
+    .populate('toAccount', 'name type currency');
+
+  res.status(200).json({
+    status: 'success',
+    message: `Transaction reverted to version ${version}`,
+    data: {
+      transaction: revertedTransaction,
+    },
   });
 });
 
@@ -369,6 +840,7 @@ const deleteTransaction = asyncHandler(async (req, res) => {
  * @access Private
  * @query {date} startDate - Start date for summary (required)
  * @query {date} endDate - End date for summary (required)
+ * @query {string} currency - Report currency (optional, defaults to the user's base currency)
  * @returns {object} Summary with income, expense, balance, and transaction count
  * @description Uses MongoDB aggregation pipeline (defined in Transaction model)
  */
@@ -384,7 +856,8 @@ const getTransactionSummary = asyncHandler(async (req, res) => {
   const summary = await Transaction.getSummary(
     req.user.id,
     new Date(startDate),
-    new Date(endDate)
+    new Date(endDate),
+    getReportCurrency(req)
   );
 
   res.status(200).json({
@@ -401,11 +874,13 @@ const getTransactionSummary = asyncHandler(async (req, res) => {
  * @access Private
  * @query {date} startDate - Start date for analysis (required)
  * @query {date} endDate - End date for analysis (required)
- * @returns {object} Array of categories with total spent and count
+ * @query {string} currency - Report currency (optional, defaults to the user's base currency)
+ * @query {boolean} rollup - Add subcategory spending to the top-level category (optional, default: true)
+ * @returns {object} Array of categories with total spent and count (and subcategories when rolled up)
  * @description Uses MongoDB aggregation pipeline with $group and $lookup
  */
 const getSpendingByCategory = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, rollup } = req.query;
 
   // Validate date range
   if (!startDate || !endDate) {
@@ -416,36 +891,415 @@ const getSpendingByCategory = asyncHandler(async (req, res) => {
   const spending = await Transaction.getSpendingByCategory(
     req.user.id,
     new Date(startDate),
-    new Date(endDate)
+    new Date(endDate),
+    getReportCurrency(req),
+    { rollup: rollup !== 'false' }
   );
 
   res.status(200).json({
     status: 'success',
     data: {
+      currency: getReportCurrency(req),
       spending,
     },
   });
 });
 
+/**
+ * Helper function to get the currency reports are converted to
+ * @param {object} req - Express request (?currency= overrides the user's base currency)
+ * @returns {string} Currency code
+ * @throws {AppError} 400 if ?currency= is not a valid code
+ */
+function getReportCurrency(req) {
+  if (req.query.currency !== undefined) {
+    if (!isValidCurrency(req.query.currency)) {
+      throw new AppError('Currency must be a 3-letter ISO 4217 code', 400);
+    }
+    return normalizeCurrency(req.query.currency);
+  }
+  return req.user.base_currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Helper function to find an account that belongs to the user
+ * @param {string} userId
+ * @param {string} accountId
+ * @returns {Promise<Document>} Account
+ * @throws {AppError} 404 if not found
+ */
+async function findUserAccount(userId, accountId) {
+  const accountDoc = await Account.findOne({ _id: accountId, userId });
+
+  if (!accountDoc) {
+    throw new AppError('Account not found or does not belong to you', 404);
+  }
+
+  return accountDoc;
+}
+
+/**
+ * Helper function to check that the categories and accounts a revert brings back still exist
+ * @param {string} userId
+ * @param {Array<object>} changes - Fields set by the revert ({ field, after })
+ * @param {number} version - Version reverted to, for the error message
+ * @throws {AppError} 400 if one of them was deleted since
+ */
+async function checkRevertReferences(userId, changes, version) {
+  const values = Object.fromEntries(changes.map((change) => [change.field, change.after]));
+
+  const categoryIds = [values.category, ...(values.splits || []).map((split) => split.category)].filter(Boolean);
+  if (categoryIds.length > 0) {
+    const uniqueIds = [...new Set(categoryIds.map(String))];
+    const count = await Category.countDocuments({ _id: { $in: uniqueIds }, userId });
+    if (count !== uniqueIds.length) {
+      throw new AppError(`Cannot revert to version ${version}: one of its categories no longer exists`, 400);
+    }
+  }
+
+  const accountIds = [values.account, values.toAccount].filter(Boolean);
+  if (accountIds.length > 0) {
+    const uniqueIds = [...new Set(accountIds.map(String))];
+    const count = await Account.countDocuments({ _id: { $in: uniqueIds }, userId });
+    if (count !== uniqueIds.length) {
+      throw new AppError(`Cannot revert to version ${version}: one of its accounts no longer exists`, 400);
+    }
+  }
+}
+
+/**
+ * Helper function to validate split lines
+ * @param {string} userId
+ * @param {Array<object>} splits - [{ category, amount, notes }]
+ * @param {string} type - Transaction type ('income' or 'expense')
+ * @param {string} amount - Transaction total
+ * @param {string} currency - Transaction currency
+ * @returns {Promise<object>} { splits, categoryDocs } in input order
+ * @throws {AppError} 400/404 if a line is invalid or the amounts do not sum to the total
+ */
+async function validateSplits(userId, splits, type, amount, currency) {
+  const categoryIds = splits.map((split) => split?.category);
+  if (categoryIds.some((id) => !id)) {
+    throw new AppError('Each split requires a category and an amount greater than 0', 400);
+  }
+  const splitAmounts = splits.map((split) => parseMoney(split.amount, currency, 'Split amount'));
+
+  const categoryDocs = await Category.find({
+    _id: { $in: categoryIds },
+    userId,
+  });
+  const byId = new Map(categoryDocs.map((doc) => [doc._id.toString(), doc]));
+
+  const orderedDocs = categoryIds.map((id) => {
+    const doc = byId.get(id.toString());
+    if (!doc) {
+      throw new AppError('Split category not found or does not belong to you', 404);
+    }
+    if (doc.type !== type) {
+      throw new AppError(`Split category type (${doc.type}) does not match transaction type (${type})`, 400);
+    }
+    return doc;
+  });
+
+  const lines = splits.map((split, index) => ({
+    category: split.category,
+    amount: splitAmounts[index],
+    notes: split.notes,
+  }));
+
+  if (!splitsMatchAmount(lines, amount, currency)) {
+    throw new AppError('Split amounts must sum to the transaction amount', 400);
+  }
+
+  return {
+    splits: lines,
+    categoryDocs: orderedDocs,
+  };
+}
+
+/**
+ * Helper function to check split lines add up to the transaction amount
+ * @param {Array<object>} splits
+ * @param {string} amount
+ * @param {string} currency
+ * @returns {boolean} True when there are no splits or they sum to amount
+ */
+function splitsMatchAmount(splits, amount, currency) {
+  if (!splits || splits.length === 0) return true;
+  // Compare in minor units so the sum is exact
+  const total = splits.reduce((sum, split) => sum + toMinorUnits(split.amount, currency), 0);
+  return total === toMinorUnits(amount, currency);
+}
+
+/**
+ * Helper function to parse a money amount from the request body
+ * @param {string|number} value - Decimal string (or number)
+ * @param {string} currency - Currency the amount is in
+ * @param {string} label - Field name used in error messages
+ * @param {object} options - { allowZero: true } accepts 0 (optional)
+ * @returns {string} Decimal string at the currency precision
+ * @throws {AppError} 400 if the value is not a valid amount for the currency
+ */
+function parseMoney(value, currency, label, options = {}) {
+  const parsed = parseAmount(value, currency);
+  if (parsed === null) {
+    throw new AppError(`${label} must be a decimal amount with at most ${getCurrencyDecimals(currency)} decimal places for ${currency}`, 400);
+  }
+
+  const minor = toMinorUnits(parsed, currency);
+  if (minor < 0 || (minor === 0 && !options.allowZero)) {
+    throw new AppError(`${label} must be greater than ${options.allowZero ? 'or equal to ' : ''}0`, 400);
+  }
+
+  return parsed;
+}
+
+/**
+ * Helper function to resolve a transaction's currency
+ * @param {Document|null} accountDoc - Linked account
+ * @param {string} currency - Requested currency (optional)
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {string} Currency code
+ * @throws {AppError} 400 if the requested currency differs from the account currency
+ */
+function resolveCurrency(accountDoc, currency, user) {
+  const requested = normalizeCurrency(currency);
+
+  if (accountDoc) {
+    if (requested && requested !== accountDoc.currency) {
+      throw new AppError(`Currency must match the account currency (${accountDoc.currency})`, 400);
+    }
+    return accountDoc.currency;
+  }
+
+  return requested || user.base_currency || DEFAULT_CURRENCY;
+}
+
+/**
+ * Helper function to resolve the amount received by a transfer's destination account
+ * @param {string} currency - Transfer (source account) currency
+ * @param {Document} toAccountDoc - Destination account
+ * @param {string} toAmount - Amount received (optional)
+ * @returns {string|undefined} Received amount, undefined when currencies match
+ * @throws {AppError} 400 if a cross-currency transfer has no valid toAmount
+ */
+function resolveTransferAmount(currency, toAccountDoc, toAmount) {
+  if (toAccountDoc.currency === currency) {
+    return undefined;
+  }
+
+  if (toAmount === undefined || toAmount === null) {
+    throw new AppError(`toAmount (in ${toAccountDoc.currency}) is required for transfers between currencies`, 400);
+  }
+
+  return parseMoney(toAmount, toAccountDoc.currency, 'toAmount');
+}
+
+/**
+ * Helper function to validate transfer fields
+ * @param {string} account - Source account ID
+ * @param {string} toAccount - Destination account ID
+ * @param {number} fee - Transfer fee
+ * @throws {AppError} 400 if invalid
+ */
+function validateTransfer(account, toAccount, fee) {
+  if (!account || !toAccount) {
+    throw new AppError('Source account and destination account are required for transfers', 400);
+  }
+
+  if (account.toString() === toAccount.toString()) {
+    throw new AppError('Source and destination accounts must be different', 400);
+  }
+
+  if (fee !== undefined && fee !== null && !(fee >= 0)) {
+    throw new AppError('Fee must be a positive number', 400);
+  }
+}
+
+/**
+ * Helper function to validate a recurring schedule
+ * @param {object} recurringConfig - { frequency, endDate }
+ * @param {Date} startDate - Date of the first occurrence
+ * @throws {AppError} 400 if the schedule is invalid
+ */
+function validateRecurringConfig(recurringConfig, startDate) {
+  if (!recurringConfig || !FREQUENCIES.includes(recurringConfig.frequency)) {
+    throw new AppError(`Recurring frequency must be one of: ${FREQUENCIES.join(', ')}`, 400);
+  }
+
+  if (recurringConfig.endDate && new Date(recurringConfig.endDate) <= startDate) {
+    throw new AppError('Recurring end date must be after the transaction date', 400);
+  }
+}
+
+/**
+ * Helper function to validate the parameters of a bulk action
+ * @param {string} userId
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {object} body - req.body
+ * @returns {Promise<object>} { category } | { tags } | { paymentMethod } | { days } | {}
+ * @throws {AppError} 400/404 if a parameter is missing or invalid
+ */
+async function validateBulkChange(userId, action, body) {
+  switch (action) {
+    case 'recategorize': {
+      if (!body.category) {
+        throw new AppError('category is required for recategorize', 400);
+      }
+      const category = await Category.findOne({ _id: body.category, userId });
+      if (!category) {
+        throw new AppError('Category not found or does not belong to you', 404);
+      }
+      return { category };
+    }
+    case 'addTags':
+    case 'removeTags': {
+      const tags = Array.isArray(body.tags)
+        ? [...new Set(body.tags.filter((tag) => typeof tag === 'string').map((tag) => tag.trim()).filter(Boolean))]
+        : [];
+      if (tags.length === 0) {
+        throw new AppError(`tags must be a non-empty array of strings for ${action}`, 400);
+      }
+      return { tags };
+    }
+    case 'setPaymentMethod':
+      if (!PAYMENT_METHODS.includes(body.paymentMethod)) {
+        throw new AppError(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+      }
+      return { paymentMethod: body.paymentMethod };
+    case 'shiftDate': {
+      const days = Number(body.days);
+      if (!Number.isInteger(days) || days === 0 || Math.abs(days) > 3660) {
+        throw new AppError('days must be a non-zero whole number of days (at most 3660)', 400);
+      }
+      return { days };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Helper function to plan a bulk action on one transaction
+ * @param {Document} transaction
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {object} change - From validateBulkChange
+ * @returns {object} { update } with a Mongo update, or { skip, status } explaining why nothing changes
+ */
+function planBulkChange(transaction, action, change) {
+  switch (action) {
+    case 'recategorize':
+      if (transaction.type === 'transfer') {
+        return { skip: 'Transfers have no category' };
+      }
+      if (transaction.splits && transaction.splits.length > 0) {
+        return { skip: 'Split transaction: change the categories of its lines instead' };
+      }
+      if (transaction.type !== change.category.type) {
+        return { skip: `Category type (${change.category.type}) does not match transaction type (${transaction.type})`, status: 'failed' };
+      }
+      if (transaction.category?.toString() === change.category._id.toString()) {
+        return { skip: 'Already in this category' };
+      }
+      return { update: { $set: { category: change.category._id } } };
+    case 'addTags':
+      return { update: { $addToSet: { tags: { $each: change.tags } } } };
+    case 'removeTags':
+      if (!change.tags.some((tag) => transaction.tags.includes(tag))) {
+        return { skip: 'None of these tags are set' };
+      }
+      return { update: { $pull: { tags: { $in: change.tags } } } };
+    case 'setPaymentMethod':
+      if (transaction.paymentMethod === change.paymentMethod) {
+        return { skip: 'Payment method already set' };
+      }
+      return { update: { $set: { paymentMethod: change.paymentMethod } } };
+    case 'shiftDate': {
+      // Templates anchor their schedule on the date: edit them through /recurring
+      if (transaction.isRecurring) {
+        return { skip: 'Recurring template: edit its schedule instead' };
+      }
+      const date = new Date(transaction.date.getTime() + change.days * 24 * 60 * 60 * 1000);
+      return { update: { $set: { date } } };
+    }
+    default:
+      return { update: null };
+  }
+}
+
+/**
+ * Helper function to notify the user about a large income or expense
+ * @param {string} userId
+ * @param {Document} transaction - Saved transaction
+ * @param {string} categoryLabel - Category name(s) shown in the message
+ * @param {string} locale - Locale of the title and message (optional, default: the user's locale)
+ * @description Fires at or above LARGE_TRANSACTION_THRESHOLD_USD, converted at the transaction date;
+ *              without a rate no notification is sent. Errors are logged, never thrown.
+ */
+async function notifyLargeTransaction(userId, transaction, categoryLabel, locale) {
+  try {
+    const { amount, currency, type, date, description } = transaction;
+    const usdAmount = await ExchangeRate.convert(moneyToNumber(amount), currency, 'USD', date);
+    // Without a rate the size is unknown: comparing e.g. VND at face value would flag almost everything
+    if (usdAmount === null || usdAmount < LARGE_TRANSACTION_THRESHOLD_USD) return;
+
+    // Check if user has this notification enabled
+    const isEnabled = await isNotificationEnabled(userId, 'LARGE_TRANSACTION');
+
+    if (isEnabled) {
+      const userLocale = locale || await getUserLocale(userId);
+      await createNotification(userId, {
+        type: 'LARGE_TRANSACTION',
+        title: translate(userLocale, 'notifications.LARGE_TRANSACTION.title'),
+        message: translate(userLocale, 'notifications.LARGE_TRANSACTION.message', {
+          type: translate(userLocale, `transactionTypes.${type}`),
+          amount: formatCurrency(moneyToNumber(amount), currency),
+          category: categoryLabel,
+        }),
+        priority: 'MEDIUM',
+        referenceType: 'TRANSACTION',
+        referenceId: transaction._id.toString(),
+        metadata: {
+          amount,
+          currency,
+          type,
+          categoryName: categoryLabel,
+          description
+        }
+      });
+      console.log('Large transaction notification created');
+    } else {
+      console.log('Large transaction notification skipped (disabled by user)');
+    }
+  } catch (error) {
+    console.error('Error creating large transaction notification:', error);
+  }
+}
+
 /**
  * Helper function to update budgets after transaction
  * @param {string} userId
- * @param {string} categoryId
+ * @param {string|Array<string>} categoryIds - Category ID, or every category touched by the change
  */
-async function updateBudgetsAfterTransaction(userId, categoryId) {
+async function updateBudgetsAfterTransaction(userId, categoryIds) {
   try {
     const Budget = require('../models/Budget');
+
+    // Deduplicate (old and new category are often the same); budgets on a parent category
+    // count spending in its subcategories, so ancestors are included
+    const ids = await Category.getAncestorIds(userId, categoryIds);
+    if (ids.length === 0) return;
+
+    console.log('Checking budgets for userId:', userId, 'categoryIds:', ids);
     
-    console.log('Checking budgets for userId:', userId, 'categoryId:', categoryId);
-    
-    // Find all active budgets that include this category
+    // Find all active budgets that include any of these categories
     const budgets = await Budget.find({
       userId,
       isActive: true,
-      categories: categoryId
+      categories: { $in: ids }
     });
 
-    console.log(`Found ${budgets.length} active budgets with this category`);
+    console.log(`Found ${budgets.length} active budgets with these categories`);
 
     // Update spent amount and check alerts for each budget
     for (const budget of budgets) {
@@ -458,94 +1312,181 @@ async function updateBudgetsAfterTransaction(userId, categoryId) {
   }
 }
 
-/**
- * Helper function to format currency
- * @param {number} amount
- * @returns {string}
- */
-function formatCurrency(amount) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(amount);
-}
-
 /**
  * Export transactions to CSV
  * @route GET /api/transactions/export
  * @access Private
- * @query {string} type - Filter by type ('income' or 'expense')
+ * @query {string} search - Search in description and notes
+ * @query {string} type - Filter by type ('income', 'expense' or 'transfer')
  * @query {string} category - Filter by category ID
  * @query {date} startDate - Filter by start date
  * @query {date} endDate - Filter by end date
- * @query {string} search - Search in description and notes
- * @returns {text/csv} CSV file with transactions
+ * @query {string} paymentMethod - Filter by payment method
+ * @query {string} columns - Comma-separated EXPORT_COLUMNS keys, in output order
+ *                           (default: date,type,category,description,amount,paymentMethod,notes,fee)
+ * @returns {text/csv} CSV file with transactions (RFC 4180, CRLF line endings)
+ * @description Filters match GET /api/transactions. Rows are streamed from a cursor, so large exports
+ *              are never held in memory. Split transactions produce one row per split line.
  */
 const exportTransactionsToCSV = asyncHandler(async (req, res) => {
-  const { type, category, startDate, endDate, search } = req.query;
+  const { search, type, category, startDate, endDate, paymentMethod } = req.query;
   const userId = req.user.id.toString();
+  const columns = parseExportColumns(req.query.columns);
+
+  const query = buildTransactionFilter(userId, {
+    search,
+    type,
+    category,
+    startDate,
+    endDate,
+    paymentMethod,
+  });
+
+  const cursor = Transaction.find(query)
+    .populate('category', 'name')
+    .populate('splits.category', 'name')
+    .populate('account', 'name')
+    .populate('toAccount', 'name')
+    .sort({ date: -1 })
+    .cursor();
+
+  // Read the first document before sending headers, so query errors still get a JSON response
+  let transaction = await cursor.next();
+
+  const filename = `transactions_${new Date().toISOString().split('T')[0]}.csv`;
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(formatCsvRow(columns.map((key) => EXPORT_COLUMNS[key].header)));
+
+  let count = 0;
+  try {
+    while (transaction) {
+      if (!res.write(formatExportRows(transaction, columns))) {
+        await waitForDrain(res);
+      }
+      if (res.destroyed) {
+        logger.info(`CSV export aborted by client after ${count} transactions for user ${userId}`);
+        await cursor.close();
+        return;
+      }
+      count++;
+      transaction = await cursor.next();
+    }
+  } catch (error) {
+    // Headers are already sent: cut the response so the client sees an incomplete download
+    logger.error(`CSV export failed after ${count} transactions for user ${userId}: ${error.message}`);
+    await cursor.close();
+    res.destroy(error);
+    return;
+  }
 
-  // Build query (same as getTransactions)
+  logger.info(`Exported ${count} transactions for user ${userId}`);
+  res.end();
+});
+
+/**
+ * Helper function to build the transaction filter shared by the list and export endpoints
+ * @param {string} userId
+ * @param {object} filters - { search, type, category, startDate, endDate, paymentMethod } (all optional)
+ * @returns {object} Mongo query
+ * @description Dates are whole UTC days: startDate from 00:00:00.000, endDate until 23:59:59.999
+ */
+function buildTransactionFilter(userId, filters) {
+  const { search, type, category, startDate, endDate, paymentMethod } = filters;
   const query = { userId };
 
+  // Search by description or notes
+  if (search) {
+    query.$or = [
+      { description: { $regex: search, $options: 'i' } },
+      { notes: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  // Filter by transaction type
   if (type) {
     query.type = type;
   }
 
+  // Filter by category (primary category or any split line)
   if (category) {
-    query.category = category;
+    query.$and = [{ $or: [{ category }, { 'splits.category': category }] }];
   }
 
+  // Filter by date range
   if (startDate || endDate) {
     query.date = {};
     if (startDate) {
-      query.date.$gte = new Date(startDate);
+      const start = new Date(startDate);
+      query.date.$gte = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), 0, 0, 0, 0));
     }
     if (endDate) {
-      const endOfDay = new Date(endDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      query.date.$lte = endOfDay;
+      const end = new Date(endDate);
+      query.date.$lte = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate(), 23, 59, 59, 999));
     }
   }
 
-  if (search) {
-    query.$or = [
-      { description: { $regex: search, $options: 'i' } },
-      { notes: { $regex: search, $options: 'i' } },
-    ];
+  // Filter by payment method
+  if (paymentMethod) {
+    query.paymentMethod = paymentMethod;
   }
 
-  // Fetch all transactions (no pagination for export)
-  const transactions = await Transaction.find(query)
-    .populate('category', 'name icon')
-    .sort({ date: -1 });
-
-  logger.info(`Exporting ${transactions.length} transactions for user ${userId}`);
-
-  // Generate CSV content
-  const csvHeader = 'Date,Type,Category,Description,Amount,Payment Method,Notes\n';
-  
-  const csvRows = transactions.map(t => {
-    const date = t.date.toISOString().split('T')[0]; // YYYY-MM-DD
-    const type = t.type.charAt(0).toUpperCase() + t.type.slice(1); // Capitalize
-    const category = t.category ? t.category.name : 'Uncategorized';
-    const description = (t.description || '').replace(/"/g, '""'); // Escape quotes
-    const amount = t.amount.toFixed(2);
-    const paymentMethod = t.paymentMethod || '';
-    const notes = (t.notes || '').replace(/"/g, '""'); // Escape quotes
-    
-    return `"${date}","${type}","${category}","${description}","${amount}","${paymentMethod}","${notes}"`;
-  }).join('\n');
+  return query;
+}
 
-  const csv = csvHeader + csvRows;
+/**
+ * Helper function to validate the export column list
+ * @param {string} value - Comma-separated column keys
+ * @returns {Array<string>} Column keys
+ * @throws {AppError} 400 if a column is unknown
+ */
+function parseExportColumns(value) {
+  if (!value) return DEFAULT_EXPORT_COLUMNS;
 
-  // Set headers for CSV download
-  const filename = `transactions_${new Date().toISOString().split('T')[0]}.csv`;
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  
-  res.status(200).send(csv);
-});
+  const columns = String(value).split(',').map((key) => key.trim()).filter(Boolean);
+  const unknown = columns.filter((key) => !EXPORT_COLUMNS[key]);
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown export columns: ${unknown.join(', ')}. Allowed: ${Object.keys(EXPORT_COLUMNS).join(', ')}`, 400);
+  }
+  if (columns.length === 0) {
+    throw new AppError('At least one export column is required', 400);
+  }
+  return columns;
+}
+
+/**
+ * Helper function to format the CSV rows of one transaction
+ * @param {Document} transaction - Transaction with category, splits, account and toAccount populated
+ * @param {Array<string>} columns - Column keys
+ * @returns {string} One record, or one per split line
+ */
+function formatExportRows(transaction, columns) {
+  const lines = transaction.splits && transaction.splits.length > 0
+    ? transaction.splits.map((split) => ({ category: split.category, amount: split.amount }))
+    : [{ category: transaction.category, amount: transaction.amount }];
+
+  return lines
+    .map((line) => formatCsvRow(columns.map((key) => EXPORT_COLUMNS[key].value(transaction, line))))
+    .join('');
+}
+
+/**
+ * Helper function to wait until a response can take more data or is closed
+ * @param {Response} res
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
 
 module.exports = {
   createTransaction,
@@ -553,7 +1494,13 @@ module.exports = {
   getTransactionById,
   updateTransaction,
   deleteTransaction,
+  bulkUpdateTransactions,
+  revertTransaction,
   getTransactionSummary,
   getSpendingByCategory,
   exportTransactionsToCSV,
+  updateBudgetsAfterTransaction,
+  notifyLargeTransaction,
+  buildTransactionFilter,
+  getReportCurrency,
 };
@@ -0,0 +1,330 @@
+/**
+ * Trash Controller
+ * Deleted transactions, budgets and categories stay in the trash (deletedAt set)
+ * until they are restored, purged by the user, or purged automatically after
+ * TRASH_RETENTION_DAYS
+ */
+
+const mongoose = require('mongoose');
+const { Transaction, Budget, Category, AuditLog } = require('../models');
+const { AppError, asyncHandler } = require('../middleware/error.middleware');
+const { updateBudgetsAfterTransaction } = require('./transactionController');
+const { removeTransactionAttachments } = require('./attachmentController');
+const { recordHistory } = require('./historyController');
+const logger = require('../utils/logger');
+
+// Days an item stays in the trash before it is purged automatically (default: 30)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Item types, as used in /api/trash/:type/:id
+const TRASH_TYPES = {
+  transactions: { Model: Transaction, label: 'Transaction', entityType: 'transaction' },
+  budgets: { Model: Budget, label: 'Budget', entityType: 'budget' },
+  categories: { Model: Category, label: 'Category', entityType: 'category' },
+};
+
+/**
+ * Get items in the trash
+ * @route GET /api/trash
+ * @access Private
+ * @query {string} type - 'transactions', 'budgets' or 'categories' (optional, default: all)
+ * @query {number} page - Page number, per type (default: 1)
+ * @query {number} limit - Items per page, per type (default: 50, max: 200)
+ * @returns {object} Items per type, most recently deleted first, each with the date it will be purged
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const types = parseTrashTypes(req.query.type);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const query = { userId: req.user.id, deletedAt: { $ne: null } };
+
+  const items = {};
+  const counts = {};
+  for (const type of types) {
+    const { Model } = TRASH_TYPES[type];
+    let find = Model.find(query).sort({ deletedAt: -1 }).skip((page - 1) * limit).limit(limit);
+    if (type === 'transactions') {
+      find = find
+        .populate('category', 'name icon color type')
+        .populate('account', 'name type currency')
+        .populate('toAccount', 'name type currency');
+    }
+    const [docs, total] = await Promise.all([find, Model.countDocuments(query)]);
+
+    items[type] = docs.map((doc) => ({ ...doc.toJSON(), purgeAt: getPurgeDate(doc.deletedAt) }));
+    counts[type] = total;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      items,
+      counts,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page,
+        limit,
+      },
+    },
+  });
+});
+
+/**
+ * Restore an item from the trash
+ * @route POST /api/trash/:type/:id/restore
+ * @access Private
+ * @param {string} type - 'transactions', 'budgets' or 'categories'
+ * @param {string} id - Item ID
+ * @returns {object} Restored item
+ */
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const { type, id } = parseTrashItem(req.params);
+
+  const [item] = await restoreItems(req, type, { _id: id });
+  if (!item) {
+    throw new AppError(`${TRASH_TYPES[type].label} not found in trash`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${TRASH_TYPES[type].label} restored successfully`,
+    data: {
+      item,
+    },
+  });
+});
+
+/**
+ * Undo the last deletion
+ * @route POST /api/trash/undo
+ * @access Private
+ * @returns {object} Number of restored items per type
+ * @description Restores every item deleted at the same time as the most recently deleted one,
+ *              so a bulk delete is undone as a whole
+ */
+const undoLastDeletion = asyncHandler(async (req, res) => {
+  const userId = req.user.id.toString();
+
+  const latest = await Promise.all(Object.keys(TRASH_TYPES).map((type) =>
+    TRASH_TYPES[type].Model.findOne({ userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .select('deletedAt')
+  ));
+  const deletedAt = latest
+    .filter(Boolean)
+    .map((doc) => doc.deletedAt)
+    .sort((a, b) => b - a)[0];
+
+  if (!deletedAt) {
+    throw new AppError('Nothing to undo: the trash is empty', 404);
+  }
+
+  // Categories first, so restored transactions and budgets point at live categories
+  const restored = {};
+  for (const type of ['categories', 'transactions', 'budgets']) {
+    restored[type] = (await restoreItems(req, type, { deletedAt })).length;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Last deletion undone',
+    data: {
+      deletedAt,
+      restored,
+    },
+  });
+});
+
+/**
+ * Permanently delete an item from the trash
+ * @route DELETE /api/trash/:type/:id
+ * @access Private
+ * @param {string} type - 'transactions', 'budgets' or 'categories'
+ * @param {string} id - Item ID
+ * @returns {object} Success message
+ */
+const purgeTrashItem = asyncHandler(async (req, res) => {
+  const { type, id } = parseTrashItem(req.params);
+
+  const purged = await purgeItems(type, { userId: req.user.id.toString(), _id: id, deletedAt: { $ne: null } });
+  if (purged === 0) {
+    throw new AppError(`${TRASH_TYPES[type].label} not found in trash`, 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${TRASH_TYPES[type].label} permanently deleted`,
+    data: null,
+  });
+});
+
+/**
+ * Empty the trash
+ * @route DELETE /api/trash
+ * @access Private
+ * @query {string} type - 'transactions', 'budgets' or 'categories' (optional, default: all)
+ * @returns {object} Number of purged items per type
+ */
+const emptyTrash = asyncHandler(async (req, res) => {
+  const types = parseTrashTypes(req.query.type);
+
+  const purged = {};
+  for (const type of types) {
+    purged[type] = await purgeItems(type, { userId: req.user.id.toString(), deletedAt: { $ne: null } });
+  }
+
+  logger.info(`User ${req.user.id} emptied the trash: ${JSON.stringify(purged)}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Trash emptied successfully',
+    data: {
+      purged,
+    },
+  });
+});
+
+/**
+ * Permanently delete items that have been in the trash longer than the retention window
+ * Helper function for the trash purge job
+ * @param {Date} now - Reference date (default: now)
+ * @returns {Promise<object>} Number of purged items per type
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const purged = {};
+  for (const type of Object.keys(TRASH_TYPES)) {
+    purged[type] = await purgeItems(type, { deletedAt: { $ne: null, $lte: cutoff } });
+  }
+  return purged;
+}
+
+/**
+ * Helper function to take items out of the trash
+ * @param {object} req - Express request (authenticated user, recorded in the history)
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {object} filter - Extra conditions (_id or deletedAt)
+ * @returns {Promise<Array<Document>>} Restored items
+ * @description Budgets are recomputed for restored expenses, and restored active budgets get their spent refreshed
+ */
+async function restoreItems(req, type, filter) {
+  const userId = req.user.id.toString();
+  const { Model, entityType } = TRASH_TYPES[type];
+  const items = await Model.find({ deletedAt: { $ne: null }, ...filter, userId });
+  if (items.length === 0) {
+    return [];
+  }
+  const before = items.map((item) => AuditLog.snapshot(entityType, item));
+
+  await Model.updateMany(
+    { userId, _id: { $in: items.map((item) => item._id) }, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null } }
+  );
+  items.forEach((item) => {
+    item.deletedAt = null;
+  });
+  await recordHistory(req, entityType, items.map((item, index) => ({
+    action: 'restore',
+    entityId: item._id,
+    before: before[index],
+    after: AuditLog.snapshot(entityType, item),
+  })), 'trash');
+
+  if (type === 'transactions') {
+    const expenses = items.filter((item) => item.type === 'expense');
+    if (expenses.length > 0) {
+      await updateBudgetsAfterTransaction(userId, expenses.flatMap((item) => item.getCategoryIds()));
+    }
+  } else if (type === 'budgets') {
+    for (const budget of items.filter((item) => item.isActive)) {
+      await budget.updateSpent();
+    }
+  }
+
+  logger.info(`User ${userId} restored ${items.length} ${type} from the trash`);
+  return items;
+}
+
+/**
+ * Helper function to permanently delete trashed items
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {object} filter - Query matching trashed items only
+ * @returns {Promise<number>} Number of deleted items
+ * @description The change history of purged items is deleted with them, and the
+ *              attachment files of purged transactions are removed from storage
+ */
+async function purgeItems(type, filter) {
+  const { Model, entityType } = TRASH_TYPES[type];
+
+  const items = await Model.find(filter).select(type === 'transactions' ? 'userId attachments' : 'userId');
+  if (items.length === 0) {
+    return 0;
+  }
+
+  const ids = items.map((item) => item._id);
+  const { deletedCount } = await Model.deleteMany({ ...filter, _id: { $in: ids } });
+  await AuditLog.deleteMany({ entityType, entityId: { $in: ids } });
+
+  const byUser = new Map();
+  const withAttachments = type === 'transactions' ? items.filter((item) => item.attachments.length > 0) : [];
+  withAttachments.forEach((transaction) => {
+    byUser.set(transaction.userId, [...(byUser.get(transaction.userId) || []), transaction._id]);
+  });
+  for (const [userId, ids] of byUser) {
+    await removeTransactionAttachments(userId, ids);
+  }
+
+  return deletedCount;
+}
+
+/**
+ * Helper function to parse the optional type filter
+ * @param {string} type - Key of TRASH_TYPES (optional)
+ * @returns {Array<string>} Types to include
+ * @throws {AppError} 400 if the type is unknown
+ */
+function parseTrashTypes(type) {
+  if (type === undefined || type === '') {
+    return Object.keys(TRASH_TYPES);
+  }
+  if (!TRASH_TYPES[type]) {
+    throw new AppError(`type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`, 400);
+  }
+  return [type];
+}
+
+/**
+ * Helper function to validate the :type and :id route parameters
+ * @param {object} params - req.params
+ * @returns {object} { type, id }
+ * @throws {AppError} 400 if the type is unknown, 404 if the id is not an ObjectId
+ */
+function parseTrashItem(params) {
+  const { type, id } = params;
+  if (!TRASH_TYPES[type]) {
+    throw new AppError(`type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`, 400);
+  }
+  if (!mongoose.isValidObjectId(id)) {
+    throw new AppError(`${TRASH_TYPES[type].label} not found in trash`, 404);
+  }
+  return { type, id };
+}
+
+/**
+ * Helper function to get the date a trashed item is purged automatically
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+function getPurgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  undoLastDeletion,
+  purgeTrashItem,
+  emptyTrash,
+  purgeExpiredTrash,
+};
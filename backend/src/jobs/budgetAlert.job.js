@@ -0,0 +1,35 @@
+/**
+ * Budget Alert Job
+ * Re-evaluates alerts for running budgets so time-based alerts
+ * (BUDGET_ON_TRACK cadence) fire even when no transaction is recorded
+ */
+
+const { Budget } = require('../models');
+const { checkBudgetAlert } = require('../controllers/budgetController');
+
+/**
+ * Check alerts for every budget in its current period
+ * @returns {object} Number of checked budgets
+ */
+const run = async () => {
+  const now = new Date();
+  const budgets = await Budget.find({
+    isActive: true,
+    alertEnabled: true,
+    onTrackCadence: { $ne: 'none' },
+    startDate: { $lte: now },
+    endDate: { $gte: now },
+  });
+
+  for (const budget of budgets) {
+    await checkBudgetAlert(budget, now);
+  }
+
+  return { checked: budgets.length };
+};
+
+module.exports = {
+  name: 'budget-alerts',
+  intervalMs: parseInt(process.env.BUDGET_ALERT_JOB_INTERVAL_MS) || 6 * 60 * 60 * 1000, // 6 hours
+  run,
+};
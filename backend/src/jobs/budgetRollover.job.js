@@ -0,0 +1,22 @@
+/**
+ * Budget Rollover Job
+ * Closes finished periods of recurring budgets (repeatAutomatically: true)
+ * and creates the next period linked to its predecessor
+ */
+
+const { Budget } = require('../models');
+
+/**
+ * Roll recurring budgets over to their next period
+ * @returns {object} Number of created budget periods
+ */
+const run = async () => {
+  const created = await Budget.createRecurringBudgets(new Date());
+  return { created };
+};
+
+module.exports = {
+  name: 'budget-rollover',
+  intervalMs: parseInt(process.env.BUDGET_ROLLOVER_JOB_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  run,
+};
@@ -0,0 +1,15 @@
+const { registerJob, startJobs, stopJobs } = require('./scheduler');
+const recurringTransactionJob = require('./recurringTransaction.job');
+const budgetRolloverJob = require('./budgetRollover.job');
+const budgetAlertJob = require('./budgetAlert.job');
+const trashPurgeJob = require('./trashPurge.job');
+
+registerJob(recurringTransactionJob);
+registerJob(budgetRolloverJob);
+registerJob(budgetAlertJob);
+registerJob(trashPurgeJob);
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,37 @@
+/**
+ * Recurring Transaction Job
+ * Materializes due occurrences of recurring transaction templates
+ * and refreshes the budgets they affect
+ */
+
+const { Transaction } = require('../models');
+const { updateBudgetsAfterTransaction } = require('../controllers/transactionController');
+
+/**
+ * Generate due occurrences and update related budgets
+ * @returns {object} Number of generated occurrences
+ */
+const run = async () => {
+  const created = await Transaction.generateRecurringOccurrences(new Date());
+
+  // Update each user's affected budgets once, not once per occurrence
+  const affected = new Map();
+  created
+    .filter((occurrence) => occurrence.type === 'expense')
+    .forEach((occurrence) => {
+      const categoryIds = affected.get(occurrence.userId) || [];
+      affected.set(occurrence.userId, categoryIds.concat(occurrence.categoryIds));
+    });
+
+  for (const [userId, categoryIds] of affected) {
+    await updateBudgetsAfterTransaction(userId, categoryIds);
+  }
+
+  return { generated: created.length };
+};
+
+module.exports = {
+  name: 'recurring-transactions',
+  intervalMs: parseInt(process.env.RECURRING_JOB_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  run,
+};
@@ -0,0 +1,76 @@
+/**
+ * Job Scheduler
+ * Minimal in-process runner for periodic background jobs
+ * Each job runs on its own interval and never overlaps with itself
+ */
+
+const logger = require('../utils/logger');
+
+const jobs = [];
+const timers = [];
+
+/**
+ * Register a job
+ * @param {object} job - Job definition
+ * @param {string} job.name - Job name used in logs
+ * @param {number} job.intervalMs - Interval between runs in milliseconds
+ * @param {Function} job.run - Async function that performs the work
+ */
+const registerJob = (job) => {
+  jobs.push({ ...job, isRunning: false });
+};
+
+/**
+ * Run a registered job once, skipping if the previous run is still in progress
+ * @param {object} job - Registered job
+ */
+const runJob = async (job) => {
+  if (job.isRunning) {
+    logger.warn(`Job ${job.name} is still running, skipping this tick`);
+    return;
+  }
+
+  job.isRunning = true;
+  try {
+    const result = await job.run();
+    logger.info(`Job ${job.name} completed${result !== undefined ? `: ${JSON.stringify(result)}` : ''}`);
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.isRunning = false;
+  }
+};
+
+/**
+ * Start all registered jobs
+ * @description Every job runs once immediately so work missed while the server was down is caught up
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logger.info('Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  jobs.forEach((job) => {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+    logger.info(`Scheduled job ${job.name} every ${job.intervalMs / 1000}s`);
+  });
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopJobs = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,19 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes transactions, budgets and categories that have been
+ * in the trash longer than TRASH_RETENTION_DAYS
+ */
+
+const { purgeExpiredTrash } = require('../controllers/trashController');
+
+/**
+ * Purge expired trash items of every user
+ * @returns {object} Number of purged items per type
+ */
+const run = async () => purgeExpiredTrash(new Date());
+
+module.exports = {
+  name: 'trash-purge',
+  intervalMs: parseInt(process.env.TRASH_PURGE_JOB_INTERVAL_MS) || 24 * 60 * 60 * 1000, // 1 day
+  run,
+};
@@ -0,0 +1,45 @@
+/**
+ * English (en)
+ * Default category names (by Category.DEFAULTS key) and notification templates
+ */
+
+module.exports = {
+  name: 'English',
+  categories: {
+    food_dining: 'Food & Dining',
+    transportation: 'Transportation',
+    shopping: 'Shopping',
+    entertainment: 'Entertainment',
+    bills_utilities: 'Bills & Utilities',
+    healthcare: 'Healthcare',
+    education: 'Education',
+    other_expense: 'Other Expense',
+    salary: 'Salary',
+    freelance: 'Freelance',
+    investment: 'Investment',
+    gift: 'Gift',
+    other_income: 'Other Income',
+  },
+  transactionTypes: {
+    income: 'Income',
+    expense: 'Expense',
+  },
+  notifications: {
+    BUDGET_EXCEEDED: {
+      title: '{budgetName} budget exceeded',
+      message: "You've exceeded your {budgetName} budget by {overAmount}",
+    },
+    BUDGET_WARNING: {
+      title: '{budgetName} budget warning',
+      message: "You've used {percentage}% of your {budgetName} budget ({spent}/{amount})",
+    },
+    BUDGET_ON_TRACK: {
+      title: '{budgetName} budget on track',
+      message: "Great job! You've only used {percentage}% of your {budgetName} budget",
+    },
+    LARGE_TRANSACTION: {
+      title: 'Large transaction detected',
+      message: '{type} of {amount} on {category}',
+    },
+  },
+};
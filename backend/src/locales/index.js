@@ -0,0 +1,125 @@
+/**
+ * Locale registry
+ * Default category names and notification templates per locale ('en', 'vi', ...)
+ * Register another locale with registerLocale(code, definition) using en.js as the template;
+ * texts a locale leaves out fall back to DEFAULT_LOCALE, then English
+ */
+
+const en = require('./en');
+const vi = require('./vi');
+
+const LOCALES = { en, vi };
+
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+/**
+ * Add or replace a locale
+ * @param {string} code - Language code, e.g. 'fr' or 'pt-BR'
+ * @param {object} definition - { name, categories, transactionTypes, notifications } (see en.js)
+ */
+const registerLocale = (code, definition) => {
+  LOCALES[code] = definition;
+};
+
+/**
+ * List the registered locale codes
+ * @returns {Array<string>}
+ */
+const getSupportedLocales = () => Object.keys(LOCALES);
+
+/**
+ * Find the registered locale for a language tag
+ * @param {string} tag - e.g. 'vi', 'vi-VN', 'en-us'
+ * @returns {string|null} Registered code (exact match first, then the language alone), or null
+ */
+const matchLocale = (tag) => {
+  if (!tag || typeof tag !== 'string') return null;
+  const normalized = tag.trim().replace('_', '-').toLowerCase();
+  const exact = getSupportedLocales().find((code) => code.toLowerCase() === normalized);
+  if (exact) return exact;
+  const language = normalized.split('-')[0];
+  return getSupportedLocales().find((code) => code.toLowerCase() === language) || null;
+};
+
+/**
+ * Check that a locale is registered
+ * @param {string} locale
+ * @returns {boolean}
+ */
+const isSupportedLocale = (locale) => matchLocale(locale) !== null;
+
+/**
+ * Pick a locale from an explicit choice or an Accept-Language header
+ * @param {string} requested - Locale chosen by the client (optional)
+ * @param {string} acceptLanguage - Accept-Language header, e.g. 'vi-VN,vi;q=0.9,en;q=0.8' (optional)
+ * @returns {string} Registered locale code, DEFAULT_LOCALE when nothing matches
+ */
+const resolveLocale = (requested, acceptLanguage) => {
+  const chosen = matchLocale(requested);
+  if (chosen) return chosen;
+
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { tag, quality: quality ? parseFloat(quality.slice(2)) || 0 : 1, index };
+    })
+    .filter((item) => item.tag && item.tag !== '*' && item.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const item of ranked) {
+    const match = matchLocale(item.tag);
+    if (match) return match;
+  }
+  return matchLocale(DEFAULT_LOCALE) || 'en';
+};
+
+/**
+ * Look up a text by path in a locale, falling back to DEFAULT_LOCALE and English
+ * @param {string} locale
+ * @param {string} key - Dotted path, e.g. 'notifications.BUDGET_WARNING.title'
+ * @returns {string|undefined}
+ */
+const lookup = (locale, key) => {
+  const candidates = [matchLocale(locale), matchLocale(DEFAULT_LOCALE), 'en'].filter(Boolean);
+  for (const code of candidates) {
+    const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), LOCALES[code]);
+    if (typeof value === 'string') return value;
+  }
+  return undefined;
+};
+
+/**
+ * Translate a template and fill in its {placeholders}
+ * @param {string} locale
+ * @param {string} key - Dotted path, e.g. 'notifications.BUDGET_WARNING.message'
+ * @param {object} params - Placeholder values (optional)
+ * @returns {string} Translated text, or the key when no locale has it
+ */
+const translate = (locale, key, params = {}) => {
+  const template = lookup(locale, key);
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+/**
+ * Get the names of the default categories in a locale
+ * @param {string} locale
+ * @returns {object} Category.DEFAULTS key -> name (missing names fall back like translate)
+ */
+const getCategoryNames = (locale) => {
+  return Object.fromEntries(
+    Object.keys(LOCALES.en.categories).map((key) => [key, lookup(locale, `categories.${key}`)])
+  );
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  registerLocale,
+  getSupportedLocales,
+  isSupportedLocale,
+  resolveLocale,
+  translate,
+  getCategoryNames,
+};
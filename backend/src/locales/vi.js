@@ -0,0 +1,45 @@
+/**
+ * Vietnamese (vi)
+ * Default category names (by Category.DEFAULTS key) and notification templates
+ */
+
+module.exports = {
+  name: 'Tiếng Việt',
+  categories: {
+    food_dining: 'Ăn uống',
+    transportation: 'Di chuyển',
+    shopping: 'Mua sắm',
+    entertainment: 'Giải trí',
+    bills_utilities: 'Hóa đơn & Tiện ích',
+    healthcare: 'Sức khỏe',
+    education: 'Giáo dục',
+    other_expense: 'Chi phí khác',
+    salary: 'Lương',
+    freelance: 'Làm tự do',
+    investment: 'Đầu tư',
+    gift: 'Quà tặng',
+    other_income: 'Thu nhập khác',
+  },
+  transactionTypes: {
+    income: 'Khoản thu',
+    expense: 'Khoản chi',
+  },
+  notifications: {
+    BUDGET_EXCEEDED: {
+      title: 'Vượt ngân sách {budgetName}',
+      message: 'Bạn đã chi vượt ngân sách {budgetName} {overAmount}',
+    },
+    BUDGET_WARNING: {
+      title: 'Cảnh báo ngân sách {budgetName}',
+      message: 'Bạn đã dùng {percentage}% ngân sách {budgetName} ({spent}/{amount})',
+    },
+    BUDGET_ON_TRACK: {
+      title: 'Ngân sách {budgetName} đúng kế hoạch',
+      message: 'Tuyệt vời! Bạn mới dùng {percentage}% ngân sách {budgetName}',
+    },
+    LARGE_TRANSACTION: {
+      title: 'Phát hiện giao dịch lớn',
+      message: '{type} {amount} cho {category}',
+    },
+  },
+};
@@ -0,0 +1,94 @@
+/**
+ * Upload Middleware
+ * Multipart file uploads kept in memory (files are parsed, not stored)
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { AppError } = require('./error.middleware');
+
+// Maximum size of an import file (default: 5 MB)
+const IMPORT_MAX_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// Maximum size of a backup archive (default: 50 MB)
+const BACKUP_MAX_FILE_SIZE = parseInt(process.env.BACKUP_MAX_FILE_SIZE, 10) || 50 * 1024 * 1024;
+
+// Maximum size of one transaction attachment (default: 10 MB)
+const ATTACHMENT_MAX_FILE_SIZE = parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024;
+
+// Attachments accepted in one upload request
+const ATTACHMENT_MAX_FILES = 5;
+
+const IMPORT_EXTENSIONS = ['.csv', '.txt', '.ofx', '.qfx', '.qif'];
+const BACKUP_EXTENSIONS = ['.json'];
+
+// Receipt photos and scanned documents; the content is checked again after upload
+const ATTACHMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+
+/**
+ * Build a multer instance keeping uploaded files in memory
+ * @param {number} maxFileSize - Bytes
+ * @param {object} allowed - { extensions } or { mimeTypes } (lowercase; extensions with dot)
+ * @param {number} maxFiles - Files per request (default: 1)
+ * @returns {Multer}
+ */
+const memoryUpload = (maxFileSize, allowed, maxFiles = 1) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize, files: maxFiles },
+  fileFilter: (req, file, cb) => {
+    if (allowed.extensions) {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!allowed.extensions.includes(extension)) {
+        return cb(new AppError(`Unsupported file type. Allowed: ${allowed.extensions.join(', ')}`, 400));
+      }
+    }
+    if (allowed.mimeTypes && !allowed.mimeTypes.includes((file.mimetype || '').toLowerCase())) {
+      return cb(new AppError(`Unsupported file type ${file.mimetype}. Allowed: ${allowed.mimeTypes.join(', ')}`, 400));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Wrap a multer handler so its errors (file too large, too many files) are returned as 400s
+ * @param {Function} handler - e.g. upload.single('file')
+ * @param {number} maxFileSize - Bytes, for the error message
+ * @returns {Function} Express middleware
+ */
+const handleUpload = (handler, maxFileSize) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${Math.round(maxFileSize / 1024 / 1024)} MB)`
+        : `Invalid upload: ${error.message}`;
+      return next(new AppError(message, 400));
+    }
+    next(error);
+  });
+};
+
+// Transaction import files (CSV and bank statements) in the "file" field
+const uploadImportFile = handleUpload(
+  memoryUpload(IMPORT_MAX_FILE_SIZE, { extensions: IMPORT_EXTENSIONS }).single('file'),
+  IMPORT_MAX_FILE_SIZE
+);
+
+// Backup archives in the "file" field; a restore may also send the archive as a JSON body instead
+const uploadBackupFile = handleUpload(
+  memoryUpload(BACKUP_MAX_FILE_SIZE, { extensions: BACKUP_EXTENSIONS }).single('file'),
+  BACKUP_MAX_FILE_SIZE
+);
+
+// Transaction attachments, one or more "file" fields
+const uploadAttachmentFiles = handleUpload(
+  memoryUpload(ATTACHMENT_MAX_FILE_SIZE, { mimeTypes: ATTACHMENT_MIME_TYPES }, ATTACHMENT_MAX_FILES)
+    .array('file', ATTACHMENT_MAX_FILES),
+  ATTACHMENT_MAX_FILE_SIZE
+);
+
+module.exports = {
+  ATTACHMENT_MIME_TYPES,
+  uploadImportFile,
+  uploadBackupFile,
+  uploadAttachmentFiles,
+};
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../config/constants');
+const { moneyField, toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+const accountSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Account name is required'],
+      trim: true,
+      maxlength: [100, 'Account name cannot exceed 100 characters'],
+    },
+    // Same values as Transaction.paymentMethod (cash, bank_transfer, credit_card, ...)
+    type: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: [true, 'Account type is required'],
+      default: 'cash',
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD',
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    },
+    // Decimal128, exchanged with clients as a decimal string
+    openingBalance: moneyField({ default: 0 }),
+    icon: {
+      type: String,
+      default: 'wallet',
+    },
+    color: {
+      type: String,
+      default: '#3498db',
+      validate: {
+        validator: function (v) {
+          return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
+        },
+        message: 'Invalid color format. Use hex color format (e.g., #3498db)',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Return money fields as decimal strings
+accountSchema.set('toJSON', { getters: true, virtuals: false });
+accountSchema.set('toObject', { getters: true, virtuals: false });
+
+// Account names are unique per user
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Instance method to check if account can be deleted
+accountSchema.methods.canDelete = async function () {
+  const Transaction = mongoose.model('Transaction');
+  // Transactions in the trash count too: restoring them needs the account
+  const count = await Transaction.countDocuments({
+    $or: [{ account: this._id }, { toAccount: this._id }],
+  }).setOptions({ withDeleted: true });
+  return count === 0;
+};
+
+// Pipeline stages that sum money leaving the source account ($account) per group key
+const outflowGroup = (groupKey) => ({
+  $group: {
+    _id: groupKey,
+    income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+    expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+    transferOut: {
+      $sum: {
+        $cond: [{ $eq: ['$type', 'transfer'] }, { $add: ['$amount', { $ifNull: ['$fee', 0] }] }, 0],
+      },
+    },
+  },
+});
+
+// Pipeline stage that sums transfers arriving at the destination account ($toAccount) per group key
+// (toAmount is the amount received in the destination currency for cross-currency transfers)
+const inflowGroup = (groupKey) => ({
+  $group: {
+    _id: groupKey,
+    transferIn: { $sum: { $ifNull: ['$toAmount', '$amount'] } },
+  },
+});
+
+// Net effect of a totals entry (in minor units) on the account balance
+const netChange = ({ income = 0, expense = 0, transferIn = 0, transferOut = 0 }) => {
+  return income - expense + transferIn - transferOut;
+};
+
+// Convert a totals entry between minor units and decimal strings
+const mapTotals = (totals, convert) => ({
+  income: convert(totals.income),
+  expense: convert(totals.expense),
+  transferIn: convert(totals.transferIn),
+  transferOut: convert(totals.transferOut),
+});
+
+// Merge outflow and inflow aggregation results keyed by group id (values stay Decimal128)
+const mergeTotals = (outflows, inflows) => {
+  const totals = new Map();
+  const empty = { income: 0, expense: 0, transferIn: 0, transferOut: 0 };
+
+  outflows.forEach((item) => {
+    totals.set(item._id.toString(), {
+      ...empty,
+      income: item.income,
+      expense: item.expense,
+      transferOut: item.transferOut,
+    });
+  });
+  inflows.forEach((item) => {
+    const key = item._id.toString();
+    totals.set(key, { ...empty, ...totals.get(key), transferIn: item.transferIn });
+  });
+
+  return totals;
+};
+
+// Static method to get transaction totals per account up to a date
+accountSchema.statics.getTransactionTotals = async function (userId, accountIds, asOf = new Date()) {
+  const Transaction = mongoose.model('Transaction');
+  const date = { $lte: new Date(asOf) };
+
+  const [outflows, inflows] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { userId, account: { $in: accountIds }, date } },
+      outflowGroup('$account'),
+    ]),
+    Transaction.aggregate([
+      { $match: { userId, type: 'transfer', toAccount: { $in: accountIds }, date } },
+      inflowGroup('$toAccount'),
+    ]),
+  ]);
+
+  return mergeTotals(outflows, inflows);
+};
+
+// Static method to get accounts with their balance at a date
+accountSchema.statics.getWithBalances = async function (userId, asOf = new Date(), options = {}) {
+  const query = { userId };
+  if (!options.includeInactive) {
+    query.isActive = true;
+  }
+
+  const accounts = await this.find(query).sort({ name: 1 });
+  const totals = await this.getTransactionTotals(userId, accounts.map((a) => a._id), asOf);
+
+  return accounts.map((account) => account.withBalance(totals.get(account._id.toString())));
+};
+
+// Instance method to attach totals and balance to a plain account object
+accountSchema.methods.withBalance = function (totals = {}) {
+  const minorTotals = mapTotals(totals, (value) => toMinorUnits(value, this.currency));
+  const balance = toMinorUnits(this.openingBalance, this.currency) + netChange(minorTotals);
+  return {
+    ...this.toObject(),
+    ...mapTotals(minorTotals, (value) => fromMinorUnits(value, this.currency)),
+    balance: fromMinorUnits(balance, this.currency),
+  };
+};
+
+// Instance method to get the running balance over a date range
+accountSchema.methods.getBalanceHistory = async function (startDate, endDate, interval = 'day') {
+  const Transaction = mongoose.model('Transaction');
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  // Balance carried into the range
+  const before = await this.constructor.getTransactionTotals(
+    this.userId,
+    [this._id],
+    new Date(start.getTime() - 1)
+  );
+  const toMinor = (value) => toMinorUnits(value, this.currency);
+  const toDecimal = (value) => fromMinorUnits(value, this.currency);
+
+  const carriedIn = mapTotals(before.get(this._id.toString()) || {}, toMinor);
+  let balance = toMinor(this.openingBalance) + netChange(carriedIn);
+  const openingBalance = balance;
+
+  const format = interval === 'month' ? '%Y-%m' : '%Y-%m-%d';
+  const periodKey = { $dateToString: { format, date: '$date' } };
+  const date = { $gte: start, $lte: end };
+
+  const [outflows, inflows] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { userId: this.userId, account: this._id, date } },
+      outflowGroup(periodKey),
+    ]),
+    Transaction.aggregate([
+      { $match: { userId: this.userId, type: 'transfer', toAccount: this._id, date } },
+      inflowGroup(periodKey),
+    ]),
+  ]);
+
+  const totals = mergeTotals(outflows, inflows);
+  const points = [...totals.keys()].sort().map((period) => {
+    const periodTotals = mapTotals(totals.get(period), toMinor);
+    balance += netChange(periodTotals);
+    return {
+      period,
+      ...mapTotals(periodTotals, toDecimal),
+      balance: toDecimal(balance),
+    };
+  });
+
+  return {
+    openingBalance: toDecimal(openingBalance),
+    closingBalance: toDecimal(balance),
+    points,
+  };
+};
+
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Fields never recorded: identity and bookkeeping
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'userId', 'createdAt', 'updatedAt'];
+
+// Fields changed by the system rather than by the user (files, recomputed totals)
+const IGNORED_ENTITY_FIELDS = {
+  transaction: ['attachments'],
+  budget: ['spent', 'missingRates', 'alertState'],
+  category: [],
+};
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Owner of the changed document
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    entityType: {
+      type: String,
+      enum: ['transaction', 'budget', 'category'],
+      required: [true, 'Entity type is required'],
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Entity ID is required'],
+    },
+    // 1 for the first recorded change of a document, then incremented
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: 1,
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete', 'restore', 'revert'],
+      required: [true, 'Action is required'],
+    },
+    // Changed fields with their values before and after (undefined before a create)
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Who made the change (absent for changes made by the system)
+    actor: {
+      id: String,
+      email: String,
+      name: String,
+    },
+    // Where the change came from
+    source: {
+      channel: {
+        type: String,
+        enum: ['api', 'bulk', 'trash', 'revert', 'rules', 'merge'],
+        default: 'api',
+      },
+      method: String,
+      path: String,
+      ip: String,
+      userAgent: String,
+    },
+    // Version a revert went back to
+    revertedTo: Number,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, version: -1 }, { unique: true });
+
+// Static method to get the recorded state of a document
+auditLogSchema.statics.snapshot = function (entityType, doc) {
+  if (!doc) return null;
+  const plain = doc.toObject({ getters: true, virtuals: false, depopulate: true, versionKey: false });
+  [...IGNORED_FIELDS, ...IGNORED_ENTITY_FIELDS[entityType]].forEach((field) => delete plain[field]);
+  return plain;
+};
+
+// Static method to list the top-level fields that differ between two snapshots
+auditLogSchema.statics.diff = function (before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map((field) => ({ field, before: before?.[field], after: after?.[field] }));
+};
+
+// Static method to get the next version number of each document
+auditLogSchema.statics.getNextVersions = async function (entityType, entityIds) {
+  // Aggregations do not cast: match on ObjectIds
+  const ids = entityIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const latest = await this.aggregate([
+    { $match: { entityType, entityId: { $in: ids } } },
+    { $group: { _id: '$entityId', version: { $max: '$version' } } },
+  ]);
+  const versions = new Map(entityIds.map((id) => [id.toString(), 1]));
+  latest.forEach((item) => versions.set(item._id.toString(), item.version + 1));
+  return versions;
+};
+
+// Static method to rebuild the state of a document right after a given version
+// by undoing every later change on top of its current snapshot
+auditLogSchema.statics.getStateAtVersion = async function (entityType, entityId, current, version) {
+  const later = await this.find({ entityType, entityId, version: { $gt: version } }).sort({ version: -1 });
+  const state = { ...current };
+  later.forEach((entry) => {
+    entry.changes.forEach((change) => {
+      if (change.before === undefined) {
+        delete state[change.field];
+      } else {
+        state[change.field] = change.before;
+      }
+    });
+  });
+  return state;
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
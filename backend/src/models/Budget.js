@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+const { addFrequency, daysInMonth } = require('../utils/date');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { moneyField, toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/money');
+const logger = require('../utils/logger');
 
 const budgetSchema = new mongoose.Schema(
   {
@@ -13,15 +18,24 @@ const budgetSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Budget name cannot exceed 100 characters'],
     },
-    amount: {
-      type: Number,
-      required: [true, 'Budget amount is required'],
-      min: [0, 'Budget amount must be positive'],
+    // Decimal128, exchanged with clients as a decimal string (precision set by currency)
+    amount: moneyField(
+      { required: [true, 'Budget amount is required'] },
+      { min: [0, 'Budget amount must be positive'] }
+    ),
+    spent: moneyField({ default: 0 }, { min: [0, 'Spent amount cannot be negative'] }),
+    // Currencies of expenses left out of spent because no rate exists for their date
+    missingRates: {
+      type: [String],
+      default: undefined,
     },
-    spent: {
-      type: Number,
-      default: 0,
-      min: [0, 'Spent amount cannot be negative'],
+    // Currency of amount and spent (the user's base currency when the budget was created)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: DEFAULT_CURRENCY,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
     },
     period: {
       type: String,
@@ -53,6 +67,22 @@ const budgetSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // How often a BUDGET_ON_TRACK notification may be sent while spending is on pace
+    onTrackCadence: {
+      type: String,
+      enum: ['none', 'mid_period', 'weekly'],
+      default: 'mid_period',
+    },
+    // Last alert level notified for the current period (used to fire only on threshold crossings)
+    alertState: {
+      level: {
+        type: String,
+        enum: ['ok', 'warning', 'exceeded'],
+      },
+      periodStart: Date,
+      onTrackNotifiedAt: Date,
+      updatedAt: Date,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -61,16 +91,44 @@ const budgetSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Carry the previous period's difference into this one (recurring budgets)
+    rollover: {
+      mode: {
+        type: String,
+        enum: ['none', 'surplus', 'deficit', 'both'],
+        default: 'none',
+      },
+      // Maximum absolute amount carried over (optional, no cap when unset)
+      cap: moneyField({}, { min: [0, 'Rollover cap must be positive'] }),
+    },
+    // Signed amount carried from the previous period: positive adds to the limit, negative reduces it
+    carriedOver: moneyField({ default: 0 }),
+    // Period this budget was rolled over from (recurring budgets)
+    previousBudget: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Budget',
+    },
+    // Set when a recurring period ends and the next one is created
+    closedAt: Date,
   },
   {
     timestamps: true,
   }
 );
 
+// Deleted budgets go to the trash (deletedAt) and are hidden from queries
+budgetSchema.plugin(softDeletePlugin);
+
 // Indexes
 budgetSchema.index({ userId: 1, startDate: -1 });
 budgetSchema.index({ userId: 1, isActive: 1 });
 
+// A period can only be rolled over once
+budgetSchema.index(
+  { previousBudget: 1 },
+  { unique: true, partialFilterExpression: { previousBudget: { $exists: true } } }
+);
+
 // Validate end date is after start date
 budgetSchema.pre('save', function (next) {
   if (this.endDate <= this.startDate) {
@@ -79,14 +137,30 @@ budgetSchema.pre('save', function (next) {
   next();
 });
 
+// Instance method to get an amount field in minor units of the budget currency
+budgetSchema.methods.toMinor = function (value) {
+  return toMinorUnits(value, this.currency || DEFAULT_CURRENCY);
+};
+
+// Virtual for effective limit (amount plus any carried-over surplus or deficit)
+budgetSchema.virtual('effectiveAmount').get(function () {
+  const limit = Math.max(0, this.toMinor(this.amount) + this.toMinor(this.carriedOver));
+  return fromMinorUnits(limit, this.currency || DEFAULT_CURRENCY);
+});
+
 // Virtual for remaining amount
 budgetSchema.virtual('remaining').get(function () {
-  return Math.max(0, this.amount - this.spent);
+  const remaining = Math.max(0, this.toMinor(this.effectiveAmount) - this.toMinor(this.spent));
+  return fromMinorUnits(remaining, this.currency || DEFAULT_CURRENCY);
 });
 
 // Virtual for percentage used
 budgetSchema.virtual('percentageUsed').get(function () {
-  return this.amount > 0 ? (this.spent / this.amount) * 100 : 0;
+  const limit = this.toMinor(this.effectiveAmount);
+  const spent = this.toMinor(this.spent);
+  if (limit > 0) return (spent / limit) * 100;
+  // A deficit can wipe out the whole limit: any spending then exceeds it
+  return spent > 0 ? 100 : 0;
 });
 
 // Virtual for status
@@ -99,16 +173,23 @@ budgetSchema.virtual('status').get(function () {
 
 // Virtual for is alert needed
 budgetSchema.virtual('needsAlert').get(function () {
-  return this.alertEnabled && this.percentageUsed >= this.alertThreshold;
+  const ratesMissing = Boolean(this.missingRates && this.missingRates.length > 0);
+  return this.alertEnabled && !ratesMissing && this.percentageUsed >= this.alertThreshold;
 });
 
-// Enable virtuals in JSON
-budgetSchema.set('toJSON', { virtuals: true });
-budgetSchema.set('toObject', { virtuals: true });
+// Enable virtuals in JSON, with money fields as decimal strings
+budgetSchema.set('toJSON', { virtuals: true, getters: true });
+budgetSchema.set('toObject', { virtuals: true, getters: true });
 
 // Instance method to update spent amount
 budgetSchema.methods.updateSpent = async function () {
   const Transaction = mongoose.model('Transaction');
+  const ExchangeRate = mongoose.model('ExchangeRate');
+  const Category = mongoose.model('Category');
+
+  // Spending in subcategories counts towards budgets on their parent categories
+  const categoryIds = (await Category.getDescendantIds(this.userId, this.categories))
+    .map((id) => new mongoose.Types.ObjectId(id));
 
   const result = await Transaction.aggregate([
     {
@@ -119,18 +200,34 @@ budgetSchema.methods.updateSpent = async function () {
           $gte: this.startDate,
           $lte: this.endDate,
         },
-        category: { $in: this.categories },
+        $or: [
+          { category: { $in: categoryIds } },
+          { 'splits.category': { $in: categoryIds } },
+        ],
       },
     },
+    // Convert each transaction into the budget currency at its date
+    ...ExchangeRate.conversionStages(this.currency || DEFAULT_CURRENCY),
+    // Count only the split lines that belong to this budget's categories
+    ...Transaction.categoryLineStages(),
+    {
+      $match: {
+        'lines.category': { $in: categoryIds },
+      },
+    },
+    // Expenses without a rate for their date are left out and reported in missingRates
     {
       $group: {
         _id: null,
-        total: { $sum: '$amount' },
+        total: { $sum: { $multiply: ['$lines.amount', { $ifNull: ['$fxRate', 0] }] } },
+        missingRates: { $addToSet: { $cond: [{ $eq: ['$fxRate', null] }, '$fxCurrency', null] } },
       },
     },
   ]);
 
-  this.spent = result.length > 0 ? result[0].total : 0;
+  this.spent = result.length > 0 ? formatAmount(result[0].total, this.currency || DEFAULT_CURRENCY) : 0;
+  const missingRates = result.length > 0 ? result[0].missingRates.filter(Boolean).sort() : [];
+  this.missingRates = missingRates.length > 0 ? missingRates : undefined;
   await this.save();
   return this.spent;
 };
@@ -148,70 +245,113 @@ budgetSchema.statics.getActiveBudgets = function (userId) {
     .sort({ createdAt: -1 });
 };
 
+// Shift a period boundary by one period, keeping month-end boundaries at month end
+const shiftPeriodDate = (date, period) => {
+  const d = new Date(date);
+  const isMonthEnd = d.getUTCDate() === daysInMonth(d.getUTCFullYear(), d.getUTCMonth());
+  return addFrequency(d, period, 1, isMonthEnd ? 31 : d.getUTCDate());
+};
+
+// Instance method to calculate the amount carried into the next period
+budgetSchema.methods.getRolloverAmount = function () {
+  const mode = this.rollover?.mode || 'none';
+  const difference = this.toMinor(this.effectiveAmount) - this.toMinor(this.spent);
+
+  let carry = 0;
+  if (difference > 0 && (mode === 'surplus' || mode === 'both')) carry = difference;
+  if (difference < 0 && (mode === 'deficit' || mode === 'both')) carry = difference;
+
+  const cap = this.rollover?.cap;
+  if (cap !== undefined && cap !== null && Math.abs(carry) > this.toMinor(cap)) {
+    carry = Math.sign(carry) * this.toMinor(cap);
+  }
+
+  return fromMinorUnits(carry, this.currency || DEFAULT_CURRENCY);
+};
+
 // Static method to check and create recurring budgets
-budgetSchema.statics.createRecurringBudgets = async function () {
-  const now = new Date();
-  const expiredBudgets = await this.find({
-    isActive: true,
-    repeatAutomatically: true,
-    endDate: { $lt: now },
-  });
-
-  const newBudgets = [];
-
-  for (const budget of expiredBudgets) {
-    let newStartDate, newEndDate;
-
-    switch (budget.period) {
-      case 'daily':
-        newStartDate = new Date(budget.startDate);
-        newStartDate.setDate(newStartDate.getDate() + 1);
-        newEndDate = new Date(budget.endDate);
-        newEndDate.setDate(newEndDate.getDate() + 1);
-        break;
-      case 'weekly':
-        newStartDate = new Date(budget.startDate);
-        newStartDate.setDate(newStartDate.getDate() + 7);
-        newEndDate = new Date(budget.endDate);
-        newEndDate.setDate(newEndDate.getDate() + 7);
-        break;
-      case 'monthly':
-        newStartDate = new Date(budget.startDate);
-        newStartDate.setMonth(newStartDate.getMonth() + 1);
-        newEndDate = new Date(budget.endDate);
-        newEndDate.setMonth(newEndDate.getMonth() + 1);
-        break;
-      case 'yearly':
-        newStartDate = new Date(budget.startDate);
-        newStartDate.setFullYear(newStartDate.getFullYear() + 1);
-        newEndDate = new Date(budget.endDate);
-        newEndDate.setFullYear(newEndDate.getFullYear() + 1);
-        break;
-      default:
-        continue;
-    }
+budgetSchema.statics.createRecurringBudgets = async function (now = new Date()) {
+  let createdCount = 0;
+  // Budgets whose next period could not be created stay open and are retried on the next run
+  const failed = [];
 
-    const newBudget = new this({
-      userId: budget.userId,
-      name: budget.name,
-      amount: budget.amount,
-      period: budget.period,
-      startDate: newStartDate,
-      endDate: newEndDate,
-      categories: budget.categories,
-      alertThreshold: budget.alertThreshold,
-      alertEnabled: budget.alertEnabled,
-      repeatAutomatically: budget.repeatAutomatically,
+  // Loop so budgets missed for several periods (e.g. server downtime) catch up to today
+  for (;;) {
+    const expiredBudgets = await this.find({
+      _id: { $nin: failed },
+      isActive: true,
+      repeatAutomatically: true,
+      period: { $ne: 'custom' },
+      endDate: { $lt: now },
     });
 
-    newBudgets.push(newBudget);
+    if (expiredBudgets.length === 0) break;
+
+    for (const budget of expiredBudgets) {
+      // Freeze the final spent amount of the finished period
+      await budget.updateSpent();
+
+      const newBudget = new this({
+        userId: budget.userId,
+        name: budget.name,
+        amount: budget.amount,
+        currency: budget.currency,
+        period: budget.period,
+        startDate: shiftPeriodDate(budget.startDate, budget.period),
+        endDate: shiftPeriodDate(budget.endDate, budget.period),
+        categories: budget.categories,
+        alertThreshold: budget.alertThreshold,
+        alertEnabled: budget.alertEnabled,
+        onTrackCadence: budget.onTrackCadence,
+        repeatAutomatically: budget.repeatAutomatically,
+        rollover: { mode: budget.rollover?.mode, cap: budget.rollover?.cap },
+        carriedOver: budget.getRolloverAmount(),
+        previousBudget: budget._id,
+      });
+
+      // Create the next period before closing this one, so a failed save never ends the series;
+      // the unique previousBudget index makes concurrent runs create it only once
+      let created = false;
+      try {
+        await newBudget.save();
+        created = true;
+      } catch (error) {
+        // Duplicate key on previousBudget: the next period already exists
+        if (error.code !== 11000) {
+          logger.error(`Error creating the next period of budget ${budget._id}: ${error.message}`);
+          failed.push(budget._id);
+          continue;
+        }
+      }
+
+      await this.updateOne(
+        { _id: budget._id, isActive: true },
+        { $set: { isActive: false, closedAt: now } }
+      );
+
+      if (created) {
+        await newBudget.updateSpent();
+        createdCount++;
+      }
+    }
   }
 
-  if (newBudgets.length > 0) {
-    await this.insertMany(newBudgets);
+  return createdCount;
+};
+
+// Static method to get past periods of a recurring budget (most recent first)
+budgetSchema.statics.getHistory = async function (budget, limit = 12) {
+  const history = [];
+  let previousId = budget.previousBudget;
+
+  while (previousId && history.length < limit) {
+    const previous = await this.findOne({ _id: previousId, userId: budget.userId });
+    if (!previous) break;
+    history.push(previous);
+    previousId = previous.previousBudget;
   }
 
-  return newBudgets.length;
+  return history;
 };
 
 const Budget = mongoose.model('Budget', budgetSchema);
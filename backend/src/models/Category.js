@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+const { DEFAULT_LOCALE, getCategoryNames } = require('../locales');
+
+// Levels of nesting: a top-level category, its subcategories and theirs
+const MAX_CATEGORY_DEPTH = parseInt(process.env.MAX_CATEGORY_DEPTH, 10) || 3;
+
+// Categories every user starts with unless an admin activated a template set (see CategoryTemplateSet);
+// the key identifies a default category after it is renamed
+// The names are the English originals; new users get them in their locale (see src/locales)
+const DEFAULT_CATEGORIES = [
+  // Expense categories
+  { key: 'food_dining', name: 'Food & Dining', type: 'expense', icon: 'restaurant', color: '#e74c3c' },
+  { key: 'transportation', name: 'Transportation', type: 'expense', icon: 'car', color: '#3498db' },
+  { key: 'shopping', name: 'Shopping', type: 'expense', icon: 'shopping-cart', color: '#9b59b6' },
+  { key: 'entertainment', name: 'Entertainment', type: 'expense', icon: 'movie', color: '#f39c12' },
+  { key: 'bills_utilities', name: 'Bills & Utilities', type: 'expense', icon: 'file-text', color: '#e67e22' },
+  { key: 'healthcare', name: 'Healthcare', type: 'expense', icon: 'heart', color: '#1abc9c' },
+  { key: 'education', name: 'Education', type: 'expense', icon: 'book', color: '#34495e' },
+  { key: 'other_expense', name: 'Other Expense', type: 'expense', icon: 'more-horizontal', color: '#95a5a6' },
+  // Income categories
+  { key: 'salary', name: 'Salary', type: 'income', icon: 'dollar-sign', color: '#27ae60' },
+  { key: 'freelance', name: 'Freelance', type: 'income', icon: 'briefcase', color: '#16a085' },
+  { key: 'investment', name: 'Investment', type: 'income', icon: 'trending-up', color: '#2ecc71' },
+  { key: 'gift', name: 'Gift', type: 'income', icon: 'gift', color: '#f1c40f' },
+  { key: 'other_income', name: 'Other Income', type: 'income', icon: 'plus-circle', color: '#1abc9c' },
+];
 
 const categorySchema = new mongoose.Schema(
   {
@@ -18,6 +44,12 @@ const categorySchema = new mongoose.Schema(
       enum: ['income', 'expense'],
       required: [true, 'Category type is required'],
     },
+    // Parent category (same user and type); null for top-level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
     icon: {
       type: String,
       default: 'default',
@@ -36,6 +68,10 @@ const categorySchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Which default or template category this is (see DEFAULT_CATEGORIES); unset for custom categories
+    defaultKey: {
+      type: String,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -46,8 +82,12 @@ const categorySchema = new mongoose.Schema(
   }
 );
 
+// Deleted categories go to the trash (deletedAt) and are hidden from queries
+categorySchema.plugin(softDeletePlugin);
+
 // Compound index for user and category name uniqueness
 categorySchema.index({ userId: 1, name: 1 }, { unique: true });
+categorySchema.index({ userId: 1, parent: 1 });
 
 // Virtual for transaction count
 categorySchema.virtual('transactionCount', {
@@ -60,48 +100,143 @@ categorySchema.virtual('transactionCount', {
 // Instance method to check if category can be deleted
 categorySchema.methods.canDelete = async function () {
   const Transaction = mongoose.model('Transaction');
-  const count = await Transaction.countDocuments({ category: this._id });
+  // Transactions in the trash count too: restoring them needs the category
+  const count = await Transaction.countDocuments({
+    $or: [{ category: this._id }, { 'splits.category': this._id }],
+  }).setOptions({ withDeleted: true });
   return count === 0;
 };
 
-// Static method to get categories by user
-categorySchema.statics.getByUser = function (userId, type = null) {
-  const query = { userId, isActive: true };
+// Instance method to check if category has subcategories (trashed ones included)
+categorySchema.methods.hasSubcategories = async function () {
+  const count = await this.constructor.countDocuments({ userId: this.userId, parent: this._id })
+    .setOptions({ withDeleted: true });
+  return count > 0;
+};
+
+// Instance method to get the depth of the category (1 for a top-level category)
+categorySchema.methods.getDepth = async function () {
+  return (await this.constructor.getAncestorIds(this.userId, [this._id])).length;
+};
+
+// Instance method to get the number of levels below the category (0 without subcategories)
+categorySchema.methods.getSubtreeHeight = async function () {
+  let height = 0;
+  let level = [this._id];
+  while (level.length > 0 && height <= MAX_CATEGORY_DEPTH) {
+    level = await this.constructor.distinct('_id', { userId: this.userId, parent: { $in: level } });
+    if (level.length > 0) height++;
+  }
+  return height;
+};
+
+// Static method to get categories by user (archived categories only with includeInactive)
+categorySchema.statics.getByUser = function (userId, type = null, options = {}) {
+  const query = { userId };
+  if (!options.includeInactive) {
+    query.isActive = true;
+  }
   if (type) {
     query.type = type;
   }
   return this.find(query).sort({ name: 1 });
 };
 
-// Static method to create default categories for new user
-categorySchema.statics.createDefaultCategories = async function (userId) {
-  const defaultCategories = [
-    // Expense categories
-    { name: 'Food & Dining', type: 'expense', icon: 'restaurant', color: '#e74c3c' },
-    { name: 'Transportation', type: 'expense', icon: 'car', color: '#3498db' },
-    { name: 'Shopping', type: 'expense', icon: 'shopping-cart', color: '#9b59b6' },
-    { name: 'Entertainment', type: 'expense', icon: 'movie', color: '#f39c12' },
-    { name: 'Bills & Utilities', type: 'expense', icon: 'file-text', color: '#e67e22' },
-    { name: 'Healthcare', type: 'expense', icon: 'heart', color: '#1abc9c' },
-    { name: 'Education', type: 'expense', icon: 'book', color: '#34495e' },
-    { name: 'Other Expense', type: 'expense', icon: 'more-horizontal', color: '#95a5a6' },
-    // Income categories
-    { name: 'Salary', type: 'income', icon: 'dollar-sign', color: '#27ae60' },
-    { name: 'Freelance', type: 'income', icon: 'briefcase', color: '#16a085' },
-    { name: 'Investment', type: 'income', icon: 'trending-up', color: '#2ecc71' },
-    { name: 'Gift', type: 'income', icon: 'gift', color: '#f1c40f' },
-    { name: 'Other Income', type: 'income', icon: 'plus-circle', color: '#1abc9c' },
-  ];
-
-  const categories = defaultCategories.map((cat) => ({
+// Static method to expand category IDs with all their ancestors
+// Returns the given IDs and the IDs of their parents, grandparents, ... as strings
+categorySchema.statics.getAncestorIds = async function (userId, categoryIds) {
+  const ids = new Set([].concat(categoryIds).filter(Boolean).map((id) => id.toString()));
+  let level = [...ids];
+  for (let depth = 0; depth < MAX_CATEGORY_DEPTH && level.length > 0; depth++) {
+    const categories = await this.find({ userId, _id: { $in: level }, parent: { $ne: null } }).select('parent');
+    level = categories.map((category) => category.parent.toString()).filter((id) => !ids.has(id));
+    level.forEach((id) => ids.add(id));
+  }
+  return [...ids];
+};
+
+// Static method to expand category IDs with all their subcategories
+// Returns the given IDs and the IDs of their children, grandchildren, ... as strings
+categorySchema.statics.getDescendantIds = async function (userId, categoryIds) {
+  const ids = new Set([].concat(categoryIds).filter(Boolean).map((id) => id.toString()));
+  let level = [...ids];
+  for (let depth = 0; depth < MAX_CATEGORY_DEPTH && level.length > 0; depth++) {
+    const children = await this.distinct('_id', { userId, parent: { $in: level } });
+    level = children.map((id) => id.toString()).filter((id) => !ids.has(id));
+    level.forEach((id) => ids.add(id));
+  }
+  return [...ids];
+};
+
+// Static method to nest categories under their parents
+// Returns the top-level categories as plain objects, each with a `children` array;
+// categories whose parent is not in the list are treated as top-level
+categorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map(categories.map((category) => [
+    category._id.toString(),
+    { ...category.toJSON(), children: [] },
+  ]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+// Static method to get the default categories with their names in a locale
+categorySchema.statics.getDefaults = function (locale = DEFAULT_LOCALE) {
+  const names = getCategoryNames(locale);
+  return DEFAULT_CATEGORIES.map((cat) => ({ ...cat, name: names[cat.key] || cat.name }));
+};
+
+// Static method to get the categories new users start with: the active template set, else the defaults
+categorySchema.statics.getSeedCategories = async function (locale = DEFAULT_LOCALE) {
+  const templateSet = await mongoose.model('CategoryTemplateSet').getActive();
+  return templateSet ? templateSet.getCategories(locale) : this.getDefaults(locale);
+};
+
+// Static method to create default categories for new user, named in their locale
+categorySchema.statics.createDefaultCategories = async function (userId, locale = DEFAULT_LOCALE) {
+  const seeds = await this.getSeedCategories(locale);
+  const categories = seeds.map(({ key, ...cat }) => ({
     ...cat,
     userId,
     isDefault: true,
+    defaultKey: key,
   }));
 
   return await this.insertMany(categories);
 };
 
+// Static method to find the user's default categories, which may have been renamed
+// Returns a Map of default key -> category; categories created before default keys
+// existed are matched by their original name
+categorySchema.statics.findDefaults = async function (userId) {
+  const categories = await this.find({ userId, isDefault: true }).setOptions({ withDeleted: true });
+  const defaults = new Map();
+  categories.filter((item) => item.defaultKey).forEach((item) => {
+    if (!defaults.has(item.defaultKey)) {
+      defaults.set(item.defaultKey, item);
+    }
+  });
+  DEFAULT_CATEGORIES.forEach(({ key, name, type }) => {
+    const category = !defaults.has(key) &&
+      categories.find((item) => !item.defaultKey && item.type === type && item.name.toLowerCase() === name.toLowerCase());
+    if (category) {
+      defaults.set(key, category);
+    }
+  });
+  return defaults;
+};
+
+categorySchema.statics.MAX_DEPTH = MAX_CATEGORY_DEPTH;
+categorySchema.statics.DEFAULTS = DEFAULT_CATEGORIES;
+
 const Category = mongoose.model('Category', categorySchema);
 
 module.exports = Category;
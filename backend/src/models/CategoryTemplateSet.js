@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// Hex color, as on Category
+const colorValidator = {
+  validator: function (v) {
+    return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
+  },
+  message: 'Invalid color format. Use hex color format (e.g., #3498db)',
+};
+
+const templateCategorySchema = new mongoose.Schema(
+  {
+    // Stored as the defaultKey of the categories created from this template
+    key: {
+      type: String,
+      required: [true, 'Template key is required'],
+      trim: true,
+      match: [/^[a-z0-9_]{1,50}$/, 'Template key may only contain lowercase letters, digits and underscores'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [50, 'Category name cannot exceed 50 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense'],
+      required: [true, 'Category type is required'],
+    },
+    icon: {
+      type: String,
+      default: 'default',
+    },
+    color: {
+      type: String,
+      default: '#3498db',
+      validate: colorValidator,
+    },
+    // Name per locale code (e.g. { vi: 'Ăn uống' }); users of other locales get `name`
+    names: {
+      type: Map,
+      of: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters'],
+      },
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// Instance method to get the template category name in a locale
+templateCategorySchema.methods.getName = function (locale) {
+  return (this.names && this.names.get(locale)) || this.name;
+};
+
+const categoryTemplateSetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template set name is required'],
+      trim: true,
+      maxlength: [100, 'Template set name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    // New users are seeded from the active set; without one they get Category.DEFAULTS
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    // When the set was last activated; the latest activation wins
+    activatedAt: {
+      type: Date,
+    },
+    categories: [templateCategorySchema],
+    createdBy: {
+      type: String,
+    },
+    updatedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categoryTemplateSetSchema.index({ isActive: 1, activatedAt: -1 });
+
+// Keys identify template categories, and the names a user gets must not collide in their categories:
+// checked for the base names and for each locale that has translations (untranslated names fall back)
+categoryTemplateSetSchema.pre('validate', function (next) {
+  const keys = new Set();
+  this.categories.forEach((category, index) => {
+    if (keys.has(category.key)) {
+      this.invalidate(`categories.${index}.key`, `Duplicate template key: ${category.key}`);
+    }
+    keys.add(category.key);
+  });
+
+  const locales = new Set();
+  this.categories.forEach((category) => {
+    if (category.names) category.names.forEach((value, locale) => locales.add(locale));
+  });
+
+  [null, ...locales].forEach((locale) => {
+    const names = new Set();
+    this.categories.forEach((category, index) => {
+      const name = locale ? category.getName(locale) : category.name;
+      if (names.has((name || '').toLowerCase())) {
+        this.invalidate(
+          locale ? `categories.${index}.names.${locale}` : `categories.${index}.name`,
+          locale ? `Duplicate category name for locale ${locale}: ${name}` : `Duplicate category name: ${name}`
+        );
+      }
+      names.add((name || '').toLowerCase());
+    });
+  });
+  next();
+});
+
+// Instance method to get the template categories with their names in a locale
+categoryTemplateSetSchema.methods.getCategories = function (locale) {
+  return this.categories.map((category) => ({
+    key: category.key,
+    name: category.getName(locale),
+    type: category.type,
+    icon: category.icon,
+    color: category.color,
+  }));
+};
+
+// Static method to get the active template set (null when new users get the built-in defaults)
+// While an activation is switching sets, the most recently activated one is used
+categoryTemplateSetSchema.statics.getActive = function () {
+  return this.findOne({ isActive: true }).sort({ activatedAt: -1 });
+};
+
+const CategoryTemplateSet = mongoose.model('CategoryTemplateSet', categoryTemplateSetSchema);
+
+module.exports = CategoryTemplateSet;
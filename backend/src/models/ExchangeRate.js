@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Rates are stored as units of `currency` per 1 unit of the pivot currency (USD by default)
+const PIVOT_CURRENCY = process.env.EXCHANGE_RATE_PIVOT || 'USD';
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    },
+    // Rate applies from this date (UTC day) until the next stored rate
+    date: {
+      type: Date,
+      required: [true, 'Rate date is required'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate must be positive'],
+    },
+    source: {
+      type: String,
+      enum: ['admin_upload', 'manual'],
+      default: 'manual',
+    },
+    uploadedBy: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per currency per day
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+exchangeRateSchema.statics.PIVOT_CURRENCY = PIVOT_CURRENCY;
+
+// Static method to get the rate in effect for a currency on a date (latest rate on or before it)
+exchangeRateSchema.statics.getRate = async function (currency, date = new Date()) {
+  if (currency === PIVOT_CURRENCY) return 1;
+
+  const rate = await this.findOne({ currency, date: { $lte: new Date(date) } })
+    .sort({ date: -1 })
+    .lean();
+
+  return rate ? rate.rate : null;
+};
+
+// Static method to convert an amount between currencies at a date (null if a rate is missing)
+exchangeRateSchema.statics.convert = async function (amount, from, to, date = new Date()) {
+  if (!from || !to || from === to) return amount;
+
+  const [fromRate, toRate] = await Promise.all([this.getRate(from, date), this.getRate(to, date)]);
+  if (!fromRate || !toRate) return null;
+
+  return (amount / fromRate) * toRate;
+};
+
+// Static method returning aggregation stages that add `fxRate` to each transaction:
+// the factor converting its amount into targetCurrency at the transaction date.
+// Transactions without a currency are treated as already in targetCurrency;
+// fxRate is null when a needed rate is missing.
+exchangeRateSchema.statics.conversionStages = function (targetCurrency) {
+  const collection = this.collection.name;
+
+  const rateLookup = (currencyExpr, as) => ({
+    $lookup: {
+      from: collection,
+      let: { currency: currencyExpr, date: '$date' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [{ $eq: ['$currency', '$$currency'] }, { $lte: ['$date', '$$date'] }],
+            },
+          },
+        },
+        { $sort: { date: -1 } },
+        { $limit: 1 },
+        { $project: { _id: 0, rate: 1 } },
+      ],
+      as,
+    },
+  });
+
+  const rateOf = (currencyExpr, field) => ({
+    $cond: [
+      { $eq: [currencyExpr, PIVOT_CURRENCY] },
+      1,
+      { $ifNull: [{ $arrayElemAt: [`${field}.rate`, 0] }, null] },
+    ],
+  });
+
+  return [
+    { $addFields: { fxCurrency: { $ifNull: ['$currency', targetCurrency] } } },
+    rateLookup('$fxCurrency', 'fxFrom'),
+    rateLookup(targetCurrency, 'fxTo'),
+    {
+      $addFields: {
+        fxFromRate: rateOf('$fxCurrency', '$fxFrom'),
+        fxToRate: rateOf(targetCurrency, '$fxTo'),
+      },
+    },
+    {
+      $addFields: {
+        fxRate: {
+          $cond: [
+            { $eq: ['$fxCurrency', targetCurrency] },
+            1,
+            {
+              $cond: [
+                { $and: ['$fxFromRate', '$fxToRate'] },
+                { $divide: ['$fxToRate', '$fxFromRate'] },
+                null,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $project: { fxFrom: 0, fxTo: 0, fxFromRate: 0, fxToRate: 0 } },
+  ];
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ['csv', 'ofx', 'qfx', 'qif'],
+      required: [true, 'Import source is required'],
+    },
+    filename: {
+      type: String,
+      trim: true,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // Account the imported transactions were linked to (optional)
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+    },
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+    importedCount: {
+      type: Number,
+      default: 0,
+    },
+    skippedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Statement lines already imported by an earlier batch
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    // Categories created for names that did not match; removed on undo if unused
+    createdCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['completed', 'undone'],
+      default: 'completed',
+    },
+    undoneAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../config/constants');
+const { moneyField, moneyToNumber } = require('../utils/money');
+const { isSafePattern, testPattern } = require('../utils/regex');
+
+// Text beyond this length is not searched by rule patterns
+const RULE_TEXT_LIMIT = 1000;
+
+// Checks that a rule pattern compiles as a case-insensitive regular expression and is safe to run
+const regexValidator = [
+  {
+    validator: (value) => {
+      if (!value) return true;
+      try {
+        new RegExp(value, 'i');
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    message: 'Invalid regular expression',
+  },
+  {
+    validator: (value) => !value || isSafePattern(value),
+    message: 'Regular expression is too complex: nested or adjacent overlapping quantifiers, repeated alternatives and backreferences are not allowed',
+  },
+];
+
+const ruleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters'],
+    },
+    // Rules run in ascending priority (then creation order)
+    priority: {
+      type: Number,
+      default: 100,
+      min: [0, 'Priority cannot be negative'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Skip the remaining rules once this one matches
+    stopProcessing: {
+      type: Boolean,
+      default: false,
+    },
+    // Every condition that is set must match; text conditions are case-insensitive
+    conditions: {
+      transactionType: {
+        type: String,
+        enum: ['income', 'expense'],
+      },
+      descriptionContains: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Condition text cannot exceed 200 characters'],
+      },
+      descriptionPattern: {
+        type: String,
+        maxlength: [200, 'Condition pattern cannot exceed 200 characters'],
+        validate: regexValidator,
+      },
+      notesContains: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Condition text cannot exceed 200 characters'],
+      },
+      notesPattern: {
+        type: String,
+        maxlength: [200, 'Condition pattern cannot exceed 200 characters'],
+        validate: regexValidator,
+      },
+      // Inclusive bounds, in the transaction currency
+      amountMin: moneyField({}, { min: [0, 'Minimum amount cannot be negative'] }),
+      amountMax: moneyField({}, { min: [0, 'Maximum amount cannot be negative'] }),
+      paymentMethod: {
+        type: String,
+        enum: PAYMENT_METHODS,
+      },
+      tag: {
+        type: String,
+        trim: true,
+      },
+    },
+    // What a matching rule sets; the category applies only to transactions of its type
+    actions: {
+      category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+      },
+      tags: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Return money fields as decimal strings in JSON
+ruleSchema.set('toJSON', { getters: true, virtuals: false });
+ruleSchema.set('toObject', { getters: true, virtuals: false });
+
+ruleSchema.index({ userId: 1, priority: 1, createdAt: 1 });
+
+// A rule needs something to match and something to do
+ruleSchema.pre('validate', function (next) {
+  const { conditions = {}, actions = {} } = this.toObject();
+  const hasCondition = Object.values(conditions).some((value) => value !== undefined && value !== null && value !== '');
+  if (!hasCondition) {
+    this.invalidate('conditions', 'At least one condition is required');
+  }
+  if (!actions.category && !(actions.tags && actions.tags.length > 0) && !actions.notes) {
+    this.invalidate('actions', 'At least one action (category, tags or notes) is required');
+  }
+  if (conditions.amountMin !== undefined && conditions.amountMax !== undefined &&
+    moneyToNumber(conditions.amountMin) > moneyToNumber(conditions.amountMax)) {
+    this.invalidate('conditions.amountMax', 'Maximum amount must not be below the minimum');
+  }
+  next();
+});
+
+// Instance method to check a transaction against the rule conditions
+// transaction: { type, description, notes, amount, paymentMethod, tags }
+ruleSchema.methods.matches = function (transaction) {
+  const conditions = this.conditions || {};
+  const text = (value) => String(value || '').slice(0, RULE_TEXT_LIMIT);
+  const contains = (value, part) => text(value).toLowerCase().includes(part.toLowerCase());
+  // Unsafe patterns (saved before the safety check) and matches that time out count as no match
+  const matchesPattern = (value, pattern) => testPattern(pattern, text(value));
+
+  if (conditions.transactionType && transaction.type !== conditions.transactionType) return false;
+  if (conditions.descriptionContains && !contains(transaction.description, conditions.descriptionContains)) return false;
+  if (conditions.descriptionPattern && !matchesPattern(transaction.description, conditions.descriptionPattern)) return false;
+  if (conditions.notesContains && !contains(transaction.notes, conditions.notesContains)) return false;
+  if (conditions.notesPattern && !matchesPattern(transaction.notes, conditions.notesPattern)) return false;
+  if (conditions.paymentMethod && transaction.paymentMethod !== conditions.paymentMethod) return false;
+
+  const amount = moneyToNumber(transaction.amount);
+  if (conditions.amountMin !== undefined && conditions.amountMin !== null && amount < moneyToNumber(conditions.amountMin)) return false;
+  if (conditions.amountMax !== undefined && conditions.amountMax !== null && amount > moneyToNumber(conditions.amountMax)) return false;
+
+  if (conditions.tag) {
+    const tag = conditions.tag.toLowerCase();
+    if (!(transaction.tags || []).some((item) => String(item).toLowerCase() === tag)) return false;
+  }
+
+  return true;
+};
+
+// Static method to get the active rules of a user in evaluation order, with their categories
+ruleSchema.statics.getActiveRules = function (userId) {
+  return this.find({ userId, isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .populate('actions.category', 'name type');
+};
+
+// Static method to evaluate rules (from getActiveRules) against a transaction
+// Returns { category, tags, notes, rules }: the first matching category of the transaction type,
+// the tags of every matching rule, the first notes, and the rules that matched ({ id, name })
+ruleSchema.statics.evaluate = function (rules, transaction) {
+  const result = { category: null, tags: [], notes: undefined, rules: [] };
+
+  for (const rule of rules) {
+    if (!rule.matches(transaction)) continue;
+
+    const category = rule.actions?.category;
+    if (!result.category && category && category.type === transaction.type) {
+      result.category = category;
+    }
+    (rule.actions?.tags || []).forEach((tag) => {
+      if (!result.tags.includes(tag)) result.tags.push(tag);
+    });
+    if (!result.notes && rule.actions?.notes) {
+      result.notes = rule.actions.notes;
+    }
+    result.rules.push({ id: rule._id, name: rule.name });
+
+    if (rule.stopProcessing) break;
+  }
+
+  return result;
+};
+
+const Rule = mongoose.model('Rule', ruleSchema);
+
+module.exports = Rule;
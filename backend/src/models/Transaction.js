@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/softDelete');
+const { FREQUENCIES, addFrequency } = require('../utils/date');
+const { PAYMENT_METHODS, TRANSACTION_TYPES } = require('../config/constants');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { moneyField, toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/money');
+const logger = require('../utils/logger');
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -7,21 +13,53 @@ const transactionSchema = new mongoose.Schema(
       required: [true, 'User ID is required'],
       index: true,
     },
-    amount: {
-      type: Number,
-      required: [true, 'Amount is required'],
-      min: [0, 'Amount must be positive'],
+    // Decimal128, exchanged with clients as a decimal string (precision set by currency)
+    amount: moneyField(
+      { required: [true, 'Amount is required'] },
+      { min: [0, 'Amount must be positive'] }
+    ),
+    // Currency of amount (and fee); defaults to the account currency or the user's base currency
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
     },
     type: {
       type: String,
-      enum: ['income', 'expense'],
+      enum: TRANSACTION_TYPES,
       required: [true, 'Transaction type is required'],
     },
+    // Transfers move money between accounts and have no category
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
-      required: [true, 'Category is required'],
+      required: [
+        function () {
+          return this.type !== 'transfer';
+        },
+        'Category is required',
+      ],
     },
+    // Optional split lines; when present they replace category for spending and budgets
+    splits: [
+      {
+        category: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Category',
+          required: [true, 'Split category is required'],
+        },
+        amount: moneyField(
+          { required: [true, 'Split amount is required'] },
+          { min: [0, 'Split amount must be positive'] }
+        ),
+        notes: {
+          type: String,
+          trim: true,
+          maxlength: [200, 'Split notes cannot exceed 200 characters'],
+        },
+      },
+    ],
     description: {
       type: String,
       trim: true,
@@ -34,21 +72,40 @@ const transactionSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ['cash', 'bank_transfer', 'credit_card', 'debit_card', 'e_wallet', 'other'],
+      enum: PAYMENT_METHODS,
       default: 'cash',
     },
+    // Source account for transfers
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+    },
+    // Destination account (transfers only)
+    toAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+    },
+    // Amount received in the destination account currency (cross-currency transfers only)
+    toAmount: moneyField({}, { min: [0, 'Received amount must be positive'] }),
+    // Fee charged on the source account (transfers only)
+    fee: moneyField({ default: 0 }, { min: [0, 'Fee must be positive'] }),
     tags: [
       {
         type: String,
         trim: true,
       },
     ],
+    // Uploaded through /api/transactions/:id/attachments; files live in the storage backend
     attachments: [
       {
         url: String,
+        thumbnailUrl: String,
         filename: String,
         mimeType: String,
         size: Number,
+        storageKey: String,
+        thumbnailKey: String,
+        uploadedAt: Date,
       },
     ],
     location: {
@@ -63,10 +120,29 @@ const transactionSchema = new mongoose.Schema(
     recurringConfig: {
       frequency: {
         type: String,
-        enum: ['daily', 'weekly', 'monthly', 'yearly'],
+        enum: FREQUENCIES,
       },
       endDate: Date,
       nextDate: Date,
+      isPaused: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Set on occurrences generated from a recurring template
+    recurringTemplateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    recurringOccurrenceDate: Date,
+    // Set on transactions created by a file import, so the whole import can be undone
+    importBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+    },
+    // Identifies a bank statement line (FITID or content hash), so re-importing a statement adds nothing twice
+    importKey: {
+      type: String,
     },
     notes: {
       type: String,
@@ -78,10 +154,34 @@ const transactionSchema = new mongoose.Schema(
   }
 );
 
+// Return money fields as decimal strings in JSON
+transactionSchema.set('toJSON', { getters: true, virtuals: false });
+transactionSchema.set('toObject', { getters: true, virtuals: false });
+
+// Deleted transactions go to the trash (deletedAt) and are hidden from queries
+transactionSchema.plugin(softDeletePlugin);
+
 // Indexes for better query performance
 transactionSchema.index({ userId: 1, date: -1 });
 transactionSchema.index({ userId: 1, type: 1, date: -1 });
 transactionSchema.index({ userId: 1, category: 1 });
+transactionSchema.index({ userId: 1, 'splits.category': 1 });
+transactionSchema.index({ account: 1, date: -1 });
+transactionSchema.index({ toAccount: 1, date: -1 });
+transactionSchema.index({ isRecurring: 1, 'recurringConfig.nextDate': 1 });
+transactionSchema.index({ userId: 1, importBatchId: 1 });
+
+// One generated occurrence per template and date, so the scheduler can safely re-run
+transactionSchema.index(
+  { recurringTemplateId: 1, recurringOccurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringTemplateId: { $exists: true } } }
+);
+
+// One transaction per statement line and user
+transactionSchema.index(
+  { userId: 1, importKey: 1 },
+  { unique: true, partialFilterExpression: { importKey: { $exists: true } } }
+);
 
 // Pre-save middleware to validate recurring config
 transactionSchema.pre('save', function (next) {
@@ -91,16 +191,63 @@ transactionSchema.pre('save', function (next) {
   next();
 });
 
+// Pre-save middleware to validate transfer accounts
+transactionSchema.pre('save', function (next) {
+  if (this.type !== 'transfer') {
+    return next();
+  }
+  if (!this.account || !this.toAccount) {
+    return next(new Error('Source and destination accounts are required for transfers'));
+  }
+  if (this.account.toString() === this.toAccount.toString()) {
+    return next(new Error('Source and destination accounts must be different'));
+  }
+  next();
+});
+
+// Pre-save middleware to validate split lines
+transactionSchema.pre('save', function (next) {
+  if (!this.splits || this.splits.length === 0) {
+    return next();
+  }
+  if (this.type === 'transfer') {
+    return next(new Error('Transfers cannot be split'));
+  }
+  // Compare in minor units of the transaction currency
+  const currency = this.currency || DEFAULT_CURRENCY;
+  const total = this.splits.reduce((sum, split) => sum + toMinorUnits(split.amount, currency), 0);
+  if (total !== toMinorUnits(this.amount, currency)) {
+    return next(new Error('Split amounts must sum to the transaction amount'));
+  }
+  next();
+});
+
+// Instance method to get every category this transaction is attributed to
+transactionSchema.methods.getCategoryIds = function () {
+  if (this.splits && this.splits.length > 0) {
+    return this.splits.map((split) => split.category);
+  }
+  return this.category ? [this.category] : [];
+};
+
 // Instance method to duplicate transaction
 transactionSchema.methods.duplicate = function () {
   const duplicated = this.toObject();
   delete duplicated._id;
+  // Attachment files belong to one transaction
+  duplicated.attachments = [];
   delete duplicated.createdAt;
   delete duplicated.updatedAt;
   duplicated.date = new Date();
   return new this.constructor(duplicated);
 };
 
+// Instance method to calculate the occurrence after a given date
+transactionSchema.methods.getNextOccurrence = function (fromDate) {
+  const anchorDay = new Date(this.date).getUTCDate();
+  return addFrequency(fromDate, this.recurringConfig.frequency, 1, anchorDay);
+};
+
 // Static method to get transactions by date range
 transactionSchema.statics.getByDateRange = function (userId, startDate, endDate, options = {}) {
   const query = {
@@ -121,12 +268,36 @@ transactionSchema.statics.getByDateRange = function (userId, startDate, endDate,
 
   return this.find(query)
     .populate('category', 'name icon color type')
-    .sort({ date: -1 })
-    .lean();
+    .sort({ date: -1 });
+};
+
+// Static method returning pipeline stages that expand each transaction into category lines
+// (one line per split, or a single line with the transaction category and amount)
+transactionSchema.statics.categoryLineStages = function () {
+  return [
+    {
+      $addFields: {
+        lines: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+            '$splits',
+            [{ category: '$category', amount: '$amount' }],
+          ],
+        },
+      },
+    },
+    {
+      $unwind: '$lines',
+    },
+  ];
 };
 
-// Static method to get summary by period
-transactionSchema.statics.getSummary = async function (userId, startDate, endDate) {
+// Static method to get summary by period, converted to the user's base currency
+transactionSchema.statics.getSummary = async function (userId, startDate, endDate, baseCurrency = DEFAULT_CURRENCY) {
+  const ExchangeRate = mongoose.model('ExchangeRate');
+  // Amounts without a rate for their date are counted unconverted and reported in missingRates
+  const converted = (field) => ({ $multiply: [{ $ifNull: [field, 0] }, { $ifNull: ['$fxRate', 1] }] });
+
   const result = await this.aggregate([
     {
       $match: {
@@ -137,35 +308,55 @@ transactionSchema.statics.getSummary = async function (userId, startDate, endDat
         },
       },
     },
+    ...ExchangeRate.conversionStages(baseCurrency),
     {
       $group: {
         _id: '$type',
-        total: { $sum: '$amount' },
+        total: { $sum: converted('$amount') },
+        fees: { $sum: converted('$fee') },
         count: { $sum: 1 },
+        missingRates: { $addToSet: { $cond: [{ $eq: ['$fxRate', null] }, '$fxCurrency', null] } },
       },
     },
   ]);
 
-  const summary = {
-    income: 0,
-    expense: 0,
-    balance: 0,
-    transactionCount: 0,
-  };
+  // Totals are added up in minor units and returned as decimal strings
+  const totals = { income: 0, expense: 0, transfer: 0, transferFees: 0 };
+  let transactionCount = 0;
 
+  const missingRates = new Set();
   result.forEach((item) => {
-    summary[item._id] = item.total;
-    summary.transactionCount += item.count;
+    totals[item._id] = toMinorUnits(item.total, baseCurrency);
+    transactionCount += item.count;
+    if (item._id === 'transfer') {
+      totals.transferFees = toMinorUnits(item.fees, baseCurrency);
+    }
+    item.missingRates.filter(Boolean).forEach((currency) => missingRates.add(currency));
   });
 
-  summary.balance = summary.income - summary.expense;
+  // Transfers only move money between accounts; their fees are the only real outflow
+  const balance = totals.income - totals.expense - totals.transferFees;
 
-  return summary;
+  return {
+    currency: baseCurrency,
+    income: fromMinorUnits(totals.income, baseCurrency),
+    expense: fromMinorUnits(totals.expense, baseCurrency),
+    transfer: fromMinorUnits(totals.transfer, baseCurrency),
+    transferFees: fromMinorUnits(totals.transferFees, baseCurrency),
+    balance: fromMinorUnits(balance, baseCurrency),
+    transactionCount,
+    missingRates: [...missingRates],
+  };
 };
 
-// Static method to get spending by category
-transactionSchema.statics.getSpendingByCategory = async function (userId, startDate, endDate) {
-  return await this.aggregate([
+// Static method to get spending by category, converted to the user's base currency
+// With rollup (default), subcategory spending is added to its top-level category, which lists
+// the categories it was spent on in `subcategories`
+transactionSchema.statics.getSpendingByCategory = async function (userId, startDate, endDate, baseCurrency = DEFAULT_CURRENCY, options = {}) {
+  const { rollup = true } = options;
+  const ExchangeRate = mongoose.model('ExchangeRate');
+
+  const spending = await this.aggregate([
     {
       $match: {
         userId,
@@ -176,10 +367,12 @@ transactionSchema.statics.getSpendingByCategory = async function (userId, startD
         },
       },
     },
+    ...ExchangeRate.conversionStages(baseCurrency),
+    ...this.categoryLineStages(),
     {
       $group: {
-        _id: '$category',
-        total: { $sum: '$amount' },
+        _id: '$lines.category',
+        total: { $sum: { $multiply: ['$lines.amount', { $ifNull: ['$fxRate', 1] }] } },
         count: { $sum: 1 },
       },
     },
@@ -202,14 +395,160 @@ transactionSchema.statics.getSpendingByCategory = async function (userId, startD
         categoryName: '$category.name',
         categoryIcon: '$category.icon',
         categoryColor: '$category.color',
+        parent: '$category.parent',
       },
     },
     {
       $sort: { total: -1 },
     },
   ]);
+
+  if (!rollup) {
+    return spending.map((item) => ({ ...item, total: formatAmount(item.total, baseCurrency) }));
+  }
+
+  // Walk every category up to its top-level ancestor (the lookup above includes trashed categories too)
+  const Category = mongoose.model('Category');
+  const categories = await Category.find({ userId })
+    .select('name icon color parent')
+    .setOptions({ withDeleted: true });
+  const byId = new Map(categories.map((category) => [category._id.toString(), category]));
+  const getRoot = (category) => {
+    let root = category;
+    for (let depth = 0; root.parent && byId.has(root.parent.toString()) && depth < Category.MAX_DEPTH; depth++) {
+      root = byId.get(root.parent.toString());
+    }
+    return root;
+  };
+
+  const groups = new Map();
+  spending.forEach((item) => {
+    const category = byId.get(item._id.toString()) || { _id: item._id, parent: null };
+    const root = item.parent ? getRoot(category) : category;
+    const key = root._id.toString();
+    if (!groups.has(key)) {
+      groups.set(key, {
+        _id: root._id,
+        total: 0,
+        count: 0,
+        categoryName: root.name || item.categoryName,
+        categoryIcon: root.icon || item.categoryIcon,
+        categoryColor: root.color || item.categoryColor,
+        subcategories: [],
+      });
+    }
+
+    const group = groups.get(key);
+    const total = toMinorUnits(item.total, baseCurrency);
+    group.total += total;
+    group.count += item.count;
+    if (key !== item._id.toString()) {
+      group.subcategories.push({
+        _id: item._id,
+        total: fromMinorUnits(total, baseCurrency),
+        count: item.count,
+        categoryName: item.categoryName,
+        categoryIcon: item.categoryIcon,
+        categoryColor: item.categoryColor,
+      });
+    }
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.total - a.total)
+    .map((group) => ({ ...group, total: fromMinorUnits(group.total, baseCurrency) }));
+};
+
+// Static method to materialize due occurrences of recurring templates
+// A template that fails is logged and skipped, so it cannot stop the others
+transactionSchema.statics.generateRecurringOccurrences = async function (now = new Date()) {
+  const templates = await this.find({
+    isRecurring: true,
+    'recurringConfig.isPaused': { $ne: true },
+    'recurringConfig.nextDate': { $lte: now },
+  });
+
+  const created = [];
+
+  for (const template of templates) {
+    try {
+      created.push(...await generateTemplateOccurrences(this, template, now));
+    } catch (error) {
+      logger.error(`Error generating occurrences of recurring transaction ${template._id}: ${error.message}`);
+    }
+  }
+
+  return created;
 };
 
+// Helper function to materialize the due occurrences of one template and advance its nextDate
+async function generateTemplateOccurrences(Model, template, now) {
+  const created = [];
+  let nextDate = template.recurringConfig.nextDate;
+  const endDate = template.recurringConfig.endDate;
+
+  while (nextDate <= now && (!endDate || nextDate <= endDate)) {
+    // Upsert keyed on (template, date) makes re-runs and concurrent runs harmless;
+    // occurrences in the trash count as existing, so they are not generated again
+    let result = null;
+    try {
+      result = await Model.updateOne(
+        { recurringTemplateId: template._id, recurringOccurrenceDate: nextDate },
+        {
+          $setOnInsert: {
+            userId: template.userId,
+            amount: template.amount,
+            currency: template.currency,
+            type: template.type,
+            category: template.category,
+            splits: template.splits,
+            description: template.description,
+            date: nextDate,
+            paymentMethod: template.paymentMethod,
+            account: template.account,
+            toAccount: template.toAccount,
+            toAmount: template.toAmount,
+            fee: template.fee,
+            tags: template.tags,
+            location: template.location,
+            notes: template.notes,
+            isRecurring: false,
+          },
+        },
+        { upsert: true }
+      ).setOptions({ withDeleted: true });
+    } catch (error) {
+      // A concurrent run inserted the same occurrence
+      if (error.code !== 11000) throw error;
+    }
+
+    if (result && result.upsertedCount > 0) {
+      created.push({
+        _id: result.upsertedId,
+        userId: template.userId,
+        type: template.type,
+        categoryIds: template.getCategoryIds(),
+        date: nextDate,
+      });
+    }
+
+    nextDate = template.getNextOccurrence(nextDate);
+  }
+
+  const update = { 'recurringConfig.nextDate': nextDate };
+  // Series has run past its end date: stop scheduling it
+  if (endDate && nextDate > endDate) {
+    update.isRecurring = false;
+  }
+
+  await Model.updateOne(
+    { _id: template._id, 'recurringConfig.nextDate': template.recurringConfig.nextDate },
+    { $set: update }
+  );
+
+  return created;
+}
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction;
@@ -2,10 +2,22 @@ const Category = require('./Category');
 const Transaction = require('./Transaction');
 const Budget = require('./Budget');
 const Notification = require('./Notification');
+const Account = require('./Account');
+const ExchangeRate = require('./ExchangeRate');
+const ImportBatch = require('./ImportBatch');
+const AuditLog = require('./AuditLog');
+const Rule = require('./Rule');
+const CategoryTemplateSet = require('./CategoryTemplateSet');
 
 module.exports = {
   Category,
   Transaction,
   Budget,
   Notification,
+  Account,
+  ExchangeRate,
+  ImportBatch,
+  AuditLog,
+  Rule,
+  CategoryTemplateSet,
 };
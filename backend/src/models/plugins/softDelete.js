@@ -0,0 +1,51 @@
+/**
+ * Soft Delete Plugin
+ * Adds a deletedAt field: deleted documents stay in the trash until restored or purged
+ *
+ * Reads, counts and updates skip deleted documents unless the filter mentions deletedAt
+ * or the query is run with setOptions({ withDeleted: true }); aggregations get a leading
+ * $match unless their pipeline mentions deletedAt. deleteOne/deleteMany stay hard deletes.
+ */
+
+const QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  });
+
+  // Trash listings and the purge job look documents up by deletion date
+  schema.index({ userId: 1, deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    if (this.options.withDeleted || pipeline.some((stage) => stage.$match && 'deletedAt' in stage.$match)) {
+      return;
+    }
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+
+  // Instance method to move a document to the trash
+  schema.methods.softDelete = function (deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    return this.save();
+  };
+
+  // Instance method to take a document out of the trash
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    return this.save();
+  };
+};
+
+module.exports = softDeletePlugin;
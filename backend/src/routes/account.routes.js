@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  createAccount,
+  getAccounts,
+  getAccountById,
+  getAccountBalanceHistory,
+  updateAccount,
+  deleteAccount,
+} = require('../controllers/accountController');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post('/', createAccount);
+router.get('/', getAccounts);
+router.get('/:id', getAccountById);
+router.get('/:id/balance-history', getAccountBalanceHistory);
+router.put('/:id', updateAccount);
+router.delete('/:id', deleteAccount);
+
+module.exports = router;
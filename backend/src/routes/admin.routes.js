@@ -16,4 +16,18 @@ router.get('/users', adminController.getAllUsers);
 router.patch('/users/:id/ban', adminController.toggleBanUser);
 router.delete('/users/:id', adminController.deleteUser);
 
+// Exchange rates
+router.get('/exchange-rates', adminController.getExchangeRates);
+router.post('/exchange-rates', adminController.uploadExchangeRates);
+router.delete('/exchange-rates/:id', adminController.deleteExchangeRate);
+
+// Category templates for new users
+router.get('/category-templates', adminController.getCategoryTemplateSets);
+router.post('/category-templates', adminController.createCategoryTemplateSet);
+router.get('/category-templates/:id', adminController.getCategoryTemplateSet);
+router.put('/category-templates/:id', adminController.updateCategoryTemplateSet);
+router.delete('/category-templates/:id', adminController.deleteCategoryTemplateSet);
+router.post('/category-templates/:id/categories', adminController.addTemplateCategory);
+router.post('/category-templates/:id/categories/:key/push', adminController.pushTemplateCategory);
+
 module.exports = router;
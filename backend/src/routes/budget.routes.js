@@ -5,6 +5,7 @@ const {
   getActiveBudgets,
   getBudgetStatus,
   getBudgetById,
+  getBudgetHistory,
   updateBudget,
   deleteBudget,
   deleteBudgetPermanently,
@@ -24,6 +25,7 @@ router.get('/', getBudgets);
 router.get('/active', getActiveBudgets);
 router.get('/status', getBudgetStatus);
 router.get('/:id', getBudgetById);
+router.get('/:id/history', getBudgetHistory);
 router.put('/:id', updateBudget);
 router.delete('/:id', deleteBudget);
 router.delete('/:id/permanent', deleteBudgetPermanently);
@@ -5,6 +5,8 @@ const {
   getCategoryById,
   updateCategory,
   deleteCategory,
+  mergeCategory,
+  resetDefaultCategories,
 } = require('../controllers/categoryController');
 const { authenticate } = require('../middleware/auth.middleware');
 
@@ -14,8 +16,10 @@ router.use(authenticate);
 
 router.post('/', createCategory);
 router.get('/', getCategories);
+router.post('/reset-defaults', resetDefaultCategories);
 router.get('/:id', getCategoryById);
 router.put('/:id', updateCategory);
 router.delete('/:id', deleteCategory);
+router.post('/:id/merge', mergeCategory);
 
 module.exports = router;
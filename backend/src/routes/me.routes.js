@@ -0,0 +1,14 @@
+const express = require('express');
+const { getBackup, restoreBackup } = require('../controllers/backupController');
+const { authenticate } = require('../middleware/auth.middleware');
+const { uploadBackupFile } = require('../middleware/upload.middleware');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Backup and restore of all the user's data
+router.get('/backup', getBackup);
+router.post('/restore', uploadBackupFile, restoreBackup);
+
+module.exports = router;
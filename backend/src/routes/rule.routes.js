@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  createRule,
+  getRules,
+  getRuleById,
+  updateRule,
+  deleteRule,
+  applyRulesToHistory,
+} = require('../controllers/ruleController');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post('/', createRule);
+router.get('/', getRules);
+router.post('/apply', applyRulesToHistory);
+router.get('/:id', getRuleById);
+router.put('/:id', updateRule);
+router.delete('/:id', deleteRule);
+
+module.exports = router;
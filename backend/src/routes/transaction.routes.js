@@ -5,11 +5,39 @@ const {
   getTransactionById,
   updateTransaction,
   deleteTransaction,
+  bulkUpdateTransactions,
+  revertTransaction,
   getTransactionSummary,
   getSpendingByCategory,
   exportTransactionsToCSV,
 } = require('../controllers/transactionController');
+const {
+  exportTransactionsToXLSX,
+  exportMonthlyStatementPDF,
+} = require('../controllers/exportController');
+const {
+  getRecurringTransactions,
+  updateRecurringTransaction,
+  pauseRecurringTransaction,
+  resumeRecurringTransaction,
+  skipRecurringOccurrence,
+  stopRecurringTransaction,
+} = require('../controllers/recurringTransactionController');
+const { getTransactionHistory } = require('../controllers/historyController');
+const {
+  uploadAttachments,
+  getAttachment,
+  getAttachmentThumbnail,
+  deleteAttachment,
+} = require('../controllers/attachmentController');
+const {
+  importTransactions,
+  importStatement,
+  getImportBatches,
+  undoImport,
+} = require('../controllers/importController');
 const { authenticate } = require('../middleware/auth.middleware');
+const { uploadImportFile, uploadAttachmentFiles } = require('../middleware/upload.middleware');
 
 const router = express.Router();
 
@@ -18,10 +46,40 @@ router.use(authenticate);
 router.post('/', createTransaction);
 router.get('/', getTransactions);
 router.get('/export', exportTransactionsToCSV);
+router.get('/export/xlsx', exportTransactionsToXLSX);
+router.get('/export/statement', exportMonthlyStatementPDF);
 router.get('/summary', getTransactionSummary);
 router.get('/spending-by-category', getSpendingByCategory);
+
+// Recurring templates (must be before /:id routes)
+router.get('/recurring', getRecurringTransactions);
+router.put('/recurring/:id', updateRecurringTransaction);
+router.post('/recurring/:id/pause', pauseRecurringTransaction);
+router.post('/recurring/:id/resume', resumeRecurringTransaction);
+router.post('/recurring/:id/skip', skipRecurringOccurrence);
+router.delete('/recurring/:id', stopRecurringTransaction);
+
+// File imports (must be before /:id routes)
+router.get('/import', getImportBatches);
+router.post('/import', uploadImportFile, importTransactions);
+router.post('/import/statement', uploadImportFile, importStatement);
+router.delete('/import/:batchId', undoImport);
+
+// Bulk actions (must be before /:id routes)
+router.post('/bulk', bulkUpdateTransactions);
+
 router.get('/:id', getTransactionById);
 router.put('/:id', updateTransaction);
 router.delete('/:id', deleteTransaction);
 
+// Change history
+router.get('/:id/history', getTransactionHistory);
+router.post('/:id/history/:version/revert', revertTransaction);
+
+// Attachments (receipt photos and documents)
+router.post('/:id/attachments', uploadAttachmentFiles, uploadAttachments);
+router.get('/:id/attachments/:attachmentId', getAttachment);
+router.get('/:id/attachments/:attachmentId/thumbnail', getAttachmentThumbnail);
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
 module.exports = router;
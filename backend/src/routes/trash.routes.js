@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getTrash,
+  restoreTrashItem,
+  undoLastDeletion,
+  purgeTrashItem,
+  emptyTrash,
+} = require('../controllers/trashController');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', getTrash);
+router.delete('/', emptyTrash);
+router.post('/undo', undoLastDeletion);
+router.post('/:type/:id/restore', restoreTrashItem);
+router.delete('/:type/:id', purgeTrashItem);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * File storage
+ * The backend is chosen by STORAGE_DRIVER: 'local' (default) or 's3'
+ *
+ * Every backend implements:
+ *   put(key, buffer, contentType)  - store a file
+ *   get(key)                       - { stream, size }, or null if the key does not exist
+ *   remove(key)                    - delete a file (missing keys are ignored)
+ *   removePrefix(prefix)           - delete every file whose key starts with prefix/
+ */
+
+const path = require('path');
+const { createLocalStorage } = require('./local.storage');
+const { createS3Storage } = require('./s3.storage');
+
+let storage = null;
+
+/**
+ * Get the configured storage backend (created on first use)
+ * @returns {object} Storage backend
+ * @throws {Error} If STORAGE_DRIVER is unknown or incomplete
+ */
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (driver === 'local') {
+    storage = createLocalStorage({
+      root: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+    });
+  } else if (driver === 's3') {
+    storage = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or s3)`);
+  }
+
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+};
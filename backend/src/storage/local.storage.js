@@ -0,0 +1,58 @@
+/**
+ * Local disk storage
+ * Files live under a root directory, one file per key (keys use '/' as separator)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage backend writing to local disk
+ * @param {object} options - { root } directory (created on first write)
+ * @returns {object} Storage backend (see storage/index.js)
+ */
+const createLocalStorage = ({ root }) => {
+  const base = path.resolve(root);
+
+  // Keys must stay inside the root directory
+  const resolveKey = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      const file = resolveKey(key);
+      try {
+        const stat = await fs.promises.stat(file);
+        return { stream: fs.createReadStream(file), size: stat.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async removePrefix(prefix) {
+      await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+    },
+  };
+};
+
+module.exports = {
+  createLocalStorage,
+};
@@ -0,0 +1,78 @@
+/**
+ * S3 storage
+ * Works with AWS S3 and S3-compatible servers (MinIO, Ceph, R2) through a custom endpoint
+ */
+
+/**
+ * Create a storage backend writing to an S3 bucket
+ * @param {object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }
+ * @returns {object} Storage backend (see storage/index.js)
+ */
+const createS3Storage = (options) => {
+  // Loaded here so local-disk setups never load the AWS SDK
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectsCommand,
+  } = require('@aws-sdk/client-s3');
+
+  if (!options.bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: options.region || 'us-east-1',
+    endpoint: options.endpoint || undefined,
+    // MinIO and most self-hosted servers need bucket-in-path URLs
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined,
+  });
+  const Bucket = options.bucket;
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({ Bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket, Key: key }));
+        return { stream: object.Body, size: object.ContentLength };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+    },
+
+    async removePrefix(prefix) {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket,
+          Prefix: prefix.endsWith('/') ? prefix : `${prefix}/`,
+          ContinuationToken,
+        }));
+        const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+        if (objects.length > 0) {
+          await client.send(new DeleteObjectsCommand({ Bucket, Delete: { Objects: objects, Quiet: true } }));
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+  };
+};
+
+module.exports = {
+  createS3Storage,
+};
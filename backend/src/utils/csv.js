@@ -0,0 +1,94 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Quoted fields may contain delimiters, line breaks and doubled quotes ("")
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * @param {string} text - CSV content (a leading UTF-8 BOM is ignored)
+ * @param {object} options - { delimiter: ',' }
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsv = (text, options = {}) => {
+  const delimiter = options.delimiter || ',';
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    // A line with a single empty field is a blank line
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      // Treat CRLF as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Format one CSV record
+ * @param {Array<*>} fields - Field values; null and undefined become empty fields
+ * @param {object} options - { delimiter: ',' }
+ * @returns {string} Record ending with CRLF, every field quoted and inner quotes doubled
+ */
+const formatCsvRow = (fields, options = {}) => {
+  const delimiter = options.delimiter || ',';
+  const quoted = fields.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+  });
+  return `${quoted.join(delimiter)}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
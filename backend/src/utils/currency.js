@@ -0,0 +1,51 @@
+/**
+ * Currency helpers
+ * Formatting and validation of ISO 4217 currency codes
+ */
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+// Locale used to format each currency; anything else falls back to en-US
+const CURRENCY_LOCALES = {
+  USD: 'en-US',
+  EUR: 'de-DE',
+  VND: 'vi-VN',
+};
+
+/**
+ * Check that a value is a 3-letter ISO 4217 code
+ * @param {string} currency
+ * @returns {boolean}
+ */
+const isValidCurrency = (currency) => {
+  return typeof currency === 'string' && /^[A-Z]{3}$/.test(currency.toUpperCase());
+};
+
+/**
+ * Normalize a currency code (trim + uppercase)
+ * @param {string} currency
+ * @returns {string|undefined}
+ */
+const normalizeCurrency = (currency) => {
+  return currency ? currency.trim().toUpperCase() : undefined;
+};
+
+/**
+ * Format an amount in the given currency
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code (default: DEFAULT_CURRENCY)
+ * @returns {string}
+ */
+const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  return new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount);
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isValidCurrency,
+  normalizeCurrency,
+  formatCurrency,
+};
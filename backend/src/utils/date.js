@@ -0,0 +1,107 @@
+/**
+ * Date helpers shared by recurring transactions, recurring budgets and imports
+ * All calculations are done in UTC to match the day boundaries used by getTransactions
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Get number of days in a month (UTC)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {number} Days in month
+ */
+const daysInMonth = (year, month) => {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+};
+
+/**
+ * Add one or more frequency intervals to a date
+ * @param {Date} date - Base date
+ * @param {string} frequency - 'daily', 'weekly', 'monthly' or 'yearly'
+ * @param {number} count - Number of intervals to add (default: 1)
+ * @param {number} anchorDay - Preferred day of month for monthly/yearly steps (optional)
+ * @returns {Date} New date
+ * @description Monthly and yearly steps are clamped to the end of the target month,
+ *              so an anchor on the 31st lands on Feb 28/29 and returns to the 31st in March
+ */
+const addFrequency = (date, frequency, count = 1, anchorDay = null) => {
+  const result = new Date(date);
+
+  switch (frequency) {
+    case 'daily':
+      result.setUTCDate(result.getUTCDate() + count);
+      return result;
+    case 'weekly':
+      result.setUTCDate(result.getUTCDate() + 7 * count);
+      return result;
+    case 'monthly':
+    case 'yearly': {
+      const months = frequency === 'monthly' ? count : 12 * count;
+      const day = anchorDay || result.getUTCDate();
+      const target = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + months, 1));
+      const year = target.getUTCFullYear();
+      const month = target.getUTCMonth();
+      result.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+      return result;
+    }
+    default:
+      throw new Error(`Unsupported frequency: ${frequency}`);
+  }
+};
+
+// Date formats accepted by imports (tokens: yyyy, yy, MM, dd)
+const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'dd/MM/yyyy',
+  'MM/dd/yyyy',
+  'dd-MM-yyyy',
+  'dd.MM.yyyy',
+  'yyyy/MM/dd',
+  'dd/MM/yy',
+  'MM/dd/yy',
+];
+
+/**
+ * Parse a date string with an explicit format (UTC midnight)
+ * @param {string} value - Date text, e.g. '31/01/2025'
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date|null} Parsed date, or null if the text does not match or the day does not exist
+ * @description A time after the date (e.g. '2025-01-31 14:30') is ignored; two-digit years are 20yy
+ */
+const parseDateString = (value, format) => {
+  if (typeof value !== 'string') return null;
+
+  const tokens = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/yyyy|yy|MM|dd/g, (token) => {
+      tokens.push(token);
+      return token === 'yyyy' ? '(\\d{4})' : '(\\d{1,2})';
+    });
+
+  const match = new RegExp(`^${pattern}(?:[ T].*)?$`).exec(value.trim());
+  if (!match) return null;
+
+  const parts = {};
+  tokens.forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+
+  const year = parts.yyyy ?? 2000 + parts.yy;
+  const month = parts.MM - 1;
+  const day = parts.dd;
+  if (month < 0 || month > 11 || day < 1 || day > daysInMonth(year, month)) {
+    return null;
+  }
+
+  return new Date(Date.UTC(year, month, day));
+};
+
+module.exports = {
+  FREQUENCIES,
+  DATE_FORMATS,
+  daysInMonth,
+  addFrequency,
+  parseDateString,
+};
@@ -0,0 +1,198 @@
+/**
+ * Money helpers
+ * Amounts are stored as Decimal128 and exchanged with clients as decimal strings.
+ * Arithmetic in JavaScript is done on integer minor units (cents, or whole dong for VND),
+ * so sums and comparisons never pick up floating point noise.
+ */
+
+const mongoose = require('mongoose');
+
+// Decimal places per currency (ISO 4217 minor units); anything else uses 2
+const CURRENCY_DECIMALS = {
+  VND: 0,
+  JPY: 0,
+  KRW: 0,
+  CLP: 0,
+  ISK: 0,
+  BHD: 3,
+  KWD: 3,
+  OMR: 3,
+  JOD: 3,
+  TND: 3,
+};
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Get the number of decimal places used by a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const getCurrencyDecimals = (currency) => {
+  return CURRENCY_DECIMALS[currency] ?? 2;
+};
+
+/**
+ * Convert an amount to integer minor units
+ * @param {string|number|Decimal128} value - Amount (decimal string, number or Decimal128)
+ * @param {string} currency - ISO 4217 code
+ * @param {object} options - { exact: true } returns null instead of rounding extra decimals
+ * @returns {number|null} Minor units, or null if the value is not a valid amount
+ * @description Rounds half away from zero; null/undefined count as 0
+ */
+const toMinorUnits = (value, currency, options = {}) => {
+  if (value === null || value === undefined) return 0;
+
+  const match = DECIMAL_PATTERN.exec(value.toString().trim());
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, integerPart = '', fractionPart = '', exponent = '0'] = match;
+  const digits = `${integerPart}${fractionPart}`;
+  // Position of the decimal point in `digits` once shifted into minor units
+  const point = integerPart.length + Number(exponent) + getCurrencyDecimals(currency);
+
+  let whole;
+  let rest;
+  if (point <= 0) {
+    whole = 0n;
+    rest = '0'.repeat(-point) + digits;
+  } else if (point >= digits.length) {
+    whole = BigInt(digits + '0'.repeat(point - digits.length));
+    rest = '';
+  } else {
+    whole = BigInt(digits.slice(0, point));
+    rest = digits.slice(point);
+  }
+
+  if (/[1-9]/.test(rest)) {
+    if (options.exact) return null;
+    if (rest[0] >= '5') whole += 1n;
+  }
+
+  if (whole > BigInt(Number.MAX_SAFE_INTEGER)) return null;
+  const minor = Number(whole);
+  return sign === '-' && minor !== 0 ? -minor : minor;
+};
+
+/**
+ * Convert integer minor units to a decimal string
+ * @param {number} minor - Minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} e.g. '12.50' for USD, '12500' for VND
+ */
+const fromMinorUnits = (minor, currency) => {
+  const decimals = getCurrencyDecimals(currency);
+  const digits = Math.abs(minor).toString().padStart(decimals + 1, '0');
+  const sign = minor < 0 ? '-' : '';
+
+  if (decimals === 0) return `${sign}${digits}`;
+  return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+};
+
+/**
+ * Parse an amount sent by a client
+ * @param {string|number} value - Decimal string or number
+ * @param {string} currency - ISO 4217 code
+ * @returns {string|null} Normalized decimal string, or null if invalid or more precise than the currency allows
+ */
+const parseAmount = (value, currency) => {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+
+  const minor = toMinorUnits(value, currency, { exact: true });
+  return minor === null ? null : fromMinorUnits(minor, currency);
+};
+
+/**
+ * Round a stored or computed amount to the currency precision
+ * @param {string|number|Decimal128} value
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Decimal string
+ */
+const formatAmount = (value, currency) => {
+  return fromMinorUnits(toMinorUnits(value, currency) || 0, currency);
+};
+
+/**
+ * Convert a stored amount to a JavaScript number (percentages and display only)
+ * @param {string|number|Decimal128} value
+ * @returns {number}
+ */
+const moneyToNumber = (value) => {
+  return value === null || value === undefined ? 0 : Number(value.toString());
+};
+
+/**
+ * Schema getter returning Decimal128 values as decimal strings
+ * @param {Decimal128} value
+ * @returns {string|undefined}
+ */
+const moneyToString = (value) => {
+  return value === null || value === undefined ? value : value.toString();
+};
+
+/**
+ * Build a Decimal128 schema path returned as a decimal string
+ * @param {object} options - Extra schema options (required, default, ...)
+ * @param {object} limits - { min: [0, message] } rejects amounts below min (optional)
+ * @returns {object} Schema path definition
+ */
+const moneyField = (options = {}, limits = {}) => {
+  const field = {
+    type: mongoose.Schema.Types.Decimal128,
+    get: moneyToString,
+    ...options,
+  };
+
+  if (limits.min) {
+    const [min, message] = limits.min;
+    field.validate = {
+      validator: (value) => value === null || value === undefined || Number(value.toString()) >= min,
+      message,
+    };
+  }
+
+  return field;
+};
+
+/**
+ * Normalize a localized number such as '1.234.567,89' or '(1,234.50)' to a plain decimal string
+ * @param {string} value - Number text; currency symbols and letters are ignored
+ * @param {string} decimalSeparator - '.' or ',' (the other one, spaces and apostrophes are grouping)
+ * @returns {string|null} e.g. '-1234.5', or null if the text is not a number
+ * @description A leading or trailing minus sign and accounting parentheses mark negatives
+ */
+const normalizeLocalizedNumber = (value, decimalSeparator = '.') => {
+  if (value === null || value === undefined) return null;
+
+  let text = value.toString().trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/^-|-$/.test(text.replace(/[^\d\-.,]/g, ''))) {
+    negative = !negative;
+  }
+
+  const grouping = decimalSeparator === ',' ? /[.\s' ]/g : /[,\s' ]/g;
+  const digits = text
+    .replace(/[^\d.,\s' ]/g, '')
+    .replace(grouping, '')
+    .replace(decimalSeparator, '.');
+
+  if (!/^\d+(\.\d+)?$/.test(digits)) return null;
+  return negative ? `-${digits}` : digits;
+};
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  getCurrencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  parseAmount,
+  formatAmount,
+  moneyToNumber,
+  moneyToString,
+  moneyField,
+  normalizeLocalizedNumber,
+};
@@ -0,0 +1,186 @@
+/**
+ * Regex helpers
+ * Safety checks and time-limited matching for user-supplied regular expressions (rule patterns),
+ * and escaping of literal text for use in patterns
+ */
+
+const vm = require('vm');
+const logger = require('./logger');
+
+// Longest a single match may run before it is abandoned (milliseconds)
+const PATTERN_TIMEOUT_MS = parseInt(process.env.PATTERN_TIMEOUT_MS, 10) || 50;
+
+// Characters probed to tell whether two repeated atoms can match the same text
+const PROBE_CHARS = [
+  ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+  '\t', '\n', 'é', 'đ', 'Đ', 'ư',
+];
+
+// Patterns that timed out once are not run again (per process)
+const timedOutPatterns = new Set();
+
+const matchScript = new vm.Script('pattern.test(text)');
+const matchContext = vm.createContext({ pattern: null, text: '' });
+
+/**
+ * Get the probe characters a single atom matches
+ * @param {string} source - Atom source, e.g. 'a', '\\d', '[a-z]' or '.'
+ * @returns {Set<string>|null} Matched characters, null when unknown (treated as matching anything)
+ */
+const getAtomChars = (source) => {
+  try {
+    const regex = new RegExp(`^(?:${source})$`, 'i');
+    return new Set(PROBE_CHARS.filter((char) => regex.test(char)));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether two atoms can match the same character
+ * @param {Set<string>|null} a
+ * @param {Set<string>|null} b
+ * @returns {boolean}
+ */
+const overlaps = (a, b) => !a || !b || [...a].some((char) => b.has(char));
+
+/**
+ * Check that a pattern cannot backtrack catastrophically
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} false for backreferences, repeated groups that contain quantifiers or
+ *                    alternatives ((a+)+, (a|ab)*), and unbounded quantifiers on atoms that can match
+ *                    the same characters with only optional atoms between them (a*a*b, \w+\d*\w+)
+ */
+const isSafePattern = (pattern) => {
+  const newGroup = () => ({ quantified: false, unbounded: false, alternation: false, repeated: [] });
+  const groups = [newGroup()];
+  // Atom the next quantifier would repeat: { chars } or { group } for a closed group
+  let pending = null;
+
+  // Record an atom in the current sequence; returns false when it makes the pattern unsafe
+  const commit = (atom, quantifier) => {
+    const current = groups[groups.length - 1];
+    const chars = atom.group ? null : atom.chars;
+    const unbounded = quantifier ? quantifier.max === Infinity : Boolean(atom.group && atom.group.unbounded);
+
+    if (unbounded) {
+      if (current.repeated.some((previous) => overlaps(previous, chars))) return false;
+      current.repeated.push(chars);
+      current.unbounded = true;
+    } else if (!quantifier || quantifier.min > 0) {
+      // A required atom separates the repeated atoms before it from those after it
+      if (!chars || chars.size > 0) current.repeated = [];
+    }
+    return true;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if ('*+?{'.includes(char) && pending) {
+      let quantifier = { min: char === '+' ? 1 : 0, max: char === '?' ? 1 : Infinity };
+      if (char === '{') {
+        const bounds = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+        if (bounds) {
+          const min = parseInt(bounds[1], 10);
+          const max = bounds[2] === undefined ? min : (bounds[3] === '' ? Infinity : parseInt(bounds[3], 10));
+          quantifier = { min, max };
+          i += bounds[0].length - 1;
+        } else {
+          quantifier = null;
+        }
+      }
+      if (quantifier) {
+        if (pattern[i + 1] === '?') i++; // Lazy quantifier
+        const repeats = quantifier.max > 1;
+        if (pending.group && repeats && (pending.group.quantified || pending.group.alternation)) return false;
+        if (!commit(pending, quantifier)) return false;
+        current.quantified = true;
+        pending = null;
+        continue;
+      }
+    }
+
+    if (pending && !commit(pending)) return false;
+    pending = null;
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) return false;
+      const escape = pattern.slice(i, i + 2);
+      i++;
+      pending = { chars: getAtomChars(escape) };
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      let j = i + 1;
+      if (pattern[j] === '^') j++;
+      if (pattern[j] === ']') j++;
+      while (j < pattern.length && pattern[j] !== ']') {
+        if (pattern[j] === '\\') j++;
+        j++;
+      }
+      pending = { chars: getAtomChars(pattern.slice(i, j + 1)) };
+      i = j;
+    } else if (char === '(') {
+      groups.push(newGroup());
+      // Skip group prefixes: (?: (?= (?! (?<= (?<! (?<name>
+      const prefix = pattern.slice(i + 1).match(/^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+      if (prefix) i += prefix[0].length;
+    } else if (char === ')') {
+      if (groups.length === 1) return false;
+      const group = groups.pop();
+      // A group with a quantifier inside makes its parent contain one too
+      if (group.quantified) groups[groups.length - 1].quantified = true;
+      pending = { group };
+    } else if (char === '|') {
+      current.alternation = true;
+      current.repeated = [];
+    } else if (char === '^' || char === '$') {
+      // Anchors match no characters
+    } else {
+      pending = { chars: getAtomChars(char === '.' ? '.' : char.replace(/[\\^$*+?()[\]{}|/]/g, '\\$&')) };
+    }
+  }
+
+  if (pending && !commit(pending)) return false;
+  return groups.length === 1;
+};
+
+/**
+ * Test a text against a case-insensitive pattern, giving up after PATTERN_TIMEOUT_MS
+ * @param {string} pattern - Regular expression source
+ * @param {string} text
+ * @returns {boolean} Whether it matched; false for unsafe patterns and when the match timed out
+ */
+const testPattern = (pattern, text) => {
+  if (timedOutPatterns.has(pattern) || !isSafePattern(pattern)) return false;
+
+  matchContext.pattern = new RegExp(pattern, 'i');
+  matchContext.text = text;
+  try {
+    return matchScript.runInContext(matchContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    timedOutPatterns.add(pattern);
+    logger.warn(`Pattern /${pattern}/i timed out after ${PATTERN_TIMEOUT_MS}ms and is skipped from now on`);
+    return false;
+  } finally {
+    matchContext.pattern = null;
+    matchContext.text = '';
+  }
+};
+
+/**
+ * Escape a literal text for use in a regular expression
+ * @param {string} text
+ * @returns {string} Pattern source matching exactly the text
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  PATTERN_TIMEOUT_MS,
+  isSafePattern,
+  testPattern,
+  escapeRegex,
+};
@@ -0,0 +1,198 @@
+/**
+ * Bank statement parsers
+ * OFX 1.x (SGML) and 2.x (XML), QFX (Intuit's OFX) and QIF
+ * Amounts are returned as signed decimal strings: negative = debit, positive = credit
+ */
+
+const crypto = require('crypto');
+const { parseDateString } = require('./date');
+const { normalizeLocalizedNumber } = require('./money');
+
+const STATEMENT_FORMATS = ['ofx', 'qfx', 'qif'];
+
+/**
+ * Detect the statement format from the file name or its content
+ * @param {string} filename - Original file name
+ * @param {string} text - File content
+ * @returns {string|null} 'ofx', 'qfx', 'qif' or null if unknown
+ */
+const detectStatementFormat = (filename, text) => {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  if (STATEMENT_FORMATS.includes(extension)) return extension;
+
+  if (/OFXHEADER|<OFX>/i.test(text)) return 'ofx';
+  if (/^\s*!(Type|Account|Option)/im.test(text)) return 'qif';
+  return null;
+};
+
+/**
+ * Decode OFX character entities (&amp; &lt; ...)
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeEntities = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Read the value of an OFX element inside a block
+ * Works for SGML (no closing tag) and XML (closing tag)
+ * @param {string} block - OFX text
+ * @param {string} tag - Element name, e.g. 'TRNAMT'
+ * @returns {string|null}
+ */
+const readOfxElement = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  if (!match) return null;
+  const value = decodeEntities(match[1]).trim();
+  return value === '' ? null : value;
+};
+
+/**
+ * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[TZ]]) to UTC midnight of its calendar day
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return parseDateString(`${match[1]}-${match[2]}-${match[3]}`, 'yyyy-MM-dd');
+};
+
+/**
+ * Parse an OFX/QFX statement
+ * @param {string} text - File content
+ * @returns {object} { currency, accountId, transactions: [{ externalId, date, amount, payee, memo, checkNumber, errors }] }
+ */
+const parseOfx = (text) => {
+  const currency = readOfxElement(text, 'CURDEF');
+  const accountId = readOfxElement(text, 'ACCTID');
+
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const transactions = blocks.map((block) => {
+    const errors = [];
+    const date = parseOfxDate(readOfxElement(block, 'DTPOSTED'));
+    if (!date) errors.push({ field: 'date', message: 'Missing or invalid DTPOSTED' });
+
+    const rawAmount = readOfxElement(block, 'TRNAMT');
+    // Some banks write TRNAMT with a decimal comma
+    const amount = normalizeLocalizedNumber(rawAmount, rawAmount && !rawAmount.includes('.') ? ',' : '.');
+    if (amount === null) errors.push({ field: 'amount', message: `Invalid TRNAMT "${rawAmount || ''}"` });
+
+    return {
+      // Unique within one bank account only
+      externalId: readOfxElement(block, 'FITID'),
+      date,
+      amount,
+      payee: readOfxElement(block, 'NAME') || readOfxElement(block, 'PAYEE'),
+      memo: readOfxElement(block, 'MEMO'),
+      checkNumber: readOfxElement(block, 'CHECKNUM'),
+      category: null,
+      errors,
+    };
+  });
+
+  return { currency, accountId, transactions };
+};
+
+/**
+ * Parse a QIF statement (bank, cash and credit card sections)
+ * @param {string} text - File content
+ * @param {string} dateFormat - 'MM/dd/yyyy' (US banks) or 'dd/MM/yyyy' (optional, default: 'MM/dd/yyyy')
+ * @returns {object} { currency: null, accountId: null, transactions: [...] } (same shape as parseOfx)
+ * @description Two-digit years and the apostrophe year separator (1/31'25) are accepted
+ */
+const parseQif = (text, dateFormat = 'MM/dd/yyyy') => {
+  const transactions = [];
+  let current = {};
+  let inTransactions = false;
+
+  const finish = () => {
+    if (Object.keys(current).length === 0) return;
+
+    const errors = [];
+    const rawDate = (current.D || '').replace(/'\s*/g, '/').replace(/\s+/g, '');
+    const date = parseDateString(rawDate, dateFormat) ||
+      parseDateString(rawDate, dateFormat.replace('yyyy', 'yy'));
+    if (!date) errors.push({ field: 'date', message: `Invalid date "${current.D || ''}" (expected ${dateFormat})` });
+
+    const rawAmount = current.T || current.U;
+    const amount = normalizeLocalizedNumber(rawAmount, '.');
+    if (amount === null) errors.push({ field: 'amount', message: `Invalid amount "${rawAmount || ''}"` });
+
+    transactions.push({
+      externalId: null,
+      date,
+      amount,
+      payee: current.P || null,
+      memo: current.M || null,
+      checkNumber: current.N || null,
+      // Category names may carry a subcategory (Food:Groceries) or a transfer ([Savings])
+      category: current.L && !current.L.startsWith('[') ? current.L.split(':')[0].trim() : null,
+      errors,
+    });
+    current = {};
+  };
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      finish();
+      inTransactions = /^!Type:(Bank|Cash|CCard|Oth A|Oth L)/i.test(line);
+      return;
+    }
+    if (!inTransactions) return;
+
+    if (line === '^') {
+      finish();
+      return;
+    }
+
+    const code = line[0];
+    // Split lines (S, E, $) are ignored: the transaction total is imported
+    if (!(code in current)) {
+      current[code] = line.slice(1).trim();
+    }
+  });
+  finish();
+
+  return { currency: null, accountId: null, transactions };
+};
+
+/**
+ * Content hash used to recognize a transaction without a FITID on re-import
+ * @param {object} transaction - Parsed transaction
+ * @param {number} occurrence - How many identical transactions came before it in the file
+ * @param {string} scope - Account the statement belongs to, so equal lines of two accounts differ (optional)
+ * @returns {string}
+ */
+const hashStatementTransaction = (transaction, occurrence, scope = '') => {
+  const content = [
+    scope,
+    transaction.date ? transaction.date.toISOString().slice(0, 10) : '',
+    transaction.amount || '',
+    transaction.payee || '',
+    transaction.memo || '',
+    transaction.checkNumber || '',
+  ].join('|');
+
+  const hash = crypto.createHash('sha256').update(`${content}|${occurrence}`).digest('hex');
+  return `hash:${hash}`;
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseOfx,
+  parseQif,
+  hashStatementTransaction,
+};
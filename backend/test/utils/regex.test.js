@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isSafePattern, testPattern } = require('../../src/utils/regex');
+
+test('rejects nested quantifiers, repeated alternatives and backreferences', () => {
+  ['(a+)+$', '(a|ab)*', '(.*a){20}', '(\\w+\\s?)*', '(a)\\1', '(?<n>a)\\k<n>'].forEach((pattern) => {
+    assert.strictEqual(isSafePattern(pattern), false, pattern);
+  });
+});
+
+test('rejects adjacent quantified atoms that can match the same characters', () => {
+  ['a*a*a*a*a*a*b', 'a*b?a*', '\\w+\\d*\\w+', '.*.*x', '(a*)a*', 'a+(?:a+)'].forEach((pattern) => {
+    assert.strictEqual(isSafePattern(pattern), false, pattern);
+  });
+});
+
+test('accepts common rule patterns', () => {
+  ['^coffee', 'star(bucks)?', '\\d{3,}-\\d+', '(foo|bar)', '(?:ab)+', '[(+)]+', 'grab\\*food',
+    '.*foo.*', '\\w+\\s\\w+', 'uber\\s*(eats)?', '^(grab|gojek) '].forEach((pattern) => {
+    assert.strictEqual(isSafePattern(pattern), true, pattern);
+  });
+});
+
+test('matches case-insensitively', () => {
+  assert.strictEqual(testPattern('^grab', 'GRAB*Food'), true);
+  assert.strictEqual(testPattern('^grab', 'Uber'), false);
+});
+
+test('does not run unsafe patterns', () => {
+  const started = Date.now();
+  assert.strictEqual(testPattern('a*a*a*a*a*a*b', 'a'.repeat(100)), false);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('gives up on slow patterns that pass the safety check', () => {
+  const pattern = '.*a.*a.*a.*b';
+  assert.strictEqual(isSafePattern(pattern), true);
+  const started = Date.now();
+  assert.strictEqual(testPattern(pattern, 'a'.repeat(1000)), false);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -1,6 +1,13 @@
 import 'package:intl/intl.dart';
 
 class Formatters {
+  // Parse an amount from the API (decimal string, or number from older servers)
+  static double? parseAmount(dynamic value) {
+    if (value == null) return null;
+    if (value is num) return value.toDouble();
+    return double.tryParse(value.toString());
+  }
+
   // Currency formatter (default USD)
   static String currency(double amount, {String? symbol}) {
     final formatter = NumberFormat.currency(
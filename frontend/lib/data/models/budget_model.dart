@@ -1,3 +1,4 @@
+import '../../core/utils/formatters.dart';
 import 'category_model.dart';
 
 /// Budget Model - Represents budget data from API
@@ -84,8 +85,8 @@ class BudgetModel {
       id: json['_id'] as String? ?? json['id'] as String? ?? '',
       userId: json['userId'] as String? ?? '',
       name: json['name'] as String? ?? '',
-      amount: (json['amount'] as num?)?.toDouble() ?? 0.0,
-      spent: (json['spent'] as num?)?.toDouble() ?? 0.0,
+      amount: Formatters.parseAmount(json['amount']) ?? 0.0,
+      spent: Formatters.parseAmount(json['spent']) ?? 0.0,
       period: json['period'] as String? ?? 'monthly',
       startDate: json['startDate'] != null 
           ? DateTime.parse(json['startDate'] as String)
@@ -104,7 +105,7 @@ class BudgetModel {
       updatedAt: json['updatedAt'] != null
           ? DateTime.parse(json['updatedAt'] as String)
           : DateTime.now(),
-      remaining: (json['remaining'] as num?)?.toDouble(),
+      remaining: Formatters.parseAmount(json['remaining']),
       percentageUsed: (json['percentageUsed'] as num?)?.toDouble(),
       status: json['status'] as String?,
       needsAlert: json['needsAlert'] as bool?,
@@ -1,3 +1,5 @@
+import '../../core/utils/formatters.dart';
+
 /// Model for spending grouped by category
 class SpendingByCategory {
   final String categoryId;
@@ -22,7 +24,7 @@ class SpendingByCategory {
       categoryName: json['categoryName'] ?? 'Unknown',
       categoryIcon: json['categoryIcon'] ?? 'help_outline',
       categoryColor: json['categoryColor'] ?? '#9E9E9E',
-      total: (json['total'] as num?)?.toDouble() ?? 0,
+      total: Formatters.parseAmount(json['total']) ?? 0,
       count: (json['count'] as num?)?.toInt() ?? 0,
     );
   }
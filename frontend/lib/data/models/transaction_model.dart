@@ -1,3 +1,4 @@
+import '../../core/utils/formatters.dart';
 import 'category_model.dart';
 
 /// Transaction Model - Represents transaction data from API
@@ -50,7 +51,7 @@ class TransactionModel {
     return TransactionModel(
       id: json['_id'] as String,
       userId: json['userId'] as String? ?? json['user_id'] as String,
-      amount: (json['amount'] as num).toDouble(),
+      amount: Formatters.parseAmount(json['amount']) ?? 0.0,
       type: json['type'] as String,
       categoryId: categoryId,
       date: DateTime.parse(json['date'] as String),
@@ -1,4 +1,5 @@
 import 'package:flutter/foundation.dart';
+import '../../core/utils/formatters.dart';
 import '../../data/models/transaction_model.dart';
 import '../../data/models/spending_by_category.dart';
 import '../../data/repositories/transaction_repository.dart';
@@ -131,9 +132,9 @@ class TransactionProvider extends ChangeNotifier {
         endDate: effectiveEndDate,
       );
 
-      _totalIncome = (summary['income'] as num?)?.toDouble() ?? 0;
-      _totalExpense = (summary['expense'] as num?)?.toDouble() ?? 0;
-      _balance = (summary['balance'] as num?)?.toDouble() ?? 0;
+      _totalIncome = Formatters.parseAmount(summary['income']) ?? 0;
+      _totalExpense = Formatters.parseAmount(summary['expense']) ?? 0;
+      _balance = Formatters.parseAmount(summary['balance']) ?? 0;
 
       notifyListeners();
     } catch (e) {